@@ -0,0 +1,144 @@
+/* --------------------------------------------------------------------------
+ *  Access gate
+ *
+ * Rules of the gate shown before the app, configured by access.json.
+ * `mode` is one of:
+ *
+ *   disabled    no gate
+ *   passphrase  one shared passphrase, `passphraseHash`
+ *   cohort      an invite code per class or group, `cohorts: [{ id,
+ *               codeHash }]`; results are tagged with the cohort id
+ *   token       one-time personal codes, `tokens: [{ hash, cohort? }]`,
+ *               usually opened as a link (?token=...); a code is accepted
+ *               once, by the results server when there is one (see
+ *               tools/server.js), else once per browser
+ *
+ * Secrets are stored as hex PBKDF2-SHA256 hashes with the config `salt`
+ * and `iterations`, never in plain text; tools/access-hash.js computes
+ * them.  The hashes ship with the page, so the gate keeps casual visitors
+ * out but is not real authentication: a long passphrase is what makes
+ * guessing it slow.
+ *
+ * After `maxAttempts` wrong tries the gate locks for `lockoutMinutes`,
+ * and the lockout is kept across reloads by the caller (see
+ * recordFailure()).
+ */
+
+export const ACCESS_MODES = ['disabled', 'passphrase', 'cohort', 'token'];
+
+export const ACCESS_DEFAULTS = {
+  iterations: 100000,
+  maxAttempts: 3,
+  lockoutMinutes: 15
+};
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/** Secrets are compared trimmed and lowercased, so typing is forgiving */
+export function normalizeSecret(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/** Hex PBKDF2-SHA256 hash of a (normalized) secret */
+export async function hashSecret(secret, salt, iterations = ACCESS_DEFAULTS.iterations, subtle = globalThis.crypto?.subtle) {
+  if (!subtle) throw new Error('Web Crypto is not available');
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(normalizeSecret(secret)), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations }, key, 256);
+  return [...new Uint8Array(bits)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function positiveInteger(value, fallback, name) {
+  if (value === undefined) return fallback;
+  if (!Number.isInteger(value) || value < 1) throw new Error(`access.json: ${name} must be a positive integer`);
+  return value;
+}
+
+function checkHash(value, name) {
+  if (typeof value !== 'string' || !HASH_PATTERN.test(value)) throw new Error(`access.json: ${name} is not a 64-digit hex hash`);
+  return value;
+}
+
+/**
+ * Checks the contents of access.json and fills in the defaults.  Throws
+ * an Error naming the problem when the config cannot be used.
+ */
+export function readAccessConfig(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('access.json: expected an object');
+  const mode = data.mode === undefined ? 'disabled' : data.mode;
+  if (!ACCESS_MODES.includes(mode)) throw new Error(`access.json: unknown mode "${mode}"`);
+  if (mode === 'disabled') return { mode };
+  if (typeof data.salt !== 'string' || !data.salt) throw new Error('access.json: salt is required');
+  const config = {
+    mode,
+    salt: data.salt,
+    iterations: positiveInteger(data.iterations, ACCESS_DEFAULTS.iterations, 'iterations'),
+    maxAttempts: positiveInteger(data.maxAttempts, ACCESS_DEFAULTS.maxAttempts, 'maxAttempts'),
+    lockoutMinutes: positiveInteger(data.lockoutMinutes, ACCESS_DEFAULTS.lockoutMinutes, 'lockoutMinutes')
+  };
+  if (mode === 'passphrase') {
+    config.passphraseHash = checkHash(data.passphraseHash, 'passphraseHash');
+  } else if (mode === 'cohort') {
+    if (!Array.isArray(data.cohorts) || !data.cohorts.length) throw new Error('access.json: cohorts must list at least one cohort');
+    config.cohorts = data.cohorts.map((cohort, idx) => {
+      if (typeof cohort?.id !== 'string' || !cohort.id) throw new Error(`access.json: cohorts[${idx}] has no id`);
+      return { id: cohort.id, codeHash: checkHash(cohort.codeHash, `cohorts[${idx}].codeHash`) };
+    });
+  } else {
+    if (!Array.isArray(data.tokens) || !data.tokens.length) throw new Error('access.json: tokens must list at least one token');
+    config.tokens = data.tokens.map((token, idx) => ({
+      hash: checkHash(token?.hash, `tokens[${idx}].hash`),
+      cohort: typeof token.cohort === 'string' && token.cohort ? token.cohort : null
+    }));
+  }
+  return config;
+}
+
+/**
+ * Checks what was typed (or read from the link) against the config.
+ * Resolves to `{ ok: true, cohort, tokenHash }` (cohort null outside
+ * cohorts and cohort-tagged tokens, tokenHash null outside token mode) or
+ * `{ ok: false }`.  Whether a token was already used is up to the caller.
+ */
+export async function checkAccess(config, input, subtle) {
+  if (config.mode === 'disabled') return { ok: true, cohort: null, tokenHash: null };
+  if (!normalizeSecret(input)) return { ok: false };
+  const hash = await hashSecret(input, config.salt, config.iterations, subtle);
+  if (config.mode === 'passphrase') {
+    return hash === config.passphraseHash ? { ok: true, cohort: null, tokenHash: null } : { ok: false };
+  }
+  if (config.mode === 'cohort') {
+    const cohort = config.cohorts.find(({ codeHash }) => codeHash === hash);
+    return cohort ? { ok: true, cohort: cohort.id, tokenHash: null } : { ok: false };
+  }
+  const token = config.tokens.find((entry) => entry.hash === hash);
+  return token ? { ok: true, cohort: token.cohort, tokenHash: hash } : { ok: false };
+}
+
+/**
+ * Lockout state, `{ attempts, lockedUntil }`, read back from storage;
+ * anything unreadable counts as no failed attempt.
+ */
+export function readLockout(value) {
+  const attempts = Number.isInteger(value?.attempts) && value.attempts > 0 ? value.attempts : 0;
+  const lockedUntil = Number.isFinite(value?.lockedUntil) ? value.lockedUntil : 0;
+  return { attempts, lockedUntil };
+}
+
+/** Milliseconds the gate stays locked at `now`, 0 when it is open */
+export function lockoutRemaining(lockout, now = Date.now()) {
+  return Math.max(0, readLockout(lockout).lockedUntil - now);
+}
+
+/**
+ * Lockout state after one more wrong attempt at `now`.  Reaching
+ * maxAttempts locks the gate for lockoutMinutes and starts the count
+ * again, so after the lockout there are as many attempts as before.
+ */
+export function recordFailure(lockout, config, now = Date.now()) {
+  const attempts = readLockout(lockout).attempts + 1;
+  if (attempts >= config.maxAttempts) {
+    return { attempts: 0, lockedUntil: now + config.lockoutMinutes * 60 * 1000 };
+  }
+  return { attempts, lockedUntil: 0 };
+}
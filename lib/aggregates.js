@@ -0,0 +1,232 @@
+/* --------------------------------------------------------------------------
+ *  Comparison averages
+ *
+ * Statistics of saved results, for the "compare with your peers" block of
+ * the insights.  The same functions run in the browser over the local
+ * history and in the reference server (tools/server.js) over the results
+ * of every participant, so both compare in the same way.
+ *
+ * Only statistics leave the server, never the records, and a group (a
+ * cell) with fewer than `minCellSize` results is withheld: with one or two
+ * results a mean is the answer of a recognizable person.  For the same
+ * reason a cell is withheld when it differs by fewer than `minCellSize`
+ * results from a larger cell containing it, quadrant counts below
+ * `minCellSize` are left out of a cell, and professions are named by
+ * their normalized key, never by the text one respondent typed.
+ */
+import { DEFAULT_TEST_LENGTH, TEST_LENGTHS } from './engine.js';
+
+/** Fewest results a cell needs to be reported by the server */
+export const MIN_CELL_SIZE = 5;
+
+/** Characteristics the statistics are grouped by */
+export const AGGREGATE_GROUPS = ['profession', 'education', 'area', 'ageBand', 'language'];
+
+/** Age bands, as [key, lowest age]; the age is the one at the time of the test */
+export const AGE_BANDS = [
+  ['under18', 0],
+  ['18-24', 18],
+  ['25-34', 25],
+  ['35-44', 35],
+  ['45-54', 45],
+  ['55-64', 55],
+  ['65plus', 65]
+];
+
+/** Test length of a saved result; results saved before lengths existed are standard */
+export function resultLength(entry) {
+  return TEST_LENGTHS.includes(entry?.length) ? entry.length : DEFAULT_TEST_LENGTH;
+}
+
+/** Age band of a date of birth (YYYY-MM-DD) on the day of `timestamp`, 'unspecified' when unknown */
+export function ageBand(dob, timestamp) {
+  const born = typeof dob === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(dob) : null;
+  const day = new Date(Number(timestamp));
+  if (!born || Number.isNaN(day.getTime())) return 'unspecified';
+  const [year, month, date] = born.slice(1).map(Number);
+  const birthdayPassed = day.getUTCMonth() + 1 > month || (day.getUTCMonth() + 1 === month && day.getUTCDate() >= date);
+  const age = day.getUTCFullYear() - year - (birthdayPassed ? 0 : 1);
+  if (age < 0 || age > 120) return 'unspecified';
+  return AGE_BANDS.filter(([, from]) => age >= from).pop()[0];
+}
+
+/** Longest profession key, in characters */
+export const MAX_PROFESSION_KEY = 60;
+
+const PROFESSION_KEY_CHARS = /[^\p{L}\p{M}\p{N} .'’-]+/gu;
+
+/**
+ * Profession key of the text a respondent typed: lowercased plain words
+ * (letters, digits, spaces and . ' ’ -) of at most MAX_PROFESSION_KEY
+ * characters, 'unspecified' when nothing is left.  Keys name the
+ * profession cells of the statistics, so the server accepts no other form
+ * (see isProfessionKey()).
+ */
+export function professionKey(text) {
+  const key = String(text ?? '').toLowerCase().replace(PROFESSION_KEY_CHARS, ' ').replace(/\s+/g, ' ').trim()
+    .slice(0, MAX_PROFESSION_KEY).trim();
+  return key || 'unspecified';
+}
+
+/** Whether `key` is a profession key exactly as professionKey() makes it */
+export function isProfessionKey(key) {
+  return typeof key === 'string' && key !== '' && professionKey(key) === key;
+}
+
+/** Key of the cell of `group` (one of AGGREGATE_GROUPS) a result belongs to */
+export function groupKey(entry, group) {
+  if (group === 'profession') return entry.professionKey || 'unspecified';
+  if (group === 'ageBand') return ageBand(entry.dob, entry.timestamp);
+  const value = entry[group];
+  return typeof value === 'string' && value ? value : 'unspecified';
+}
+
+/** Mean normalized coordinates of some results, `{ count, x, y, z }`, or null for none */
+export function averageCoordinates(entries) {
+  if (!Array.isArray(entries) || !entries.length) return null;
+  const total = entries.reduce((acc, entry) => {
+    acc.x += entry.normalized?.x || 0;
+    acc.y += entry.normalized?.y || 0;
+    acc.z += entry.normalized?.z || 0;
+    return acc;
+  }, { x: 0, y: 0, z: 0 });
+  const count = entries.length;
+  return {
+    count,
+    x: total.x / count,
+    y: total.y / count,
+    z: total.z / count
+  };
+}
+
+/**
+ * averageCoordinates() plus the standard deviation of each coordinate,
+ * `sd`, and how many of the results fell in each quadrant, `quadrants`
+ * (by quadrant number), leaving out the quadrants with fewer than
+ * `minCellSize` results.  Null for no results.
+ */
+export function describeResults(entries, { minCellSize = 1 } = {}) {
+  const mean = averageCoordinates(entries);
+  if (!mean) return null;
+  const spread = (axis) => Math.sqrt(entries.reduce((acc, entry) => acc + ((entry.normalized?.[axis] || 0) - mean[axis]) ** 2, 0) / mean.count);
+  const counts = {};
+  entries.forEach((entry) => {
+    if (Number.isInteger(entry.quadrant)) counts[entry.quadrant] = (counts[entry.quadrant] || 0) + 1;
+  });
+  const quadrants = Object.fromEntries(Object.entries(counts).filter(([, count]) => count >= minCellSize));
+  return { ...mean, sd: { x: spread('x'), y: spread('y'), z: spread('z') }, quadrants };
+}
+
+function resultsOfLength(history, length = 'all') {
+  return (Array.isArray(history) ? history : [])
+    .filter((entry) => entry && (length === 'all' || resultLength(entry) === length));
+}
+
+/*
+ * A cell is a list of filters, `[[dimension, value], ...]`, where a
+ * dimension is 'length' (see resultLength()) or one of AGGREGATE_GROUPS
+ * (see groupKey()); its parents are the cells with only some of its
+ * filters, down to the one with none, every result.
+ */
+
+const cellValue = (entry, dimension) => (dimension === 'length' ? resultLength(entry) : groupKey(entry, dimension));
+
+const inCell = (filters) => (entry) => filters.every(([dimension, value]) => cellValue(entry, dimension) === value);
+
+/** Number of results in a cell of `history`, memoized by cell */
+function cellSizes(history) {
+  const results = (Array.isArray(history) ? history : []).filter(Boolean);
+  const sizes = new Map();
+  return (filters) => {
+    const id = JSON.stringify([...filters].sort());
+    if (!sizes.has(id)) sizes.set(id, results.filter(inCell(filters)).length);
+    return sizes.get(id);
+  };
+}
+
+/**
+ * Whether a cell is withheld: it has fewer than `minCellSize` results, or
+ * a parent has between 1 and `minCellSize` - 1 results more, so that
+ * subtracting the two cells (length 'all' and 'standard', a profession and
+ * a profession with an education level) would describe those few.
+ */
+function isWithheld(size, filters, minCellSize) {
+  const count = size(filters);
+  if (count < minCellSize) return true;
+  for (let mask = 0; mask < (1 << filters.length) - 1; mask++) {
+    const difference = size(filters.filter((_, idx) => mask & (1 << idx))) - count;
+    if (difference > 0 && difference < minCellSize) return true;
+  }
+  return false;
+}
+
+/**
+ * Statistics (see describeResults()) of the results of one test length
+ * ('all' for every length): over all of them, over those of a profession
+ * (by professionKey), of an education level and of both.  'all' (or no
+ * value) leaves a filter out, and its statistics are null.  Cells withheld
+ * by isWithheld() with `minCellSize` are null too, and named in
+ * `suppressed`; `count`, the number of results of the length, is then
+ * null as well when the global cell is.  `professions` lists the
+ * professions with enough results, `{ key }`.
+ */
+export function comparisonAverages(history, { length = 'all', profession = 'all', education = 'all' } = {}, { minCellSize = 1 } = {}) {
+  const entries = resultsOfLength(history, length);
+  const size = cellSizes(history);
+  const lengthFilter = length === 'all' ? [] : [['length', length]];
+  const professionFilter = !profession || profession === 'all' ? null : ['profession', profession];
+  const educationFilter = !education || education === 'all' ? null : ['education', education];
+  const suppressed = [];
+  const cell = (name, filters) => {
+    const cellEntries = entries.filter(inCell(filters));
+    if (!cellEntries.length) return null;
+    if (isWithheld(size, [...lengthFilter, ...filters], minCellSize)) {
+      suppressed.push(name);
+      return null;
+    }
+    return describeResults(cellEntries, { minCellSize });
+  };
+  const professions = new Map();
+  entries.forEach((entry) => {
+    const key = groupKey(entry, 'profession');
+    professions.set(key, (professions.get(key) || 0) + 1);
+  });
+  const global = cell('global', []);
+  return {
+    count: suppressed.includes('global') ? null : entries.length,
+    minCellSize,
+    global,
+    profession: professionFilter && cell('profession', [professionFilter]),
+    education: educationFilter && cell('education', [educationFilter]),
+    combination: cell('combination', [professionFilter, educationFilter].filter(Boolean)),
+    suppressed,
+    professions: [...professions].filter(([, count]) => count >= minCellSize).map(([key]) => ({ key }))
+  };
+}
+
+/**
+ * What the insights compare with, and what GET /api/aggregates answers:
+ * comparisonAverages() plus `groups`, for each of AGGREGATE_GROUPS the
+ * cells not withheld by isWithheld(), `{ key, ...describeResults() }`,
+ * largest first.
+ */
+export function aggregateStatistics(history, filters = {}, { minCellSize = 1 } = {}) {
+  const comparison = comparisonAverages(history, filters, { minCellSize });
+  const entries = resultsOfLength(history, filters.length);
+  const size = cellSizes(history);
+  const lengthFilter = !filters.length || filters.length === 'all' ? [] : [['length', filters.length]];
+  const groups = {};
+  AGGREGATE_GROUPS.forEach((group) => {
+    const cells = new Map();
+    entries.forEach((entry) => {
+      const key = groupKey(entry, group);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(entry);
+    });
+    groups[group] = [...cells]
+      .filter(([key]) => !isWithheld(size, [...lengthFilter, [group, key]], minCellSize))
+      .map(([key, cellEntries]) => ({ key, ...describeResults(cellEntries, { minCellSize }) }))
+      .sort((a, b) => b.count - a.count);
+  });
+  return { ...comparison, groups };
+}
@@ -0,0 +1,151 @@
+/* --------------------------------------------------------------------------
+ *  Result card
+ *
+ * Renders a result as an SVG "card" that can be downloaded instead of
+ * screenshotting the insights page.  The card shows the quadrant, its
+ * colour, the normalized coordinates and three 2D projections of the
+ * point (x–y, x–z, y–z), each shaded by the regions of the slice through
+ * the point and marked with the confidence intervals.
+ *
+ * The caller passes every text already translated, and a regionColor(x, y,
+ * z) function returning the CSS colour of the region at a point, so the
+ * card does not depend on i18n or on the region model.  With `snapshot`
+ * the card leaves room on the right for an image of the 3D sphere, which
+ * the browser draws over the SVG when exporting a PNG.
+ */
+
+export const CARD_SIZE = {
+  width: 760,          // without the snapshot
+  snapshotWidth: 1200, // with the snapshot
+  height: 630
+};
+
+// Pairs of coordinates shown by the projection panels, horizontal first
+export const CARD_PROJECTIONS = [['x', 'y'], ['x', 'z'], ['y', 'z']];
+
+const PANEL = { top: 330, size: 200, gap: 40, left: 48 };
+const SNAPSHOT_BOX = { x: 768, y: 115, width: 400, height: 400 };
+const SHADE_CELLS = 20;
+const FONT = 'font-family="system-ui, -apple-system, Segoe UI, Roboto, sans-serif"';
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+}[ch]));
+
+const clamp = (n) => Math.max(-1, Math.min(1, Number.isFinite(n) ? n : 0));
+const fixed = (n) => Number(n.toFixed(2));
+
+/** Splits text into at most `maxLines` lines of about `maxChars`, with an ellipsis when cut */
+export function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let current = '';
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const candidate = current ? `${current} ${words[i]}` : words[i];
+    if (candidate.length <= maxChars || !current) {
+      current = candidate;
+      continue;
+    }
+    lines.push(current);
+    current = words[i];
+    if (lines.length === maxLines) {
+      current = '';
+      lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+      break;
+    }
+  }
+  if (current) lines.push(current.length > maxChars ? `${current.slice(0, maxChars - 1)}…` : current);
+  return lines;
+}
+
+/** One projection panel: region shading, axes, unit circle, interval and point */
+function projectionPanel(left, [h, v], point, intervals, color, regionColor, label) {
+  const { top, size } = PANEL;
+  const toX = (value) => fixed(left + ((clamp(value) + 1) / 2) * size);
+  const toY = (value) => fixed(top + ((1 - clamp(value)) / 2) * size);
+  const depth = ['x', 'y', 'z'].find((axis) => axis !== h && axis !== v);
+  const cell = size / SHADE_CELLS;
+  const shades = [];
+  if (typeof regionColor === 'function') {
+    for (let row = 0; row < SHADE_CELLS; row++) {
+      for (let col = 0; col < SHADE_CELLS; col++) {
+        const sample = { [depth]: clamp(point[depth]) };
+        sample[h] = -1 + (col + 0.5) * (2 / SHADE_CELLS);
+        sample[v] = 1 - (row + 0.5) * (2 / SHADE_CELLS);
+        shades.push(`<rect x="${fixed(left + col * cell)}" y="${fixed(top + row * cell)}" width="${fixed(cell)}" height="${fixed(cell)}" fill="${escapeXml(regionColor(sample.x, sample.y, sample.z))}"/>`);
+      }
+    }
+  }
+  const interval = intervals && intervals[h] && intervals[v]
+    ? `<rect x="${toX(intervals[h][0])}" y="${toY(intervals[v][1])}" width="${fixed(toX(intervals[h][1]) - toX(intervals[h][0]))}" height="${fixed(toY(intervals[v][0]) - toY(intervals[v][1]))}" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-dasharray="4 3"/>`
+    : '';
+  const middle = fixed(size / 2);
+  return `
+  <g class="projection" data-axes="${h}${v}">
+    <g opacity="0.35">${shades.join('')}</g>
+    <rect x="${left}" y="${top}" width="${size}" height="${size}" fill="none" stroke="#cbd5e1"/>
+    <line x1="${left}" y1="${top + middle}" x2="${left + size}" y2="${top + middle}" stroke="#94a3b8" stroke-width="1"/>
+    <line x1="${left + middle}" y1="${top}" x2="${left + middle}" y2="${top + size}" stroke="#94a3b8" stroke-width="1"/>
+    <circle cx="${left + middle}" cy="${top + middle}" r="${middle}" fill="none" stroke="#64748b" stroke-dasharray="2 3"/>
+    ${interval}
+    <circle class="point" cx="${toX(point[h])}" cy="${toY(point[v])}" r="6" fill="${color}" stroke="#ffffff" stroke-width="2"/>
+    <text x="${left + middle}" y="${top + size + 24}" text-anchor="middle" font-size="13" fill="#475569" ${FONT}>${escapeXml(label)}</text>
+  </g>`;
+}
+
+/**
+ * Renders the card.  `lines` are the coordinate rows, `[{ label, value,
+ * note }]`, and `axes` the labels of x, y and z used under the projections.
+ * Returns `{ svg, width, height, snapshotBox }`, where snapshotBox is the
+ * area left for the sphere image (null without `snapshot`).
+ */
+export function resultCard({
+  title = '',
+  heading = '',
+  name = '',
+  descriptor = '',
+  color = '#2d6cdf',
+  point = { x: 0, y: 0, z: 0 },
+  intervals = null,
+  lines = [],
+  axes = { x: 'x', y: 'y', z: 'z' },
+  footer = '',
+  regionColor = null,
+  snapshot = false
+} = {}) {
+  const width = snapshot ? CARD_SIZE.snapshotWidth : CARD_SIZE.width;
+  const { height } = CARD_SIZE;
+  const safeColor = /^#[0-9a-f]{6}$/i.test(color) ? color : '#2d6cdf';
+  const descriptorLines = wrapText(descriptor, 70, 2);
+  const texts = [
+    `<text x="48" y="64" font-size="16" fill="#64748b" ${FONT}>${escapeXml(title)}</text>`,
+    `<circle cx="68" cy="104" r="20" fill="${safeColor}" stroke="#e2e8f0"/>`,
+    `<text x="100" y="112" font-size="28" font-weight="700" fill="#3730a3" ${FONT}>${escapeXml(heading)}</text>`,
+    name ? `<text x="48" y="152" font-size="18" font-weight="600" fill="#1e293b" ${FONT}>${escapeXml(name)}</text>` : '',
+    ...descriptorLines.map((line, idx) => `<text x="48" y="${176 + idx * 20}" font-size="14" fill="#475569" ${FONT}>${escapeXml(line)}</text>`),
+    ...lines.map(({ label, value, note }, idx) => {
+      const y = 236 + idx * 26;
+      return `<text x="48" y="${y}" font-size="15" fill="#1e293b" ${FONT}><tspan font-weight="600">${escapeXml(label)}</tspan><tspan dx="8">${escapeXml(value)}</tspan>${note ? `<tspan dx="10" font-size="12" fill="#64748b">${escapeXml(note)}</tspan>` : ''}</text>`;
+    })
+  ];
+  const panels = CARD_PROJECTIONS.map((pair, idx) => projectionPanel(
+    PANEL.left + idx * (PANEL.size + PANEL.gap),
+    pair,
+    { x: Number(point.x) || 0, y: Number(point.y) || 0, z: Number(point.z) || 0 },
+    intervals,
+    safeColor,
+    regionColor,
+    `${axes[pair[0]]} × ${axes[pair[1]]}`
+  ));
+  const snapshotBox = snapshot ? { ...SNAPSHOT_BOX } : null;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" rx="24" fill="#ffffff"/>
+  <rect width="12" height="${height}" fill="${safeColor}"/>
+  ${texts.filter(Boolean).join('\n  ')}
+  ${panels.join('')}
+  ${snapshotBox ? `<rect x="${snapshotBox.x}" y="${snapshotBox.y}" width="${snapshotBox.width}" height="${snapshotBox.height}" rx="16" fill="#eef2ff"/>` : ''}
+  <text x="48" y="${height - 28}" font-size="12" fill="#94a3b8" ${FONT}>${escapeXml(footer)}</text>
+</svg>
+`;
+  return { svg, width, height, snapshotBox };
+}
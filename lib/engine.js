@@ -0,0 +1,881 @@
+/* --------------------------------------------------------------------------
+ *  Scoring engine
+ *
+ * Pure, DOM-free maths behind the questionnaire: question normalization,
+ * weighted scoring, normalization per axis, spherical coordinates and the
+ * lookup of the result region.  Nothing in here touches `document`,
+ * `window` or Three.js, so the same module is imported by script.js in the
+ * browser and can be used from Node for batch analysis and tests:
+ *
+ *   import { scoreAnswers } from './lib/engine.js';
+ *   const result = scoreAnswers(questions, [1, 0.5, undefined, -1], { weights, quadrants });
+ */
+
+export const AXES = ['economia', 'dirittocivilismo', 'establishment'];
+
+// Maps each axis to the Cartesian coordinate used by the visualizations
+export const AXIS_COORDINATES = { economia: 'x', dirittocivilismo: 'y', establishment: 'z' };
+
+export const rad2deg = (r) => r * 180 / Math.PI;
+
+export function emptyAxisTotals() {
+  return { economia: 0, dirittocivilismo: 0, establishment: 0 };
+}
+
+export function clampUnit(value) {
+  if (!Number.isFinite(value)) return 0;
+  if (value > 1) return 1;
+  if (value < -1) return -1;
+  return value;
+}
+
+function componentToAxis(component) {
+  if (!component) return null;
+  if (component === 'autoritarismo') return 'dirittocivilismo';
+  return AXES.includes(component) ? component : null;
+}
+
+/* --------------------------------------------------------------------------
+ *  Response scales
+ *
+ * A question file is either an array of questions or an object
+ * `{ "scale": "likert7", "questions": [...] }`; a question may also name
+ * its own `scale`.  Choice scales list their answers as `{ key, value }`
+ * (the label is the `answers.<key>` message of the interface catalogs);
+ * the slider accepts any value in [min, max].  Values always run from
+ * -1 (strong disagreement) to 1 (strong agreement), so scoring does not
+ * depend on the scale.
+ */
+export const RESPONSE_SCALES = {
+  likert3: {
+    type: 'choice',
+    options: [
+      { key: 'yes', value: 1 },
+      { key: 'neutral', value: 0 },
+      { key: 'no', value: -1 }
+    ]
+  },
+  likert5: {
+    type: 'choice',
+    options: [
+      { key: 'strongYes', value: 1 },
+      { key: 'yes', value: 0.5 },
+      { key: 'neutral', value: 0 },
+      { key: 'no', value: -0.5 },
+      { key: 'strongNo', value: -1 }
+    ]
+  },
+  likert7: {
+    type: 'choice',
+    options: [
+      { key: 'strongYes', value: 1 },
+      { key: 'yes', value: 2 / 3 },
+      { key: 'slightlyYes', value: 1 / 3 },
+      { key: 'neutral', value: 0 },
+      { key: 'slightlyNo', value: -1 / 3 },
+      { key: 'no', value: -2 / 3 },
+      { key: 'strongNo', value: -1 }
+    ]
+  },
+  slider: { type: 'slider', min: -1, max: 1, step: 0.1 }
+};
+export const DEFAULT_SCALE = 'likert5';
+
+// Question properties a file in the object format can set for all its questions
+const SET_DEFAULTS = ['scale', 'weightMode'];
+
+/**
+ * The questions of a parsed question file, in either format.  In the
+ * object format the file's `scale` and `weightMode` are copied onto
+ * questions without their own.
+ */
+export function questionList(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object' || !Array.isArray(data.questions)) return [];
+  const defaults = SET_DEFAULTS.filter((field) => data[field]);
+  if (!defaults.length) return data.questions;
+  return data.questions.map((question) => {
+    if (!question || typeof question !== 'object') return question;
+    const copy = { ...question };
+    defaults.forEach((field) => {
+      if (!copy[field]) copy[field] = data[field];
+    });
+    return copy;
+  });
+}
+
+/** Response scale of a question: its own, or the default 5-point scale */
+export function scaleOf(question) {
+  return RESPONSE_SCALES[question?.scale] || RESPONSE_SCALES[DEFAULT_SCALE];
+}
+
+/** Whether `value` is an answer the question's scale can produce */
+export function isValidAnswer(question, value) {
+  const scale = scaleOf(question);
+  if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+  if (scale.type === 'slider') return value >= scale.min && value <= scale.max;
+  return scale.options.some((option) => Math.abs(option.value - value) < 1e-9);
+}
+
+/**
+ * Whether every answer of an answers array (aligned with `questions`) is
+ * valid for its question; unanswered questions (undefined or null) are.
+ * Answers restored from storage, a link or a file are checked with it
+ * before they are scored.
+ */
+export function answersFitScales(questions, answers) {
+  const list = Array.isArray(questions) ? questions : [];
+  return Array.isArray(answers) && answers.every((value, idx) => value === undefined || value === null || isValidAnswer(list[idx], value));
+}
+
+/* --------------------------------------------------------------------------
+ *  Weight modes
+ *
+ * How authored weights are read.  'normalized' (the default) rescales a
+ * question's weights so their absolute values sum to 1: every question
+ * then carries the same total influence and only the proportions between
+ * axes matter, so 0.8/0/0.3 is scored as 0.73/0/0.27.  'raw' scores the
+ * weights exactly as written, so a question weighted 0.8/0/0.3 counts more
+ * than one weighted 0.4/0/0.  The mode is declared by weights.json (for
+ * its weights) or by a question file (for inline weights), and a question
+ * may set its own `weightMode`.
+ */
+export const WEIGHT_MODES = ['normalized', 'raw'];
+export const DEFAULT_WEIGHT_MODE = 'normalized';
+
+/** Weight mode of a question: its own, or the default */
+export function weightModeOf(question) {
+  return WEIGHT_MODES.includes(question?.weightMode) ? question.weightMode : DEFAULT_WEIGHT_MODE;
+}
+
+/**
+ * Reads a parsed weights.json in either format: the plain table keyed by
+ * question id, or `{ "weightMode": "raw", "weights": { ... } }`.  Returns
+ * `{ weightMode, weights }`, or null when there is no table.
+ */
+export function readWeightTable(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (data.weightMode === undefined) return { weightMode: DEFAULT_WEIGHT_MODE, weights: data };
+  const weights = data.weights && typeof data.weights === 'object' && !Array.isArray(data.weights) ? data.weights : {};
+  return { weightMode: WEIGHT_MODES.includes(data.weightMode) ? data.weightMode : DEFAULT_WEIGHT_MODE, weights };
+}
+
+/**
+ * Converts a raw question entry into the internal format.  Weights are
+ * read from `weights` (or derived from the legacy `component` field) and,
+ * unless the question's weight mode is 'raw', rescaled so that their
+ * absolute values sum to 1.
+ */
+export function normalizeQuestionEntry(question) {
+  const normalizedWeights = emptyAxisTotals();
+  if (!question || typeof question !== 'object') {
+    return { title: '', weights: normalizedWeights };
+  }
+  const providedWeights = question.weights && typeof question.weights === 'object' ? question.weights : null;
+  AXES.forEach((axis) => {
+    let value = 0;
+    if (providedWeights && providedWeights[axis] !== undefined) {
+      value = Number(providedWeights[axis]) || 0;
+    } else {
+      const mapped = componentToAxis(question.component);
+      if (mapped === axis) value = 1;
+    }
+    normalizedWeights[axis] = value;
+  });
+  const weightSum = AXES.reduce((acc, axis) => acc + Math.abs(normalizedWeights[axis]), 0);
+  if (weightSum > 0 && weightModeOf(question) === 'normalized') {
+    AXES.forEach((axis) => {
+      normalizedWeights[axis] = normalizedWeights[axis] / weightSum;
+    });
+  }
+  return { ...question, weights: normalizedWeights };
+}
+
+/** Sums the absolute weight carried by each axis across the question set */
+export function computeWeightTotals(questions) {
+  return (questions || []).reduce((acc, question) => {
+    AXES.forEach((axis) => {
+      const weight = question && question.weights && typeof question.weights === 'object' ? Number(question.weights[axis]) || 0 : 0;
+      acc[axis] += Math.abs(weight);
+    });
+    return acc;
+  }, emptyAxisTotals());
+}
+
+/**
+ * Replaces the weights of every question whose `id` appears in the
+ * canonical weight table (the parsed weights.json, in either format of
+ * readWeightTable()), so that all languages score with the same weights;
+ * those questions take the table's weight mode.  Questions without an id,
+ * or with an id missing from the table, keep their inline
+ * `weights`/`component`.
+ */
+export function applyWeightTable(questions, table) {
+  const list = Array.isArray(questions) ? questions : [];
+  const canonical = readWeightTable(table);
+  if (!canonical) return list;
+  return list.map((question) => {
+    if (!question || typeof question !== 'object' || question.id === undefined) return question;
+    const id = String(question.id);
+    if (!Object.prototype.hasOwnProperty.call(canonical.weights, id)) return question;
+    const weights = canonical.weights[id];
+    if (!weights || typeof weights !== 'object') return question;
+    const { component, ...rest } = question;
+    return { ...rest, weights: { ...weights }, weightMode: canonical.weightMode };
+  });
+}
+
+/**
+ * Keys the answered questions by their stable id (position + 1 for
+ * questions without one), so results can be compared across languages.
+ */
+export function answersById(questions, answers) {
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  return list.reduce((acc, question, idx) => {
+    const value = values[idx];
+    if (value === undefined || value === null) return acc;
+    const id = question && question.id !== undefined ? String(question.id) : String(idx + 1);
+    acc[id] = value;
+    return acc;
+  }, {});
+}
+
+/** Returns a new raw score vector with the weighted answer added */
+export function accumulateScore(raw, question, value) {
+  const base = { x: Number(raw?.x) || 0, y: Number(raw?.y) || 0, z: Number(raw?.z) || 0 };
+  if (!question || !question.weights || !Number.isFinite(value)) return base;
+  const weights = question.weights;
+  return {
+    x: base.x + (Number(weights.economia) || 0) * value,
+    y: base.y + (Number(weights.dirittocivilismo) || 0) * value,
+    z: base.z + (Number(weights.establishment) || 0) * value
+  };
+}
+
+/**
+ * Whether an entry of an answers array is an answer.  A neutral answer
+ * ("Non so", 0) is one; undefined, null or non-numeric entries mark a
+ * skipped question.
+ */
+export function isAnswered(value) {
+  return value !== undefined && value !== null && Number.isFinite(Number(value));
+}
+
+// Multipliers of the "How important is this to you?" levels
+export const IMPORTANCE_LEVELS = { low: 0.5, normal: 1, high: 2 };
+
+/**
+ * Multiplier of one entry of an importance array (aligned with the
+ * answers): a positive number, or 1 when the respondent did not say.
+ */
+export function importanceFactor(value) {
+  const factor = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(factor) && factor > 0 ? factor : 1;
+}
+
+/**
+ * Computes the raw score vector for an answers array aligned with
+ * `questions`.  Skipped questions are ignored; `importance` (optional,
+ * aligned too) multiplies each answer's contribution.
+ */
+export function computeRawScores(questions, answers, importance = null) {
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  const factors = Array.isArray(importance) ? importance : [];
+  return list.reduce((raw, question, idx) => {
+    const value = values[idx];
+    if (!isAnswered(value)) return raw;
+    return accumulateScore(raw, question, Number(value) * importanceFactor(factors[idx]));
+  }, { x: 0, y: 0, z: 0 });
+}
+
+/**
+ * Per-axis weight totals of the answered questions only.  Normalizing by
+ * these keeps skipped questions from pulling a result towards the centre,
+ * while a neutral answer still counts as a deliberate 0.  With
+ * `importance` each question's weight is multiplied like its answer, so
+ * the result stays in [-1, 1] and becomes an importance-weighted mean.
+ */
+export function computeAnsweredTotals(questions, answers, importance = null) {
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  const factors = Array.isArray(importance) ? importance : [];
+  return list.reduce((totals, question, idx) => {
+    if (!isAnswered(values[idx])) return totals;
+    const questionTotals = computeWeightTotals([question]);
+    const factor = importanceFactor(factors[idx]);
+    AXES.forEach((axis) => {
+      totals[axis] += questionTotals[axis] * factor;
+    });
+    return totals;
+  }, emptyAxisTotals());
+}
+
+// Minimum share of an axis' weight that must be answered for each level
+export const COVERAGE_LEVELS = { high: 0.8, medium: 0.5 };
+
+/** 'high', 'medium' or 'low' for a coverage ratio in [0, 1] */
+export function coverageLevel(ratio) {
+  if (ratio >= COVERAGE_LEVELS.high) return 'high';
+  if (ratio >= COVERAGE_LEVELS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * How much of the question set a result rests on: the number of answered,
+ * neutral and skipped questions and, for each axis, the answered share of
+ * the axis' total weight with its coverage level.  `asked` lists the
+ * indices shown to the user when not all were (adaptive mode); the others
+ * count as `notAsked` rather than skipped.
+ */
+export function computeCoverage(questions, answers, asked = null) {
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  const answeredValues = list.map((_, idx) => values[idx]).filter(isAnswered);
+  const askedCount = Array.isArray(asked) ? new Set([...asked, ...list.map((_, idx) => idx).filter((idx) => isAnswered(values[idx]))]).size : list.length;
+  const totals = computeWeightTotals(list);
+  const answeredTotals = computeAnsweredTotals(list, values);
+  const axes = {};
+  AXES.forEach((axis) => {
+    const ratio = totals[axis] ? Math.min(answeredTotals[axis] / totals[axis], 1) : 0;
+    axes[axis] = { answered: answeredTotals[axis], total: totals[axis], ratio, level: coverageLevel(ratio) };
+  });
+  return {
+    total: list.length,
+    answered: answeredValues.length,
+    neutral: answeredValues.filter((value) => Number(value) === 0).length,
+    skipped: askedCount - answeredValues.length,
+    notAsked: list.length - askedCount,
+    axes
+  };
+}
+
+/** Divides each raw coordinate by its axis weight total, clamped to [-1, 1] */
+export function normalizeScores(raw, totals) {
+  const safeTotals = totals || {};
+  const normalize = (score, axis) => {
+    const denom = Number(safeTotals[axis]) || 0;
+    if (!denom) return 0;
+    const value = (Number(score) || 0) / denom;
+    return Math.max(-1, Math.min(1, value));
+  };
+  return {
+    x: normalize(raw?.x, 'economia'),
+    y: normalize(raw?.y, 'dirittocivilismo'),
+    z: normalize(raw?.z, 'establishment')
+  };
+}
+
+/**
+ * Small seeded pseudo-random generator (mulberry32) returning floats in
+ * [0, 1), so bootstrap intervals are the same on every render and in tests.
+ */
+export function seededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(a ^ (a >>> 15), a | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const BOOTSTRAP_DEFAULTS = { samples: 1000, level: 0.9, seed: 1 };
+
+/** Linear-interpolated quantile of an ascending array */
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+/**
+ * Per-axis bootstrap confidence intervals of the normalized result.  The
+ * answered questions are resampled with replacement `samples` times, each
+ * resample is scored like a result (raw score over its own answered
+ * weight), and the central `level` share of the scores gives the bounds.
+ * An axis without answered weight gets the whole range [-1, 1].
+ * `options.importance` weighs the answers as in computeRawScores().
+ * Returns `{ level, samples, x: [low, high], y, z }`, or null when no
+ * question was answered.
+ */
+export function bootstrapIntervals(questions, answers, options = {}) {
+  const { samples, level, seed, importance } = { ...BOOTSTRAP_DEFAULTS, ...options };
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  const factors = Array.isArray(importance) ? importance : [];
+  const answered = list
+    .map((question, idx) => ({ question, value: values[idx], factor: factors[idx] }))
+    .filter(({ value }) => isAnswered(value));
+  if (!answered.length) return null;
+  const random = seededRandom(seed);
+  const draws = { x: [], y: [], z: [] };
+  for (let i = 0; i < samples; i++) {
+    const picked = Array.from({ length: answered.length }, () => answered[Math.floor(random() * answered.length)]);
+    const pickedQuestions = picked.map(({ question }) => question);
+    const pickedValues = picked.map(({ value }) => value);
+    const pickedFactors = picked.map(({ factor }) => factor);
+    const raw = computeRawScores(pickedQuestions, pickedValues, pickedFactors);
+    const totals = computeAnsweredTotals(pickedQuestions, pickedValues, pickedFactors);
+    const normalized = normalizeScores(raw, totals);
+    // A resample without weight on an axis says nothing about it
+    AXES.forEach((axis) => {
+      const coordinate = AXIS_COORDINATES[axis];
+      if (totals[axis] > 0) draws[coordinate].push(normalized[coordinate]);
+    });
+  }
+  const tail = (1 - level) / 2;
+  const intervals = { level, samples };
+  Object.entries(draws).forEach(([coordinate, scores]) => {
+    scores.sort((a, b) => a - b);
+    intervals[coordinate] = scores.length ? [quantile(scores, tail), quantile(scores, 1 - tail)] : [-1, 1];
+  });
+  return intervals;
+}
+
+/* --------------------------------------------------------------------------
+ *  Test lengths
+ *
+ * A question set serves three lengths through the `tags` of its
+ * questions: the short test asks the questions tagged "short", the
+ * standard test every question not tagged "extended", and the extended
+ * test all of them.  A set that tags no question "short" has no short
+ * test of its own and serves the standard one instead.  Results are
+ * scored on the chosen subset only.
+ */
+export const TEST_LENGTHS = ['short', 'standard', 'extended'];
+export const DEFAULT_TEST_LENGTH = 'standard';
+
+/** Whether a question carries a tag */
+export function hasTag(question, tag) {
+  return Array.isArray(question?.tags) && question.tags.includes(tag);
+}
+
+/** The questions of a set that make up a test length, in file order */
+export function questionsForLength(questions, length = DEFAULT_TEST_LENGTH) {
+  const list = Array.isArray(questions) ? questions : [];
+  if (length === 'extended') return list;
+  const standard = list.filter((question) => !hasTag(question, 'extended'));
+  if (length !== 'short') return standard;
+  const short = standard.filter((question) => hasTag(question, 'short'));
+  return short.length ? short : standard;
+}
+
+/* --------------------------------------------------------------------------
+ *  Question order
+ *
+ * The full quiz can ask its questions in file order, in a random order or
+ * interleaved by dominant axis.  File order lets order effects bias the
+ * answers and keeps questions on the same axis together; 'random' shuffles
+ * with a seed, so the order can be rebuilt from the seed saved with the
+ * result; 'balanced' spreads each axis' questions evenly across the quiz.
+ */
+export const QUESTION_ORDERS = ['file', 'random', 'balanced'];
+
+/** New seed for a random order: an unsigned 32-bit integer */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/** Axis a question weighs most on (the first of AXES on a tie), or null without weights */
+export function dominantAxis(question) {
+  const weightOn = (axis) => Math.abs(Number(question?.weights?.[axis]) || 0);
+  const axis = AXES.reduce((top, candidate) => (weightOn(candidate) > weightOn(top) ? candidate : top), AXES[0]);
+  return weightOn(axis) > 0 ? axis : null;
+}
+
+/**
+ * Question indices in the requested order.  'random' is a Fisher-Yates
+ * shuffle driven by seededRandom(seed); 'balanced' keeps the file order
+ * within each dominant axis and places the k-th of n questions of an axis
+ * at (k + ½) / n of the quiz, so unequal groups still interleave evenly.
+ * Anything else is file order.
+ */
+export function questionOrder(questions, ordering = 'file', seed = 1) {
+  const list = Array.isArray(questions) ? questions : [];
+  const order = list.map((_, idx) => idx);
+  if (ordering === 'random') {
+    const random = seededRandom(seed);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+  if (ordering !== 'balanced') return order;
+  const groups = new Map([...AXES, null].map((axis) => [axis, []]));
+  order.forEach((idx) => groups.get(dominantAxis(list[idx])).push(idx));
+  const slots = [];
+  [...groups.values()].forEach((group, rank) => {
+    group.forEach((idx, k) => slots.push({ idx, position: (k + 0.5) / group.length, rank }));
+  });
+  slots.sort((a, b) => a.position - b.position || a.rank - b.rank);
+  return slots.map(({ idx }) => idx);
+}
+
+/* --------------------------------------------------------------------------
+ *  Adaptive question selection
+ *
+ * Instead of walking the question set in order, the adaptive mode asks
+ * next the question that weighs most on the least-determined axis.  An
+ * axis is undetermined until its answered weight reaches `minAxisWeight`;
+ * after that its uncertainty is the width of its bootstrap interval.  The
+ * quiz stops when every axis is narrower than `targetWidth` (after at
+ * least `minQuestions` answers), after `maxQuestions` questions, or when
+ * no question is left.
+ */
+export const ADAPTIVE_DEFAULTS = {
+  minQuestions: 8,
+  maxQuestions: 25,
+  targetWidth: 0.5,
+  minAxisWeight: 2,
+  samples: 200,
+  level: 0.9
+};
+
+/**
+ * Uncertainty of each axis: `{ answeredWeight, determined, width }`, where
+ * width is the bootstrap interval width (2, the whole range, while the
+ * axis is undetermined).  `options.importance` is passed on to the
+ * bootstrap; the answered weight ignores it.
+ */
+export function axisUncertainty(questions, answers, options = {}) {
+  const settings = { ...ADAPTIVE_DEFAULTS, ...options };
+  const answeredTotals = computeAnsweredTotals(questions, answers);
+  const intervals = bootstrapIntervals(questions, answers, { samples: settings.samples, level: settings.level, importance: settings.importance });
+  return AXES.reduce((acc, axis) => {
+    const determined = answeredTotals[axis] >= settings.minAxisWeight && intervals !== null;
+    const [low, high] = determined ? intervals[AXIS_COORDINATES[axis]] : [-1, 1];
+    acc[axis] = { answeredWeight: answeredTotals[axis], determined, width: high - low };
+    return acc;
+  }, {});
+}
+
+/**
+ * Picks the next question of an adaptive quiz.  `asked` lists the indices
+ * already shown (answered or skipped), which are never asked again.
+ * Returns `{ index, axis }` for the next question, or `{ index: null,
+ * reason }` with reason 'target', 'max' or 'exhausted' when the quiz
+ * should stop.
+ */
+export function nextAdaptiveQuestion(questions, answers, asked = [], options = {}) {
+  const settings = { ...ADAPTIVE_DEFAULTS, ...options };
+  const list = Array.isArray(questions) ? questions : [];
+  const values = Array.isArray(answers) ? answers : [];
+  const askedSet = new Set(asked);
+  const candidates = list.map((_, idx) => idx).filter((idx) => !askedSet.has(idx));
+  if (!candidates.length) return { index: null, reason: 'exhausted' };
+  if (askedSet.size >= settings.maxQuestions) return { index: null, reason: 'max' };
+  const uncertainty = axisUncertainty(list, values, settings);
+  const answeredCount = list.filter((_, idx) => isAnswered(values[idx])).length;
+  const settled = AXES.every((axis) => uncertainty[axis].determined && uncertainty[axis].width <= settings.targetWidth);
+  if (answeredCount >= settings.minQuestions && settled) return { index: null, reason: 'target' };
+  // Undetermined axes first (least answered weight first), then the widest
+  const ranked = [...AXES].sort((a, b) => {
+    const ua = uncertainty[a];
+    const ub = uncertainty[b];
+    if (ua.determined !== ub.determined) return ua.determined ? 1 : -1;
+    if (!ua.determined) return ua.answeredWeight - ub.answeredWeight;
+    return ub.width - ua.width;
+  });
+  const weightOn = (idx, axis) => Math.abs(Number(list[idx]?.weights?.[axis]) || 0);
+  for (const axis of ranked) {
+    const best = candidates.reduce((top, idx) => (weightOn(idx, axis) > weightOn(top, axis) ? idx : top), candidates[0]);
+    if (weightOn(best, axis) > 0) return { index: best, axis };
+  }
+  return { index: candidates[0], axis: null };
+}
+
+/**
+ * Converts a normalized vector into spherical coordinates.  `r` is the
+ * magnitude rescaled to 0..1 (the cube corner has |v| = √3), θ is the
+ * polar angle from +z and φ the azimuth in 0..2π.
+ */
+export function toSpherical(vector) {
+  const x = Number(vector?.x) || 0;
+  const y = Number(vector?.y) || 0;
+  const z = Number(vector?.z) || 0;
+  const magnitude = Math.sqrt(x * x + y * y + z * z) || 0;
+  const r = Math.min(1, magnitude / Math.sqrt(3));
+  const theta = magnitude ? Math.acos(z / magnitude) : 0;
+  let phi = Math.atan2(y, x);
+  if (phi < 0) phi += 2 * Math.PI;
+  return {
+    r,
+    theta,
+    phi,
+    thetaDeg: rad2deg(theta),
+    phiDeg: rad2deg(phi),
+    rawRadius: magnitude
+  };
+}
+
+/**
+ * Buckets a vector into one of 16 spherical sectors: 4 around the
+ * azimuth (φ) times 4 along the polar angle (θ).  `index` is 0-based.
+ */
+export function sectorFromVector(x, y, z) {
+  const { theta, phi } = toSpherical({ x, y, z });
+  let phiSector = Math.floor((phi / (2 * Math.PI)) * 4);
+  let thetaSector = Math.floor((theta / Math.PI) * 4);
+  if (phiSector > 3) phiSector = 3;
+  if (thetaSector > 3) thetaSector = 3;
+  return {
+    index: phiSector * 4 + thetaSector,
+    phiSector,
+    thetaSector
+  };
+}
+
+/* --------------------------------------------------------------------------
+ *  Region model
+ *
+ * quadrants.json declares which model partitions the result space:
+ *
+ *   { "model": "cartesian", "regions": [{ "id", "bounds": { "x", "y", "z" }, ... }] }
+ *   { "model": "spherical", "regions": [{ "id", "bounds": { "phi", "theta" }, ... }] }
+ *
+ * Cartesian bounds are ranges on the normalized cube [-1, 1]³; spherical
+ * bounds are φ (0°..360°) and θ (0°..180°) ranges in degrees.  A legacy
+ * bare array is read as a cartesian model.  The region a result falls in
+ * drives the headline number (position + 1), the description, the legend
+ * and the colouring of both visualizations.
+ */
+
+export const REGION_MODELS = ['cartesian', 'spherical'];
+
+// Coordinates read by each model and the upper limit of their domain
+const MODEL_COORDINATES = {
+  cartesian: { x: 1, y: 1, z: 1 },
+  spherical: { phi: 360, theta: 180 }
+};
+
+/**
+ * Builds the default spherical partition: `phiSectors` slices around the
+ * azimuth times `thetaSectors` bands along the polar angle, ordered
+ * φ-major so that region `i` matches sectorFromVector().index.
+ */
+export function sphericalGridRegions(phiSectors = 4, thetaSectors = 4) {
+  const regions = [];
+  const phiStep = 360 / phiSectors;
+  const thetaStep = 180 / thetaSectors;
+  for (let p = 0; p < phiSectors; p++) {
+    for (let t = 0; t < thetaSectors; t++) {
+      regions.push({
+        id: String(p * thetaSectors + t + 1),
+        phiSector: p,
+        thetaSector: t,
+        bounds: {
+          phi: [p * phiStep, (p + 1) * phiStep],
+          theta: [t * thetaStep, (t + 1) * thetaStep]
+        }
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Normalizes the parsed quadrants.json into `{ model, regions }`.  Returns
+ * null when the data does not describe any region.
+ */
+export function createRegionModel(data) {
+  let model = 'cartesian';
+  let regions = null;
+  if (Array.isArray(data)) {
+    regions = data;
+  } else if (data && typeof data === 'object' && Array.isArray(data.regions)) {
+    model = REGION_MODELS.includes(data.model) ? data.model : 'cartesian';
+    regions = data.regions;
+  }
+  if (!regions) return null;
+  const valid = regions.filter((entry) => entry && typeof entry === 'object');
+  return valid.length ? { model, regions: valid } : null;
+}
+
+// Region fields that carry text and can be translated in quadrants_<lang>.json
+export const LOCALIZED_REGION_FIELDS = ['name', 'content', 'affiliazionepolitica'];
+
+function regionTexts(translations, region) {
+  if (!translations || typeof translations !== 'object' || region.id === undefined) return null;
+  const id = String(region.id);
+  if (!Object.prototype.hasOwnProperty.call(translations, id)) return null;
+  const texts = translations[id];
+  return texts && typeof texts === 'object' ? texts : null;
+}
+
+/**
+ * Applies a translation table (quadrants_<lang>.json: region id → `name`,
+ * `content`, `affiliazionepolitica`) to a region model.  Bounds and
+ * colours stay those of the model; fields the table does not translate
+ * keep their original (Italian) text.
+ */
+export function localizeRegionModel(regionModel, translations) {
+  if (!regionModel || !translations || typeof translations !== 'object') return regionModel;
+  return {
+    ...regionModel,
+    regions: regionModel.regions.map((region) => {
+      const texts = regionTexts(translations, region);
+      if (!texts) return region;
+      const localized = { ...region };
+      LOCALIZED_REGION_FIELDS.forEach((field) => {
+        if (texts[field] !== undefined && texts[field] !== null && texts[field] !== '') localized[field] = texts[field];
+      });
+      return localized;
+    })
+  };
+}
+
+/**
+ * Lists the regions a translation table leaves (partly) in the original
+ * language: `[{ id, fields }]`, where fields are the text fields the
+ * region has but the table does not translate.
+ */
+export function untranslatedRegions(regionModel, translations) {
+  if (!regionModel) return [];
+  return regionModel.regions.reduce((acc, region, idx) => {
+    const texts = regionTexts(translations, region) || {};
+    const fields = LOCALIZED_REGION_FIELDS.filter((field) => (
+      region[field] !== undefined && (texts[field] === undefined || texts[field] === null || texts[field] === '')
+    ));
+    if (fields.length) acc.push({ id: region.id !== undefined ? String(region.id) : String(idx + 1), fields });
+    return acc;
+  }, []);
+}
+
+function normalizeRange(range) {
+  if (!Array.isArray(range) || range.length < 2) return null;
+  const [min, max] = range.map(Number);
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+  return [Math.min(min, max), Math.max(min, max)];
+}
+
+// Ranges are half-open so that shared faces belong to exactly one region;
+// the upper edge of the domain is closed.
+function rangeIncludes(value, range, upperLimit) {
+  if (range === undefined) return true;
+  const bounds = normalizeRange(range);
+  if (!bounds) return false;
+  const [lower, upper] = bounds;
+  if (value < lower) return false;
+  return value < upper || (upper >= upperLimit && value <= upper);
+}
+
+export function getBoundsCenter(bounds) {
+  if (!bounds || typeof bounds !== 'object') return null;
+  let hasValue = false;
+  const center = {};
+  ['x', 'y', 'z', 'phi', 'theta'].forEach((axis) => {
+    const range = normalizeRange(bounds[axis]);
+    if (range) {
+      center[axis] = (range[0] + range[1]) / 2;
+      hasValue = true;
+    }
+  });
+  return hasValue ? center : null;
+}
+
+function distanceSquared(point, center) {
+  if (!point || !center) return Number.POSITIVE_INFINITY;
+  let total = 0;
+  let count = 0;
+  Object.keys(center).forEach((axis) => {
+    const a = Number(point[axis]);
+    const b = Number(center[axis]);
+    if (Number.isFinite(a) && Number.isFinite(b)) {
+      let diff = Math.abs(a - b);
+      if (axis === 'phi') diff = Math.min(diff, 360 - diff);
+      total += diff * diff;
+      count++;
+    }
+  });
+  return count ? total : Number.POSITIVE_INFINITY;
+}
+
+function modelPoint(model, vector) {
+  const x = Number(vector?.x) || 0;
+  const y = Number(vector?.y) || 0;
+  const z = Number(vector?.z) || 0;
+  if (model === 'spherical') {
+    const { phiDeg, thetaDeg } = toSpherical({ x, y, z });
+    return { phi: phiDeg, theta: thetaDeg };
+  }
+  return { x, y, z };
+}
+
+/**
+ * Finds the region containing `vector` (a normalized x/y/z point).  When
+ * the regions leave a gap around the point, the region with the nearest
+ * centre is used.  Returns `{ index, number, id, entry }`, or null when
+ * the model has no regions.
+ */
+export function resolveRegion(regionModel, vector) {
+  const regions = regionModel && Array.isArray(regionModel.regions) ? regionModel.regions : [];
+  if (!regions.length) return null;
+  const model = REGION_MODELS.includes(regionModel.model) ? regionModel.model : 'cartesian';
+  const limits = MODEL_COORDINATES[model];
+  const point = modelPoint(model, vector);
+  let index = regions.findIndex((entry) => {
+    const bounds = entry.bounds || {};
+    return Object.keys(limits).every((coord) => rangeIncludes(point[coord], bounds[coord], limits[coord]));
+  });
+  if (index < 0) {
+    let bestDistance = Number.POSITIVE_INFINITY;
+    regions.forEach((entry, idx) => {
+      const dist = distanceSquared(point, getBoundsCenter(entry.bounds));
+      if (dist < bestDistance) {
+        bestDistance = dist;
+        index = idx;
+      }
+    });
+    if (index < 0) index = 0;
+  }
+  const entry = regions[index];
+  return {
+    index,
+    number: index + 1,
+    id: entry.id !== undefined ? String(entry.id) : String(index + 1),
+    entry
+  };
+}
+
+/**
+ * Scores a raw score vector: normalization by `totals` (see
+ * computeAnsweredTotals()), spherical coordinates and region lookup.
+ * Shared by scoreAnswers() and the browser app.  `options.quadrants` is
+ * the parsed quadrants.json (or a model from createRegionModel());
+ * without it the default 16-sector spherical grid is used.
+ */
+export function scoreRaw(raw, totals, options = {}) {
+  const safeRaw = { x: Number(raw?.x) || 0, y: Number(raw?.y) || 0, z: Number(raw?.z) || 0 };
+  const normalized = normalizeScores(safeRaw, totals);
+  const spherical = toSpherical(normalized);
+  const regionModel = createRegionModel(options.quadrants) || { model: 'spherical', regions: sphericalGridRegions() };
+  return {
+    raw: safeRaw,
+    totals: { ...emptyAxisTotals(), ...(totals || {}) },
+    normalized,
+    spherical,
+    quadrant: resolveRegion(regionModel, normalized)
+  };
+}
+
+/**
+ * Headless entry point: scores an answers array against a question set.
+ * Questions are normalized first, so raw question files (in either
+ * format, see questionList()) can be passed in directly.
+ * `options.weights` (the parsed weights.json) supplies the canonical
+ * weights by question id; `options.quadrants` (the parsed
+ * quadrants.json) selects the region model used for `quadrant`;
+ * `options.importance` is the respondent's importance multipliers,
+ * aligned with the answers.  The result includes the answer `coverage`
+ * (see computeCoverage()).
+ */
+export function scoreAnswers(questions, answers, options = {}) {
+  const normalizedQuestions = applyWeightTable(questionList(questions), options.weights).map(normalizeQuestionEntry);
+  const totals = computeAnsweredTotals(normalizedQuestions, answers, options.importance);
+  const raw = computeRawScores(normalizedQuestions, answers, options.importance);
+  return { ...scoreRaw(raw, totals, options), coverage: computeCoverage(normalizedQuestions, answers) };
+}
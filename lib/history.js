@@ -0,0 +1,150 @@
+/* --------------------------------------------------------------------------
+ *  Results history files
+ *
+ * Export and import of the saved results (the `results` collection of the
+ * store, see storage.js), so they can be analysed elsewhere or moved to
+ * another browser.  The JSON export wraps the records as they are stored:
+ *
+ *   { "format": "sfera-results", "version": 1, "exportedAt": "...", "results": [...] }
+ *
+ * The CSV export flattens each record to one row (profile, normalized and
+ * raw coordinates, quadrant) for spreadsheets; it leaves out the answers,
+ * so only JSON can be imported back.  A plain array of records, as
+ * copied from localStorage, is accepted on import too.
+ */
+import { clampUnit, isValidAnswer } from './engine.js';
+
+export const HISTORY_FORMAT = 'sfera-results';
+export const HISTORY_VERSION = 1;
+
+// CSV columns and how each is read from a record
+export const HISTORY_CSV_COLUMNS = [
+  ['id', (record) => record.id],
+  ['date', (record) => (Number.isFinite(record.timestamp) ? new Date(record.timestamp).toISOString() : '')],
+  ['language', (record) => record.language],
+  ['name', (record) => record.name],
+  ['profession', (record) => record.profession],
+  ['education', (record) => record.education],
+  ['area', (record) => record.area],
+  ['dob', (record) => record.dob],
+  ['cohort', (record) => record.cohort],
+  ['length', (record) => record.length],
+  ['mode', (record) => record.mode],
+  ['ordering', (record) => record.ordering],
+  ['quadrant', (record) => record.quadrant],
+  ['quadrantId', (record) => record.quadrantId],
+  ['x', (record) => record.normalized?.x],
+  ['y', (record) => record.normalized?.y],
+  ['z', (record) => record.normalized?.z],
+  ['rawX', (record) => record.raw?.x],
+  ['rawY', (record) => record.raw?.y],
+  ['rawZ', (record) => record.raw?.z]
+];
+
+// Without the question, an answer is checked against the slider, the scale
+// that spans every value of the others
+const ANY_SCALE = { scale: 'slider' };
+
+function answersFit(answers, questions) {
+  if (answers === undefined) return true;
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) return false;
+  const byId = new Map(questions.map((question, idx) => [question && question.id !== undefined ? String(question.id) : String(idx + 1), question]));
+  return Object.entries(answers).every(([id, value]) => value === null || isValidAnswer(byId.get(id) || ANY_SCALE, value));
+}
+
+/**
+ * Checks a saved result.  Returns it with its normalized coordinates
+ * clamped to [-1, 1], or null when it is not a result: it needs a string
+ * `id` (imports are de-duplicated by it), a numeric `timestamp`, the
+ * three normalized coordinates and answers (by question id) that fit the
+ * scale of their question in `questions`, or [-1, 1] when the question is
+ * not there.  Scales are the same in every language (see
+ * tools/check-parity.js), so the questions of any language will do.
+ */
+export function sanitizeHistoryEntry(entry, questions = []) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+  if (typeof entry.id !== 'string' || !entry.id || !Number.isFinite(entry.timestamp)) return null;
+  if (!answersFit(entry.answers, questions)) return null;
+  const normalized = entry.normalized;
+  if (!normalized || typeof normalized !== 'object' || !['x', 'y', 'z'].every((axis) => Number.isFinite(normalized[axis]))) {
+    return null;
+  }
+  return {
+    ...entry,
+    normalized: {
+      x: clampUnit(normalized.x),
+      y: clampUnit(normalized.y),
+      z: clampUnit(normalized.z)
+    }
+  };
+}
+
+/** JSON export of the saved results */
+export function historyToJson(records, now = Date.now()) {
+  return `${JSON.stringify({
+    format: HISTORY_FORMAT,
+    version: HISTORY_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    results: Array.isArray(records) ? records : []
+  }, null, 2)}\n`;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = String(value);
+  // A text cell starting like a formula would be evaluated by spreadsheets
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV export of the saved results, one row per result (RFC 4180, CRLF) */
+export function historyToCsv(records) {
+  const rows = [HISTORY_CSV_COLUMNS.map(([name]) => name)];
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    rows.push(HISTORY_CSV_COLUMNS.map(([, read]) => csvCell(read(record || {}))));
+  });
+  return `${rows.map((row) => row.join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Records of a parsed history file: the `results` of a JSON export or a
+ * plain array.  Throws when the data is neither, or an export of a newer
+ * version.
+ */
+export function historyRecords(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object' && data.format === HISTORY_FORMAT && Array.isArray(data.results)) {
+    if (!(Number(data.version) <= HISTORY_VERSION)) {
+      throw new Error(`unsupported results export version ${data.version}`);
+    }
+    return data.results;
+  }
+  throw new Error('not a results export');
+}
+
+/**
+ * Merges imported records into the history.  Invalid records (see
+ * sanitizeHistoryEntry(), with `questions`) and records whose id is
+ * already present are skipped; the others are appended and the result is
+ * sorted by time.  Returns `{ history, added, duplicates, invalid }`.
+ */
+export function mergeHistory(history, incoming, { questions = [] } = {}) {
+  const merged = Array.isArray(history) ? [...history] : [];
+  const ids = new Set(merged.map((record) => record && record.id));
+  const outcome = { added: 0, duplicates: 0, invalid: 0 };
+  (Array.isArray(incoming) ? incoming : []).forEach((entry) => {
+    const record = sanitizeHistoryEntry(entry, questions);
+    if (!record) {
+      outcome.invalid += 1;
+    } else if (ids.has(record.id)) {
+      outcome.duplicates += 1;
+    } else {
+      ids.add(record.id);
+      merged.push(record);
+      outcome.added += 1;
+    }
+  });
+  merged.sort((a, b) => (Number(a?.timestamp) || 0) - (Number(b?.timestamp) || 0));
+  return { history: merged, ...outcome };
+}
@@ -0,0 +1,124 @@
+/* --------------------------------------------------------------------------
+ *  Message catalogs
+ *
+ * Translation helpers.  Each language has a catalog in
+ * locales/<lang>.json: nested objects whose leaves are messages,
+ * addressed by dot-separated keys ('quiz.next', 'descriptors.phi.2').
+ * Messages can interpolate parameters with `{name}` and can be pluralized
+ * by giving an object of Intl.PluralRules categories instead of a string:
+ *
+ *   "sampleSize": { "one": "Campione: {count} risultato", "other": "Campione: {count} risultati" }
+ *
+ *   t('insights.sampleSize', { count: 3 })  // → 'Campione: 3 risultati'
+ *
+ * Keys missing from the active catalog fall back to the fallback language
+ * (Italian) and are recorded, so untranslated strings can be reported.
+ */
+
+export const FALLBACK_LANGUAGE = 'it';
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+function isPluralMessage(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.other === 'string'
+    && Object.keys(value).every((key) => PLURAL_CATEGORIES.includes(key));
+}
+
+/** Reads a dot-separated key from a catalog; returns undefined if absent */
+export function lookup(catalog, key) {
+  if (!catalog || typeof key !== 'string' || !key) return undefined;
+  return key.split('.').reduce((node, part) => {
+    if (node === undefined || node === null || typeof node !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined;
+  }, catalog);
+}
+
+/** Replaces `{name}` placeholders with the matching params; unknown ones are kept */
+export function interpolate(template, params = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) && params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : match
+  ));
+}
+
+/** Picks the plural form of `message` for `count` in `language` */
+export function selectPlural(message, count, language) {
+  let category = 'other';
+  try {
+    category = new Intl.PluralRules(language).select(Number(count) || 0);
+  } catch (err) {
+    category = Number(count) === 1 ? 'one' : 'other';
+  }
+  if (Number(count) === 0 && typeof message.zero === 'string') return message.zero;
+  return typeof message[category] === 'string' ? message[category] : message.other;
+}
+
+/**
+ * Lists every message key of a catalog.  Plural objects count as a single
+ * key; arrays contribute one key per item ('descriptors.phi.0').
+ */
+export function flattenKeys(catalog, prefix = '') {
+  if (catalog === undefined || catalog === null) return [];
+  if (typeof catalog !== 'object' || isPluralMessage(catalog)) return prefix ? [prefix] : [];
+  return Object.keys(catalog).flatMap((key) => flattenKeys(catalog[key], prefix ? `${prefix}.${key}` : key));
+}
+
+/** Placeholder names used by a message (all plural forms included) */
+export function placeholdersOf(message) {
+  const texts = isPluralMessage(message) ? Object.values(message) : [message];
+  const names = new Set();
+  texts.forEach((text) => {
+    String(text).replace(/\{(\w+)\}/g, (match, name) => {
+      names.add(name);
+      return match;
+    });
+  });
+  return [...names].sort();
+}
+
+/**
+ * Creates a translator for `language`.  `catalogs` maps language codes to
+ * parsed catalogs and must contain the fallback language.  `onMissing` is
+ * called once per key that is missing from the active catalog.
+ *
+ * Returns `{ language, t, has, missing }`: `t(key, params)` translates,
+ * `has(key)` tells whether the active catalog defines the key and
+ * `missing()` lists the keys that fell back so far.
+ */
+export function createTranslator({ language, catalogs = {}, fallbackLanguage = FALLBACK_LANGUAGE, onMissing } = {}) {
+  const active = catalogs[language] || null;
+  const fallback = catalogs[fallbackLanguage] || null;
+  const missingKeys = new Map();
+
+  const recordMissing = (key, resolved) => {
+    if (missingKeys.has(key)) return;
+    missingKeys.set(key, resolved);
+    if (typeof onMissing === 'function') onMissing({ language, key, fallback: resolved ? fallbackLanguage : null });
+  };
+
+  const resolve = (key) => {
+    const own = lookup(active, key);
+    if (own !== undefined) return own;
+    const backup = active === fallback ? undefined : lookup(fallback, key);
+    recordMissing(key, backup !== undefined);
+    return backup;
+  };
+
+  const t = (key, params = {}) => {
+    const message = resolve(key);
+    if (message === undefined || message === null) return key;
+    if (isPluralMessage(message)) {
+      return interpolate(selectPlural(message, params.count, language), params);
+    }
+    if (typeof message === 'object') return key;
+    return interpolate(message, params);
+  };
+
+  return {
+    language,
+    t,
+    has: (key) => lookup(active, key) !== undefined,
+    missing: () => [...missingKeys.entries()].map(([key, resolved]) => ({ key, fallback: resolved ? fallbackLanguage : null }))
+  };
+}
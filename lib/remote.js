@@ -0,0 +1,75 @@
+/* --------------------------------------------------------------------------
+ *  Results API client
+ *
+ * Optional remote storage, so results can be collected (and compared)
+ * across participants instead of per browser.  The API, implemented by
+ * the reference server tools/server.js:
+ *
+ *   POST /api/results       saves a result; 201, or 200 when its id exists
+ *   GET  /api/reviews       reviews, without IP addresses
+ *   POST /api/reviews       saves a review; 409 when that person already left one
+ *   GET  /api/aggregates    statistics of every result (see
+ *                           aggregateStatistics() in lib/aggregates.js),
+ *                           ?length=&profession=&education=
+ *   POST /api/access/redeem uses up a one-time token of the access gate,
+ *                           `{ token }`; 409 when it was already used,
+ *                           403 when it is not a token of access.json
+ *
+ * Saved results are never listed: only statistics leave the server.
+ *
+ * The app keeps working from its local store when the API is not
+ * configured or not reachable: records are saved locally first and
+ * uploaded when the server answers.
+ */
+
+export const REMOTE_TIMEOUT = 8000;
+
+/**
+ * Client for the API at `baseUrl` (for example 'https://example.org' or
+ * '/').  Every method rejects with an Error carrying the HTTP `status`
+ * (0 when the server could not be reached or did not answer in time).
+ */
+export function createRemote(baseUrl, { fetch: fetchImpl = globalThis.fetch, timeout = REMOTE_TIMEOUT } = {}) {
+  const root = String(baseUrl || '').replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+      response = await fetchImpl(`${root}/api/${path}`, {
+        method,
+        headers: body === undefined ? { Accept: 'application/json' } : { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (err) {
+      const error = new Error(`${method} /api/${path}: ${controller.signal.aborted ? 'timed out' : err.message}`);
+      error.status = 0;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(`${method} /api/${path}: ${data?.error || response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  const query = (params) => {
+    const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')).toString();
+    return search ? `?${search}` : '';
+  };
+
+  return {
+    baseUrl: root,
+    postResult: (record) => request('POST', 'results', record),
+    listReviews: () => request('GET', 'reviews'),
+    postReview: (review) => request('POST', 'reviews', review),
+    aggregates: (filters = {}) => request('GET', `aggregates${query(filters)}`),
+    redeemToken: (token) => request('POST', 'access/redeem', { token })
+  };
+}
@@ -0,0 +1,90 @@
+/* --------------------------------------------------------------------------
+ *  Hash routes
+ *
+ * Parsing, formatting and guarding of the URLs the app uses:
+ *
+ *   #/lang                    language picker
+ *   #/welcome                 name
+ *   #/profile                 profession, education, date of birth
+ *   #/quiz/12                 question 12 (1-based)
+ *   #/summary                 every answer, editable, before the result
+ *   #/result
+ *   #/insights?tab=cartesian  detailed result, with the open tab
+ *   #/shared/<code>           a shared result, read-only (see share.js)
+ *   #/reviews
+ *   #/data                    export and import of the saved results
+ *
+ * script.js maps each route to its view function; guardRoute() decides
+ * where to go instead when a route's prerequisites are missing.
+ */
+
+export const ROUTES = ['lang', 'welcome', 'profile', 'quiz', 'summary', 'result', 'insights', 'shared', 'reviews', 'data'];
+export const DEFAULT_ROUTE = 'lang';
+export const INSIGHTS_TABS = ['sphere', 'cartesian'];
+
+/**
+ * Parses a location hash ('#/quiz/12?x=1') into `{ name, param, query }`.
+ * Returns null for an unknown route; an empty hash is the default route.
+ */
+export function parseHash(hash) {
+  const text = String(hash || '').replace(/^#\/?/, '');
+  const [path, search = ''] = text.split('?');
+  const [name = '', param] = path.split('/').filter(Boolean);
+  if (!name) return { name: DEFAULT_ROUTE, param: null, query: {} };
+  if (!ROUTES.includes(name)) return null;
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    query[key] = value;
+  });
+  return { name, param: param !== undefined ? decodeURIComponent(param) : null, query };
+}
+
+/** Builds the hash for a route: formatHash({ name: 'quiz', param: 3 }) → '#/quiz/3' */
+export function formatHash({ name, param = null, query = {} }) {
+  const path = param === null || param === undefined ? name : `${name}/${encodeURIComponent(param)}`;
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return `#/${path}${search ? `?${search}` : ''}`;
+}
+
+/** Question number of a quiz route, or null when it is not a positive integer */
+export function questionNumber(route) {
+  const number = Number(route && route.param);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Checks a route against the progress of the session.  `status` holds
+ * `languageSelected`, `hasName`, `profileComplete`, `questionCount`,
+ * `currentQuestion` (1-based) and `finished`.  Returns null when the route
+ * can be shown, otherwise the route to redirect to.
+ */
+export function guardRoute(route, status = {}) {
+  if (!route) return { name: DEFAULT_ROUTE, param: null, query: {} };
+  const redirect = (name, param = null, query = {}) => ({ name, param, query });
+  const needs = ['welcome', 'profile', 'quiz', 'summary', 'result', 'insights'];
+  if (!needs.includes(route.name)) return null;
+  if (!status.languageSelected) return redirect('lang');
+  if (route.name === 'welcome') return null;
+  if (!status.hasName) return redirect('welcome');
+  if (route.name === 'profile') return null;
+  if (!status.profileComplete) return redirect('profile');
+  const count = Number(status.questionCount) || 0;
+  const current = Math.min(Math.max(Number(status.currentQuestion) || 1, 1), Math.max(count, 1));
+  // Once the result is saved the answers can no longer change
+  if (status.finished && (route.name === 'quiz' || route.name === 'summary')) return redirect('result');
+  if (route.name === 'summary') return null;
+  if (route.name === 'quiz') {
+    const number = questionNumber(route);
+    if (number === null) return redirect('quiz', current);
+    if (count && number > count) return redirect('quiz', count);
+    return null;
+  }
+  if (!status.finished) return redirect('quiz', current);
+  if (route.name === 'insights' && route.query.tab !== undefined && !INSIGHTS_TABS.includes(route.query.tab)) {
+    const { tab, ...query } = route.query;
+    return redirect('insights', null, query);
+  }
+  return null;
+}
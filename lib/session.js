@@ -0,0 +1,88 @@
+/* --------------------------------------------------------------------------
+ *  Quiz session snapshots
+ *
+ * Saving an unfinished quiz and resuming it after a reload.  A snapshot
+ * holds the profile, the answers by question index and a fingerprint of
+ * the question set it was taken with: answers are only meaningful against
+ * the exact questions (and weights) they were given for, so a snapshot
+ * whose fingerprint no longer matches is discarded.
+ */
+import { answersFitScales } from './engine.js';
+
+export const SESSION_VERSION = 1;
+
+const PROFILE_FIELDS = ['language', 'name', 'profession', 'education', 'area', 'dob', 'length', 'mode', 'ordering'];
+
+/**
+ * Short hash (FNV-1a, hex) of the ids, texts, weights and scales of a
+ * question set.  Editing a question, its weights, its scale or their order
+ * changes it.
+ */
+export function questionSetFingerprint(questions) {
+  const list = Array.isArray(questions) ? questions : [];
+  const text = JSON.stringify(list.map((question) => [
+    question?.id ?? null,
+    question?.title ?? null,
+    question?.weights ?? null,
+    question?.scale ?? null
+  ]));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${list.length}-${hash.toString(16).padStart(8, '0')}`;
+}
+
+/** Builds the snapshot of an unfinished session from the app state */
+export function createSnapshot(state, fingerprint, now = Date.now()) {
+  const snapshot = { version: SESSION_VERSION, savedAt: now, fingerprint };
+  PROFILE_FIELDS.forEach((field) => {
+    snapshot[field] = state[field] || '';
+  });
+  const answers = Array.isArray(state.answers) ? state.answers : [];
+  snapshot.idx = Number.isInteger(state.idx) && state.idx >= 0 ? state.idx : 0;
+  snapshot.total = Array.isArray(state.questions) ? state.questions.length : answers.length;
+  // JSON has no holes: unanswered questions are stored as null
+  snapshot.answers = Array.from(answers, (value) => (typeof value === 'number' ? value : null));
+  if (Array.isArray(state.importance)) {
+    snapshot.importance = Array.from(state.importance, (value) => (typeof value === 'number' ? value : null));
+  }
+  if (Array.isArray(state.order)) snapshot.order = [...state.order];
+  snapshot.seed = Number.isInteger(state.seed) ? state.seed : null;
+  return snapshot;
+}
+
+/**
+ * Checks a stored snapshot (a JSON string or an object).  Returns the
+ * snapshot when it can be resumed, otherwise null.  With `fingerprint`
+ * the snapshot must also have been taken with that question set, and with
+ * `questions` every answer must fit the scale of its question.
+ */
+export function readSnapshot(stored, { fingerprint, questions } = {}) {
+  let snapshot = stored;
+  if (typeof stored === 'string') {
+    try {
+      snapshot = JSON.parse(stored);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (!snapshot || typeof snapshot !== 'object' || snapshot.version !== SESSION_VERSION) return null;
+  if (!snapshot.language || !snapshot.name || !Array.isArray(snapshot.answers)) return null;
+  if (!Number.isInteger(snapshot.idx) || snapshot.idx < 0) return null;
+  if (!snapshot.answers.every((value) => value === null || typeof value === 'number')) return null;
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  if (snapshot.order !== undefined && !(Array.isArray(snapshot.order) && snapshot.order.every(isIndex))) return null;
+  if (snapshot.seed !== undefined && snapshot.seed !== null && !isIndex(snapshot.seed)) return null;
+  const isFactor = (value) => value === null || (typeof value === 'number' && value > 0);
+  if (snapshot.importance !== undefined && !(Array.isArray(snapshot.importance) && snapshot.importance.every(isFactor))) return null;
+  if (fingerprint !== undefined && snapshot.fingerprint !== fingerprint) return null;
+  if (questions !== undefined && !answersFitScales(questions, snapshot.answers)) return null;
+  return snapshot;
+}
+
+/** Number of answered questions in a snapshot */
+export function answeredCount(snapshot) {
+  return snapshot.answers.filter((value) => value !== null).length;
+}
@@ -0,0 +1,89 @@
+/* --------------------------------------------------------------------------
+ *  Shareable result links
+ *
+ * Encodes a result into the fragment of a URL, so it can be shared
+ * without a server: `#/shared/<code>`.  The code is
+ *
+ *   1.en.1.40-8c1f2a3b.<answers>[.<importance>]
+ *
+ * the encoding version, the language, the test length (index into
+ * TEST_LENGTHS), the fingerprint of the question set the answers belong
+ * to (see questionSetFingerprint()) and one character per question.  The
+ * link carries answers, not scores: opening it scores them again against
+ * the same questions, and a link whose fingerprint no longer matches the
+ * published questions is rejected rather than scored against others.
+ */
+import { IMPORTANCE_LEVELS, TEST_LENGTHS } from './engine.js';
+
+export const SHARE_VERSION = 1;
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+// Answers are stored in steps of 1/30: exact for halves, thirds and tenths,
+// the values of every response scale
+const STEPS = 30;
+const SKIPPED = 2 * STEPS + 1;
+const NOT_ASKED = SKIPPED + 1;
+const LEVELS = Object.values(IMPORTANCE_LEVELS);
+
+/**
+ * Encodes a result.  `answers` and `importance` are aligned with the
+ * question set; `asked` lists the indices shown to the respondent when not
+ * all were (adaptive mode), so the others are not counted as skipped.
+ */
+export function encodeShare({ language, length, fingerprint, answers = [], importance = [], asked = null }) {
+  const total = Number.parseInt(String(fingerprint), 10) || 0;
+  const askedSet = Array.isArray(asked) ? new Set(asked) : null;
+  let answerCodes = '';
+  let importanceCodes = '';
+  for (let idx = 0; idx < total; idx++) {
+    const value = answers[idx];
+    let code;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      code = Math.round(Math.max(-1, Math.min(1, value)) * STEPS) + STEPS;
+    } else {
+      code = askedSet && !askedSet.has(idx) ? NOT_ASKED : SKIPPED;
+    }
+    answerCodes += ALPHABET[code];
+    importanceCodes += String(LEVELS.indexOf(importance[idx]) + 1);
+  }
+  const parts = [SHARE_VERSION, language, Math.max(TEST_LENGTHS.indexOf(length), 0), fingerprint, answerCodes];
+  if (/[^0]/.test(importanceCodes)) parts.push(importanceCodes);
+  return parts.join('.');
+}
+
+/**
+ * Decodes a share code.  Returns `{ language, length, fingerprint,
+ * answers, importance, asked }`, with answers and importance aligned with
+ * the question set (undefined where there is none) and asked null when
+ * every question was asked, or null when the code is damaged or of
+ * another encoding version.
+ */
+export function decodeShare(code) {
+  const parts = String(code || '').split('.');
+  if (parts.length < 5 || parts.length > 6 || Number(parts[0]) !== SHARE_VERSION) return null;
+  const [, language, lengthIndex, fingerprint, answerCodes, importanceCodes = ''] = parts;
+  const length = TEST_LENGTHS[Number(lengthIndex)];
+  if (!/^[a-z]{2}$/.test(language) || !/^\d$/.test(lengthIndex) || !length) return null;
+  if (!/^\d+-[0-9a-f]{8}$/.test(fingerprint) || Number.parseInt(fingerprint, 10) !== answerCodes.length) return null;
+  if (importanceCodes && importanceCodes.length !== answerCodes.length) return null;
+  const answers = [];
+  const importance = [];
+  const asked = [];
+  for (let idx = 0; idx < answerCodes.length; idx++) {
+    const code = ALPHABET.indexOf(answerCodes[idx]);
+    if (code < 0 || code > NOT_ASKED) return null;
+    if (code !== NOT_ASKED) asked.push(idx);
+    answers.push(code <= 2 * STEPS ? (code - STEPS) / STEPS : undefined);
+    const level = importanceCodes ? Number(importanceCodes[idx]) : 0;
+    if (!Number.isInteger(level) || level > LEVELS.length) return null;
+    importance.push(level ? LEVELS[level - 1] : undefined);
+  }
+  return {
+    language,
+    length,
+    fingerprint,
+    answers,
+    importance,
+    asked: asked.length === answerCodes.length ? null : asked
+  };
+}
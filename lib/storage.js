@@ -0,0 +1,298 @@
+/* --------------------------------------------------------------------------
+ *  Storage of results and reviews
+ *
+ * Saved results and reviews live behind a small asynchronous store with
+ * pluggable backends:
+ *
+ *   indexeddb     one object store per collection, keyed by record id; the
+ *                 default, without the few megabytes limit of localStorage
+ *   localstorage  one JSON array per collection under the keys `results`,
+ *                 `reviews` and `quarantine`, as the app used to store them
+ *   memory        tests, or a browser that offers neither
+ *
+ * Every record carries `schemaVersion`.  Records written by older
+ * versions of the app are upgraded by MIGRATIONS when read, and written
+ * back.  Data that cannot be read (a localStorage value that is not a JSON
+ * array, a record no migration accepts, a record of a newer schema) is
+ * moved to the `quarantine` collection, `{ id, collection, reason, at,
+ * data }`, instead of breaking the page or being thrown away.
+ *
+ * The session in progress and the chosen language stay in localStorage:
+ * they are small and needed synchronously at startup.
+ */
+import { DEFAULT_TEST_LENGTH } from './engine.js';
+import { sanitizeHistoryEntry } from './history.js';
+
+export const SCHEMA_VERSION = 1;
+export const COLLECTIONS = ['results', 'reviews', 'quarantine'];
+export const DB_NAME = 'sfera-politica';
+const DB_VERSION = 1;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Upgrades per collection: MIGRATIONS.results[0] turns a version 0 result
+ * (saved before records were versioned) into version 1.  A step receives
+ * the record and its position in the collection, and returns null when
+ * the record cannot be kept.
+ */
+export const MIGRATIONS = {
+  results: [
+    (record, index) => ({
+      ...record,
+      id: typeof record.id === 'string' && record.id ? record.id : `${record.timestamp}-${index}`,
+      // Unversioned results predate test lengths and the adaptive mode
+      length: record.length || DEFAULT_TEST_LENGTH,
+      mode: record.mode || 'linear'
+    })
+  ],
+  reviews: [
+    (review, index) => {
+      const time = Date.parse(review.date);
+      return Number.isFinite(time) ? { ...review, id: typeof review.id === 'string' && review.id ? review.id : `${time}-${index}` } : null;
+    }
+  ],
+  quarantine: []
+};
+
+/** What a record of the current schema must hold; each check returns the record (possibly cleaned) or null */
+export const RECORD_CHECKS = {
+  results: sanitizeHistoryEntry,
+  reviews: (review) => (
+    typeof review.id === 'string' && review.id && typeof review.name === 'string' && typeof review.message === 'string'
+      && Number.isFinite(Date.parse(review.date)) ? review : null
+  ),
+  quarantine: (entry) => (typeof entry.id === 'string' && entry.id ? entry : null)
+};
+
+/**
+ * Brings a stored record up to SCHEMA_VERSION and checks it.  Returns the
+ * record, or null when it cannot be read.
+ */
+export function migrateRecord(collection, record, index = 0) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+  const from = record.schemaVersion === undefined ? 0 : record.schemaVersion;
+  if (!Number.isInteger(from) || from < 0 || from > SCHEMA_VERSION) return null;
+  const steps = MIGRATIONS[collection] || [];
+  let current = record;
+  for (let version = from; version < SCHEMA_VERSION; version++) {
+    current = steps[version] ? steps[version](current, index) : current;
+    if (!current) return null;
+    current = { ...current, schemaVersion: version + 1 };
+  }
+  const check = RECORD_CHECKS[collection];
+  return check ? check(current) : current;
+}
+
+const timeOf = (record) => Number(record.timestamp) || Date.parse(record.date) || Number(record.at) || 0;
+
+/* --------------------------------------------------------------------------
+ *  Backends
+ *
+ * A backend stores plain records per collection: read(collection) resolves
+ * to `{ records, corrupt }`, where corrupt is the unreadable raw value (or
+ * null), write(collection, records) replaces the collection and
+ * add(collection, record) appends one record.
+ */
+
+export function memoryBackend() {
+  const data = new Map(COLLECTIONS.map((collection) => [collection, []]));
+  return {
+    name: 'memory',
+    async read(collection) {
+      return { records: copy(data.get(collection) || []), corrupt: null };
+    },
+    async write(collection, records) {
+      data.set(collection, copy(records));
+    },
+    async add(collection, record) {
+      data.set(collection, [...(data.get(collection) || []), copy(record)]);
+    }
+  };
+}
+
+/** Backend over a Storage object (window.localStorage); writes throw when the quota is full */
+export function localStorageBackend(storage) {
+  async function read(collection) {
+    const raw = storage.getItem(collection);
+    if (!raw) return { records: [], corrupt: null };
+    try {
+      const records = JSON.parse(raw);
+      if (Array.isArray(records)) return { records, corrupt: null };
+    } catch (err) {
+      // Reported to the store as corrupt below
+    }
+    return { records: [], corrupt: raw };
+  }
+  async function write(collection, records) {
+    if (records.length) {
+      storage.setItem(collection, JSON.stringify(records));
+    } else {
+      storage.removeItem(collection);
+    }
+  }
+  return {
+    name: 'localstorage',
+    read,
+    write,
+    async add(collection, record) {
+      const { records, corrupt } = await read(collection);
+      if (corrupt !== null) throw new Error(`unreadable ${collection} in localStorage`);
+      await write(collection, [...records, record]);
+    }
+  };
+}
+
+function transactionResult(db, collection, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(collection, mode);
+    let result;
+    const request = work(transaction.objectStore(collection));
+    if (request) request.onsuccess = () => { result = request.result; };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('transaction aborted'));
+  });
+}
+
+/** Opens (creating it the first time) the IndexedDB database of the app */
+export function openIndexedDb(factory, name = DB_NAME) {
+  return new Promise((resolve, reject) => {
+    if (!factory) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = factory.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      COLLECTIONS.forEach((collection) => {
+        if (!db.objectStoreNames.contains(collection)) db.createObjectStore(collection, { keyPath: 'id' });
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+/** Backend over an open IndexedDB database (see openIndexedDb()) */
+export function indexedDbBackend(db) {
+  return {
+    name: 'indexeddb',
+    async read(collection) {
+      return { records: await transactionResult(db, collection, 'readonly', (store) => store.getAll()), corrupt: null };
+    },
+    async write(collection, records) {
+      await transactionResult(db, collection, 'readwrite', (store) => {
+        store.clear();
+        records.forEach((record) => store.put(record));
+      });
+    },
+    async add(collection, record) {
+      await transactionResult(db, collection, 'readwrite', (store) => {
+        store.put(record);
+      });
+    }
+  };
+}
+
+/* --------------------------------------------------------------------------
+ *  Store
+ */
+
+/**
+ * Store over a backend: list(collection) resolves to the current records
+ * sorted by time, add(collection, record) saves one more and
+ * replace(collection, records) overwrites the collection.  Listing
+ * migrates old records and quarantines unreadable ones, calling
+ * onRecover({ collection, reason, count }) for each kind of problem.
+ */
+export function createStore(backend, { onRecover = () => {} } = {}) {
+  async function quarantine(collection, entries) {
+    if (!entries.length) return;
+    const now = Date.now();
+    const { records } = await backend.read('quarantine');
+    const stamped = entries.map((entry, idx) => ({
+      id: `${now}-${collection}-${idx}`,
+      collection,
+      at: now,
+      schemaVersion: SCHEMA_VERSION,
+      ...entry
+    }));
+    await backend.write('quarantine', [...records, ...stamped]);
+    ['unreadable', 'invalid'].forEach((reason) => {
+      const count = entries.filter((entry) => entry.reason === reason).length;
+      if (count) onRecover({ collection, reason, count });
+    });
+  }
+
+  async function list(collection) {
+    const { records, corrupt } = await backend.read(collection);
+    const current = [];
+    const rejected = corrupt !== null ? [{ reason: 'unreadable', data: corrupt }] : [];
+    let changed = corrupt !== null;
+    records.forEach((record, index) => {
+      const migrated = migrateRecord(collection, record, index);
+      if (!migrated) {
+        rejected.push({ reason: 'invalid', data: record });
+      } else {
+        current.push(migrated);
+      }
+      if (!migrated || record.schemaVersion !== SCHEMA_VERSION) changed = true;
+    });
+    if (changed) {
+      await quarantine(collection, rejected);
+      await backend.write(collection, current);
+    }
+    return current.sort((a, b) => timeOf(a) - timeOf(b));
+  }
+
+  return {
+    backend: backend.name,
+    list,
+    async add(collection, record) {
+      // Listing first repairs the collection, so adding never overwrites unread data
+      await list(collection);
+      const stamped = { ...record, schemaVersion: SCHEMA_VERSION };
+      await backend.add(collection, stamped);
+      return stamped;
+    },
+    async replace(collection, records) {
+      await backend.write(collection, records.map((record) => ({ ...record, schemaVersion: SCHEMA_VERSION })));
+    }
+  };
+}
+
+/**
+ * Moves every collection of `legacy` (a localStorage store) into `store`,
+ * keeping the records `store` already has.  The moved collections are
+ * removed from `legacy` only after they were written.
+ */
+export async function moveCollections(legacy, store) {
+  for (const collection of COLLECTIONS) {
+    const moving = await legacy.list(collection);
+    if (!moving.length) continue;
+    const existing = await store.list(collection);
+    const ids = new Set(existing.map((record) => record.id));
+    await store.replace(collection, [...existing, ...moving.filter((record) => !ids.has(record.id))]);
+    await legacy.replace(collection, []);
+  }
+}
+
+/**
+ * Opens the store of the app: IndexedDB when it can be opened, moving
+ * into it what older versions saved in localStorage; otherwise
+ * localStorage, otherwise memory.  onFallback(error) is called when
+ * IndexedDB cannot be used.
+ */
+export async function openStore({ indexedDB = null, localStorage = null, onRecover, onFallback = () => {} } = {}) {
+  const legacy = localStorage ? createStore(localStorageBackend(localStorage), { onRecover }) : null;
+  try {
+    const store = createStore(indexedDbBackend(await openIndexedDb(indexedDB)), { onRecover });
+    if (legacy) await moveCollections(legacy, store);
+    return store;
+  } catch (err) {
+    onFallback(err);
+  }
+  return legacy || createStore(memoryBackend(), { onRecover });
+}
@@ -1,12 +1,48 @@
 import * as THREE from 'three';
 import { OrbitControls } from './lib/OrbitControls.js';
+import {
+  ADAPTIVE_DEFAULTS,
+  AXES,
+  answersById,
+  answersFitScales,
+  bootstrapIntervals,
+  applyWeightTable,
+  computeAnsweredTotals,
+  computeCoverage,
+  computeRawScores,
+  IMPORTANCE_LEVELS,
+  createRegionModel,
+  DEFAULT_TEST_LENGTH,
+  localizeRegionModel,
+  nextAdaptiveQuestion,
+  QUESTION_ORDERS,
+  questionOrder,
+  questionsForLength,
+  questionList,
+  randomSeed,
+  normalizeQuestionEntry,
+  resolveRegion,
+  scaleOf,
+  scoreRaw,
+  sectorFromVector,
+  TEST_LENGTHS,
+  sphericalGridRegions,
+  untranslatedRegions
+} from './lib/engine.js';
+import { FALLBACK_LANGUAGE, createTranslator } from './lib/i18n.js';
+import { DEFAULT_ROUTE, formatHash, guardRoute, parseHash, questionNumber } from './lib/router.js';
+import { answeredCount, createSnapshot, questionSetFingerprint, readSnapshot } from './lib/session.js';
+import { decodeShare, encodeShare } from './lib/share.js';
+import { resultCard } from './lib/card.js';
+import { historyRecords, historyToCsv, historyToJson, mergeHistory } from './lib/history.js';
+import { migrateRecord, openStore } from './lib/storage.js';
+import { aggregateStatistics, professionKey } from './lib/aggregates.js';
+import { createRemote } from './lib/remote.js';
+import { checkAccess, lockoutRemaining, normalizeSecret, readAccessConfig, readLockout, recordFailure } from './lib/access.js';
 
 // Reference to the root app container
 const app = document.getElementById('app');
 
-const MAGIC_WORD = 'mellon';
-const MAX_ACCESS_ATTEMPTS = 3;
-
 // Supported languages and metadata used in the language selector
 const LANGUAGES = [
   { code: 'it', name: 'Italiano', flag: { src: 'assets/flags/it.svg', alt: 'Bandiera italiana' } },
@@ -16,249 +52,17 @@ const LANGUAGES = [
   { code: 'de', name: 'Deutsch', flag: { src: 'assets/flags/de.svg', alt: 'Flagge Deutschlands' } }
 ];
 
-const EDUCATION_OPTIONS = {
-  it: [
-    { value: 'postdoc', label: 'Post-doc' },
-    { value: 'phd', label: 'Dottorato' },
-    { value: 'laurea_magistrale', label: 'Laurea Magistrale' },
-    { value: 'laurea_triennale', label: 'Laurea Triennale' },
-    { value: 'diploma', label: 'Diploma' },
-    { value: 'terza_media', label: 'Terza Media' }
-  ],
-  en: [
-    { value: 'postdoc', label: 'Postdoc' },
-    { value: 'phd', label: 'PhD' },
-    { value: 'laurea_magistrale', label: 'Master’s Degree' },
-    { value: 'laurea_triennale', label: 'Bachelor’s Degree' },
-    { value: 'diploma', label: 'High School Diploma' },
-    { value: 'terza_media', label: 'Middle School' }
-  ],
-  es: [
-    { value: 'postdoc', label: 'Posdoctorado' },
-    { value: 'phd', label: 'Doctorado' },
-    { value: 'laurea_magistrale', label: 'Máster' },
-    { value: 'laurea_triennale', label: 'Grado' },
-    { value: 'diploma', label: 'Bachillerato' },
-    { value: 'terza_media', label: 'Educación secundaria' }
-  ],
-  fr: [
-    { value: 'postdoc', label: 'Postdoctorat' },
-    { value: 'phd', label: 'Doctorat' },
-    { value: 'laurea_magistrale', label: 'Master' },
-    { value: 'laurea_triennale', label: 'Licence' },
-    { value: 'diploma', label: 'Baccalauréat' },
-    { value: 'terza_media', label: 'Collège' }
-  ],
-  de: [
-    { value: 'postdoc', label: 'Postdoc' },
-    { value: 'phd', label: 'Promotion' },
-    { value: 'laurea_magistrale', label: 'Masterabschluss' },
-    { value: 'laurea_triennale', label: 'Bachelorabschluss' },
-    { value: 'diploma', label: 'Abitur' },
-    { value: 'terza_media', label: 'Mittlere Reife' }
-  ]
-};
-
-const INTEREST_OPTIONS = {
-  it: [
-    { value: 'letters', label: 'Lettere' },
-    { value: 'history', label: 'Storia' },
-    { value: 'music', label: 'Musica' },
-    { value: 'art', label: 'Arte' },
-    { value: 'engineering', label: 'Ingegneria' },
-    { value: 'math', label: 'Matematica' },
-    { value: 'physics', label: 'Fisica' },
-    { value: 'biology', label: 'Biologia' },
-    { value: 'chemistry', label: 'Chimica' },
-    { value: 'architecture', label: 'Architettura' },
-    { value: 'informatics', label: 'Informatica' },
-    { value: 'medicine', label: 'Medicina' }
-  ],
-  en: [
-    { value: 'letters', label: 'Literature' },
-    { value: 'history', label: 'History' },
-    { value: 'music', label: 'Music' },
-    { value: 'art', label: 'Art' },
-    { value: 'engineering', label: 'Engineering' },
-    { value: 'math', label: 'Mathematics' },
-    { value: 'physics', label: 'Physics' },
-    { value: 'biology', label: 'Biology' },
-      { value: 'chemistry', label: 'Chemistry' },
-      { value: 'architecture', label: 'Architettura' },
-    { value: 'informatics', label: 'Computer Science' },
-    { value: 'medicine', label: 'Medicine' }
-  ],
-  es: [
-    { value: 'letters', label: 'Literatura' },
-    { value: 'history', label: 'Historia' },
-    { value: 'music', label: 'Música' },
-    { value: 'art', label: 'Arte' },
-    { value: 'engineering', label: 'Ingeniería' },
-    { value: 'math', label: 'Matemáticas' },
-    { value: 'physics', label: 'Física' },
-    { value: 'biology', label: 'Biología' },
-      { value: 'architecture', label: 'Architettura' },
-    { value: 'chemistry', label: 'Química' },
-    { value: 'informatics', label: 'Informática' },
-    { value: 'medicine', label: 'Medicina' }
-  ],
-  fr: [
-    { value: 'letters', label: 'Lettres' },
-    { value: 'history', label: 'Histoire' },
-    { value: 'music', label: 'Musique' },
-    { value: 'art', label: 'Art' },
-    { value: 'engineering', label: 'Ingénierie' },
-    { value: 'math', label: 'Mathématiques' },
-    { value: 'physics', label: 'Physique' },
-    { value: 'biology', label: 'Biologie' },
-    { value: 'chemistry', label: 'Chimie' },
-    { value: 'informatics', label: 'Informatique' },
-    { value: 'medicine', label: 'Médecine' }
-  ],
-  de: [
-    { value: 'letters', label: 'Literatur' },
-    { value: 'history', label: 'Geschichte' },
-    { value: 'music', label: 'Musik' },
-    { value: 'art', label: 'Kunst' },
-    { value: 'engineering', label: 'Ingenieurwesen' },
-    { value: 'math', label: 'Mathematik' },
-    { value: 'physics', label: 'Physik' },
-    { value: 'biology', label: 'Biologie' },
-    { value: 'chemistry', label: 'Chemie' },
-    { value: 'informatics', label: 'Informatik' },
-    { value: 'medicine', label: 'Medizin' }
-  ]
-};
-
-const PROFILE_COPY = {
-  it: {
-    professionPlaceholder: 'Professione',
-    educationLabel: 'Titolo di studio',
-    educationPlaceholder: 'Seleziona il tuo titolo di studio',
-    interestLabel: 'Area di interesse',
-    interestPlaceholder: 'Seleziona un\'area',
-    missingEducation: 'Seleziona il titolo di studio per continuare.',
-    missingInterest: 'Seleziona un\'area di interesse per continuare.'
-  },
-  en: {
-    professionPlaceholder: 'Profession',
-    educationLabel: 'Education level',
-    educationPlaceholder: 'Select your education level',
-    interestLabel: 'Area of interest',
-    interestPlaceholder: 'Select an area',
-    missingEducation: 'Select an education level to continue.',
-    missingInterest: 'Select an area of interest to continue.'
-  },
-  es: {
-    professionPlaceholder: 'Profesión',
-    educationLabel: 'Título académico',
-    educationPlaceholder: 'Selecciona tu título académico',
-    interestLabel: 'Área de interés',
-    interestPlaceholder: 'Selecciona un área',
-    missingEducation: 'Selecciona un título académico para continuar.',
-    missingInterest: 'Selecciona un área de interés para continuar.'
-  },
-  fr: {
-    professionPlaceholder: 'Profession',
-    educationLabel: 'Niveau d\'études',
-    educationPlaceholder: 'Sélectionnez votre niveau d\'études',
-    interestLabel: 'Domaine d\'intérêt',
-    interestPlaceholder: 'Sélectionnez un domaine',
-    missingEducation: 'Sélectionnez un niveau d\'études pour continuer.',
-    missingInterest: 'Sélectionnez un domaine d\'intérêt pour continuer.'
-  },
-  de: {
-    professionPlaceholder: 'Beruf',
-    educationLabel: 'Bildungsabschluss',
-    educationPlaceholder: 'Wähle deinen Bildungsabschluss',
-    interestLabel: 'Interessensgebiet',
-    interestPlaceholder: 'Wähle ein Gebiet',
-    missingEducation: 'Wähle einen Bildungsabschluss, um fortzufahren.',
-    missingInterest: 'Wähle ein Interessensgebiet, um fortzufahren.'
-  }
-};
-
-const INSIGHTS_COPY = {
-  it: {
-    comparisonTitle: 'Confronto con la tua classe',
-    professionFilter: 'Filtra per professione',
-    educationFilter: 'Filtra per titolo di studio',
-    allOption: 'Tutti',
-    unspecifiedProfession: 'Non specificato',
-    globalAverage: 'Media globale',
-    professionAverage: 'Media professione',
-    educationAverage: 'Media titolo di studio',
-    combinationAverage: 'Media combinata',
-    sampleSize: (n) => `Campione: ${n}`,
-    noData: 'Nessun dato disponibile per questa selezione.'
-  },
-  en: {
-    comparisonTitle: 'Compare with your peers',
-    professionFilter: 'Filter by profession',
-    educationFilter: 'Filter by education',
-    allOption: 'All',
-    unspecifiedProfession: 'Unspecified',
-    globalAverage: 'Global average',
-    professionAverage: 'Profession average',
-    educationAverage: 'Education average',
-    combinationAverage: 'Combined average',
-    sampleSize: (n) => `Sample size: ${n}`,
-    noData: 'No data available for this selection.'
-  },
-  es: {
-    comparisonTitle: 'Comparación con tu grupo',
-    professionFilter: 'Filtrar por profesión',
-    educationFilter: 'Filtrar por título académico',
-    allOption: 'Todos',
-    unspecifiedProfession: 'Sin especificar',
-    globalAverage: 'Media global',
-    professionAverage: 'Media por profesión',
-    educationAverage: 'Media por título',
-    combinationAverage: 'Media combinada',
-    sampleSize: (n) => `Muestra: ${n}`,
-    noData: 'No hay datos disponibles para esta selección.'
-  },
-  fr: {
-    comparisonTitle: 'Comparer avec votre groupe',
-    professionFilter: 'Filtrer par profession',
-    educationFilter: 'Filtrer par niveau d\'études',
-    allOption: 'Tous',
-    unspecifiedProfession: 'Non spécifié',
-    globalAverage: 'Moyenne globale',
-    professionAverage: 'Moyenne par profession',
-    educationAverage: 'Moyenne par niveau d\'études',
-    combinationAverage: 'Moyenne combinée',
-    sampleSize: (n) => `Échantillon : ${n}`,
-    noData: 'Aucune donnée disponible pour cette sélection.'
-  },
-  de: {
-    comparisonTitle: 'Vergleich mit deiner Gruppe',
-    professionFilter: 'Nach Beruf filtern',
-    educationFilter: 'Nach Abschluss filtern',
-    allOption: 'Alle',
-    unspecifiedProfession: 'Nicht angegeben',
-    globalAverage: 'Globale Durchschnittswerte',
-    professionAverage: 'Berufsdurchschnitt',
-    educationAverage: 'Abschlussdurchschnitt',
-    combinationAverage: 'Kombinierter Durchschnitt',
-    sampleSize: (n) => `Stichprobe: ${n}`,
-    noData: 'Keine Daten für diese Auswahl verfügbar.'
-  }
-};
+// Option keys; labels come from the `education.*` and `interest.*` messages
+const EDUCATION_VALUES = ['postdoc', 'phd', 'laurea_magistrale', 'laurea_triennale', 'diploma', 'terza_media'];
 
-const PHI_DESCRIPTORS = [
-  'Mercato aperto · Diritti civili',
-  'Mercato aperto · Ordine sociale',
-  'Intervento statale · Ordine sociale',
-  'Intervento statale · Diritti civili'
+const INTEREST_VALUES = [
+  'letters', 'history', 'music', 'art', 'engineering', 'math',
+  'physics', 'biology', 'chemistry', 'architecture', 'informatics', 'medicine'
 ];
 
-const THETA_DESCRIPTORS = [
-  'Allineamento forte con l\'establishment',
-  'Moderatamente filo-establishment',
-  'Equilibrato ma critico',
-  'Marcatamente anti-establishment'
-];
+// Number of entries in the `descriptors.phi` / `descriptors.theta` messages
+const PHI_DESCRIPTOR_COUNT = 4;
+const THETA_DESCRIPTOR_COUNT = 4;
 
 const QUADRANT_COLORS = [
   0xff595e, 0xff924c, 0xffca3a, 0x8ac926,
@@ -278,141 +82,166 @@ const CARTESIAN_SECTORS = [
   { center: [0.5, -0.5, -0.5] }
 ];
 
-function getEducationOptions(lang) {
-  return EDUCATION_OPTIONS[lang] || EDUCATION_OPTIONS.it;
+/* --------------------------------------------------------------------------
+ *  Interface language
+ *
+ * Every visible string comes from the message catalogs in locales/<lang>.json
+ * through t(key, params); see lib/i18n.js for the message format.  The
+ * Italian catalog is the reference: keys missing from another language fall
+ * back to it and are reported once in the console (`npm run locales` lists
+ * them without opening the app).
+ */
+const catalogs = {};
+const catalogPromises = {};
+let translator = createTranslator({ language: FALLBACK_LANGUAGE, catalogs });
+
+function loadCatalog(lang) {
+  if (catalogPromises[lang]) {
+    return catalogPromises[lang];
+  }
+  catalogPromises[lang] = (async () => {
+    try {
+      const res = await fetch(`locales/${lang}.json?cb=${Date.now()}`);
+      if (!res.ok) throw new Error(res.statusText);
+      catalogs[lang] = await res.json();
+    } catch (err) {
+      console.warn(`Impossibile caricare i messaggi per "${lang}"`, err);
+      catalogs[lang] = {};
+    }
+  })();
+  return catalogPromises[lang];
+}
+
+function reportMissingMessage({ language, key, fallback }) {
+  if (fallback) {
+    console.warn(`[i18n] "${key}" manca nel catalogo "${language}": uso il testo in "${fallback}"`);
+  } else {
+    console.warn(`[i18n] "${key}" non è definita in nessun catalogo`);
+  }
+}
+
+/** Translates a message key of the active language */
+function t(key, params) {
+  return translator.t(key, params);
 }
 
-function getEducationLabel(value, lang) {
-  if (!value) return '';
-  const opts = getEducationOptions(lang);
-  const match = opts.find((opt) => opt.value === value);
-  if (match) return match.label;
-  // Fallback: search in Italian options to keep a readable label
-  const fallback = EDUCATION_OPTIONS.it.find((opt) => opt.value === value);
-  return fallback ? fallback.label : value;
+/**
+ * Language shown before the user picks one: the last language chosen on
+ * this device, else the browser language when supported, else Italian.
+ */
+function initialLanguage() {
+  const supported = LANGUAGES.map(({ code }) => code);
+  let stored = null;
+  try {
+    stored = localStorage.getItem('language');
+  } catch (err) {
+    stored = null;
+  }
+  if (supported.includes(stored)) return stored;
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return supported.includes(browser) ? browser : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Switches the interface to `lang`: loads its catalog (and the Italian
+ * fallback), rebuilds the translator and re-translates the static markup
+ * of index.html.
+ */
+async function setLanguage(lang) {
+  await Promise.all([loadCatalog(FALLBACK_LANGUAGE), loadCatalog(lang)]);
+  state.language = lang;
+  translator = createTranslator({ language: lang, catalogs, onMissing: reportMissingMessage });
+  try {
+    localStorage.setItem('language', lang);
+  } catch (err) {
+    console.warn('Impossibile salvare la lingua scelta', err);
+  }
+  translateStaticContent();
 }
 
-function getInterestOptions(lang) {
-  return INTEREST_OPTIONS[lang] || INTEREST_OPTIONS.it;
+/**
+ * Translates the markup that lives in index.html (title, access gate).
+ * Elements declare their key with data-i18n (text content),
+ * data-i18n-placeholder or data-i18n-aria-label.
+ */
+function translateStaticContent(root = document) {
+  document.documentElement.lang = state.language;
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+  });
 }
 
-function getInterestLabel(value, lang) {
+function getEducationOptions() {
+  return EDUCATION_VALUES.map((value) => ({ value, label: getEducationLabel(value) }));
+}
+
+function getEducationLabel(value) {
   if (!value) return '';
-  const opts = getInterestOptions(lang);
-  const match = opts.find((opt) => opt.value === value);
-  if (match) return match.label;
-  const fallback = INTEREST_OPTIONS.it.find((opt) => opt.value === value);
-  return fallback ? fallback.label : value;
+  const key = `education.${value}`;
+  const label = t(key);
+  return label === key ? value : label;
 }
 
-function getProfileCopy(lang) {
-  return PROFILE_COPY[lang] || PROFILE_COPY.it;
+function getInterestOptions() {
+  return INTEREST_VALUES.map((value) => ({ value, label: getInterestLabel(value) }));
 }
 
-function getInsightsCopy(lang) {
-  return INSIGHTS_COPY[lang] || INSIGHTS_COPY.it;
+function getInterestLabel(value) {
+  if (!value) return '';
+  const key = `interest.${value}`;
+  const label = t(key);
+  return label === key ? value : label;
 }
 
 function descriptorFromSectors(phiSector, thetaSector) {
-  const phiLabel = PHI_DESCRIPTORS[Math.min(phiSector, PHI_DESCRIPTORS.length - 1)] || '';
-  const thetaLabel = THETA_DESCRIPTORS[Math.min(thetaSector, THETA_DESCRIPTORS.length - 1)] || '';
+  const phiLabel = t(`descriptors.phi.${Math.min(phiSector, PHI_DESCRIPTOR_COUNT - 1)}`);
+  const thetaLabel = t(`descriptors.theta.${Math.min(thetaSector, THETA_DESCRIPTOR_COUNT - 1)}`);
   return `${phiLabel} · ${thetaLabel}`;
 }
 
+/**
+ * Colour of the region at `index`: the `color` declared in quadrants.json
+ * when present, otherwise the built-in palette.
+ */
 function colorFromIndex(index) {
-  const hex = QUADRANT_COLORS[Math.min(index, QUADRANT_COLORS.length - 1)] || 0x2d6cdf;
+  const region = REGION_MODEL.regions[index];
+  const declared = region && typeof region.color === 'string' && /^#[0-9a-f]{6}$/i.test(region.color)
+    ? parseInt(region.color.slice(1), 16)
+    : null;
+  const hex = declared ?? QUADRANT_COLORS[index % QUADRANT_COLORS.length] ?? 0x2d6cdf;
   return {
     hex,
     css: `#${hex.toString(16).padStart(6, '0')}`
   };
 }
 
-function parseNumericQuadrantId(id) {
-  if (Number.isFinite(id)) return Number(id);
-  if (typeof id === 'string' && id.trim()) {
-    const numeric = Number(id.trim());
-    if (Number.isFinite(numeric)) return numeric;
-  }
-  return null;
-}
-
-function rangeIncludes(value, range) {
-  if (!Array.isArray(range) || range.length < 2) return true;
-  const val = Number(value);
-  if (!Number.isFinite(val)) return false;
-  const [min, max] = range;
-  if (!Number.isFinite(min) || !Number.isFinite(max)) return false;
-  const lower = Math.min(min, max);
-  const upper = Math.max(min, max);
-  return val >= lower && val <= upper;
-}
-
-function getBoundsCenter(bounds) {
-  if (!bounds || typeof bounds !== 'object') return null;
-  let hasValue = false;
-  const center = {};
-  ['x', 'y', 'z'].forEach((axis) => {
-    const range = bounds[axis];
-    if (Array.isArray(range) && range.length >= 2) {
-      const [min, max] = range;
-      if (Number.isFinite(min) && Number.isFinite(max)) {
-        center[axis] = (min + max) / 2;
-        hasValue = true;
-      }
-    }
-  });
-  return hasValue ? center : null;
-}
-
-function distanceSquared(point, center) {
-  if (!point || !center) return Number.POSITIVE_INFINITY;
-  let total = 0;
-  let count = 0;
-  ['x', 'y', 'z'].forEach((axis) => {
-    const a = Number(point[axis]);
-    const b = Number(center[axis]);
-    if (Number.isFinite(a) && Number.isFinite(b)) {
-      const diff = a - b;
-      total += diff * diff;
-      count++;
-    }
-  });
-  return count ? total : Number.POSITIVE_INFINITY;
-}
-
+/** Resolves the region containing a normalized point, with its colour */
 function quadrantFromVector(x, y, z) {
-  const r = Math.sqrt(x * x + y * y + z * z) || 0;
-  const theta = r ? Math.acos(z / r) : 0;
-  let phi = Math.atan2(y, x);
-  if (phi < 0) phi += 2 * Math.PI;
-  let phiSector = Math.floor((phi / (2 * Math.PI)) * 4);
-  let thetaSector = Math.floor((theta / Math.PI) * 4);
-  if (phiSector > 3) phiSector = 3;
-  if (thetaSector > 3) thetaSector = 3;
-  const index = phiSector * 4 + thetaSector;
+  const region = resolveRegion(REGION_MODEL, { x, y, z });
+  const index = region ? region.index : 0;
+  const entry = region ? region.entry : null;
   return {
     index,
-    phiSector,
-    thetaSector,
-    descriptor: descriptorFromSectors(phiSector, thetaSector),
+    number: index + 1,
+    id: region ? region.id : '',
+    entry,
+    descriptor: entry?.content || '',
     color: colorFromIndex(index)
   };
 }
 
-const BASE_QUADRANT_LEGEND = Array.from({ length: 16 }, (_, idx) => {
-  const phiSector = Math.floor(idx / 4);
-  const thetaSector = idx % 4;
-  return {
-    number: idx + 1,
-    descriptor: descriptorFromSectors(phiSector, thetaSector),
-    color: colorFromIndex(idx).css
-  };
-});
-
 // Global state to track current view and user data
 const state = {
-  step: 0,               // 0: language, 1: name, 2: profile, 3: quiz, 4: result, 5: insights, 6: reviews
+  step: 0,               // 0: language, 1: name, 2: profile, 3: quiz, 4: result, 5: insights, 6: reviews, 7: saved data
   language: 'it',        // selected language code (it, en, es, fr, de)
+  languageSelected: false, // whether the user picked a language in this session
+  cohort: null,         // cohort id given by the access gate (see lib/access.js), saved with the result
   name: '',             // user name
   profession: '',       // user profession
   education: '',        // user education key (titolo di studio)
@@ -420,178 +249,175 @@ const state = {
   area: '',             // area of interest key
   areaLabel: '',        // localized label for area of interest
   dob: '',              // date of birth
-  idx: 0,               // current question index
-  x: 0, y: 0, z: 0,     // Cartesian scores for economy, rights and establishment fidelity
-  questions: [],        // currently loaded questions
+  length: DEFAULT_TEST_LENGTH, // 'short', 'standard' or 'extended' (see questionsForLength())
+  idx: 0,               // position in `order` of the current question
+  mode: 'linear',       // 'linear': every question in file order; 'adaptive': see nextAdaptiveQuestion()
+  ordering: 'file',     // order of the full quiz: 'file', 'random' or 'balanced' (see questionOrder())
+  seed: null,           // seed of the random order, saved with the result to reproduce it
+  order: [],            // indices into `questions`, in the order they are (or will be) asked
+  questions: [],        // questions of the chosen length in the loaded set
   questionsByLang: {},  // cache of loaded questions by language
-  weightTotals: { economia: 0, dirittocivilismo: 0, establishment: 0 },
-  answers: [],          // user answers
+  answers: [],          // user answers by question index; the scores are computed from these
+  importance: [],       // importance multipliers by question index (IMPORTANCE_LEVELS); unset counts as 1
+  summarySeen: false,   // whether the answers summary was shown (edits then return to it)
+  finished: false,      // whether the quiz has been completed (or skipped to the end)
   resultSaved: false,   // whether the current result has been persisted
   filterProfession: 'all',
   filterEducation: 'all',
+  filterLength: null,   // test length of the compared results; null until set from the current test
   profileError: ''
 };
 
-const AXES = ['economia', 'dirittocivilismo', 'establishment'];
-const ANSWER_LABELS = ['Sì molto', 'Sì', 'Non so', 'No', 'No molto'];
-const ANSWER_VALUES = [1, 0.5, 0, -0.5, -1];
-
-let QUADRANT_DATA = [];
-let quadrantsPromise = null;
-
-function componentToAxis(component) {
-  if (!component) return null;
-  if (component === 'autoritarismo') return 'dirittocivilismo';
-  return AXES.includes(component) ? component : null;
-}
+// Grid columns for the answer buttons of each choice scale (literal class names for Tailwind)
+const ANSWER_GRID_CLASSES = { 3: 'md:grid-cols-3', 5: 'md:grid-cols-5', 7: 'md:grid-cols-7' };
 
-function normalizeQuestionEntry(question) {
-  const normalizedWeights = { economia: 0, dirittocivilismo: 0, establishment: 0 };
-  if (!question || typeof question !== 'object') {
-    return { title: '', weights: normalizedWeights };
-  }
-  const providedWeights = question.weights && typeof question.weights === 'object' ? question.weights : null;
-  AXES.forEach((axis) => {
-    let value = 0;
-    if (providedWeights && providedWeights[axis] !== undefined) {
-      value = Number(providedWeights[axis]) || 0;
-    } else {
-      const mapped = componentToAxis(question.component);
-      if (mapped === axis) value = 1;
-    }
-    normalizedWeights[axis] = value;
-  });
-  const weightSum = AXES.reduce((acc, axis) => acc + Math.abs(normalizedWeights[axis]), 0);
-  if (weightSum > 0) {
-    AXES.forEach((axis) => {
-      normalizedWeights[axis] = normalizedWeights[axis] / weightSum;
-    });
-  }
-  return { ...question, weights: normalizedWeights };
-}
+// Question order: the whole file in order, or chosen after each answer
+const QUIZ_MODES = ['linear', 'adaptive'];
 
-function computeWeightTotals(questions) {
-  return questions.reduce((acc, question) => {
-    AXES.forEach((axis) => {
-      const weight = question.weights && typeof question.weights === 'object' ? Number(question.weights[axis]) || 0 : 0;
-      acc[axis] += Math.abs(weight);
-    });
-    return acc;
-  }, { economia: 0, dirittocivilismo: 0, establishment: 0 });
-}
-
-function getNormalizedScores() {
-  const totals = state.weightTotals || {};
-  const normalize = (score, axis) => {
-    const denom = Number(totals[axis]) || 0;
-    if (!denom) return 0;
-    const value = score / denom;
-    return Math.max(-1, Math.min(1, value));
-  };
+/**
+ * Built-in model used until (or if) quadrants.json fails to load: the 16
+ * φ/θ sectors of the sphere, described by the `descriptors.*` messages.
+ */
+function defaultRegionModel() {
   return {
-    x: normalize(state.x, 'economia'),
-    y: normalize(state.y, 'dirittocivilismo'),
-    z: normalize(state.z, 'establishment')
+    model: 'spherical',
+    regions: sphericalGridRegions().map((region) => ({
+      ...region,
+      content: descriptorFromSectors(region.phiSector, region.thetaSector)
+    }))
   };
 }
 
-function clampUnit(value) {
-  if (!Number.isFinite(value)) return 0;
-  if (value > 1) return 1;
-  if (value < -1) return -1;
-  return value;
-}
+// Region model in the current language; BASE_REGION_MODEL is quadrants.json as
+// written (Italian text), null when it could not be loaded
+let REGION_MODEL = defaultRegionModel();
+let BASE_REGION_MODEL = null;
+let quadrantsPromise = null;
+const quadrantTextsByLang = {};
+const quadrantTextsPromises = {};
+let WEIGHT_TABLE = null;
+let weightTablePromise = null;
 
-function sanitizeHistoryEntry(entry) {
-  if (!entry || typeof entry !== 'object') return null;
-  const normalized = entry.normalized || {};
-  return {
-    ...entry,
-    normalized: {
-      x: clampUnit(normalized.x),
-      y: clampUnit(normalized.y),
-      z: clampUnit(normalized.z)
-    }
-  };
+function getQuadrantLegend() {
+  return REGION_MODEL.regions.map((entry, idx) => ({
+    number: idx + 1,
+    name: entry?.name,
+    descriptor: entry?.content,
+    bounds: entry?.bounds,
+    affiliation: entry?.affiliazionepolitica,
+    color: colorFromIndex(idx).css
+  }));
 }
 
-function getQuadrantDetails(index, vector) {
-  if (!Array.isArray(QUADRANT_DATA) || !QUADRANT_DATA.length) return null;
-  const numericIndex = Number(index);
-  if (Number.isFinite(numericIndex)) {
-    const numericMatch = QUADRANT_DATA.find((entry) => {
-      if (!entry) return false;
-      const numericId = parseNumericQuadrantId(entry.id);
-      return Number.isFinite(numericId) && numericId === numericIndex + 1;
-    });
-    if (numericMatch) return numericMatch;
-  }
-
-  const vectorData = vector && typeof vector === 'object' ? vector : null;
-  if (vectorData) {
-    const candidates = QUADRANT_DATA.filter((entry) => {
-      if (!entry || typeof entry !== 'object') return false;
+/**
+ * Boxes drawn in the cartesian plot.  A cartesian model draws its own
+ * region bounds; a spherical model falls back to the eight octants, each
+ * coloured by the region containing its centre.
+ */
+function getCartesianBoxes() {
+  if (REGION_MODEL.model === 'cartesian') {
+    return REGION_MODEL.regions.map((entry, idx) => {
       const bounds = entry.bounds || {};
-      return rangeIncludes(vectorData.x, bounds.x) && rangeIncludes(vectorData.y, bounds.y) && rangeIncludes(vectorData.z, bounds.z);
-    });
-    if (candidates.length === 1) {
-      return candidates[0];
-    }
-    if (candidates.length > 1) {
-      let best = null;
-      let bestDistance = Number.POSITIVE_INFINITY;
-      candidates.forEach((entry) => {
-        const center = getBoundsCenter(entry.bounds || {});
-        const dist = distanceSquared(vectorData, center);
-        if (dist < bestDistance) {
-          bestDistance = dist;
-          best = entry;
-        }
+      const ranges = ['x', 'y', 'z'].map((axis) => {
+        const range = Array.isArray(bounds[axis]) && bounds[axis].length >= 2 ? bounds[axis] : [-1, 1];
+        return [Math.min(...range), Math.max(...range)];
       });
-      if (best) return best;
-    }
+      return {
+        center: ranges.map(([min, max]) => (min + max) / 2),
+        size: ranges.map(([min, max]) => max - min),
+        color: colorFromIndex(idx).hex
+      };
+    });
   }
+  return CARTESIAN_SECTORS.map(({ center }) => ({
+    center,
+    size: [1, 1, 1],
+    color: quadrantFromVector(...center).color.hex
+  }));
+}
 
-  if (Number.isFinite(numericIndex) && QUADRANT_DATA[numericIndex]) {
-    return QUADRANT_DATA[numericIndex];
+/**
+ * Loads the region model (quadrants.json) once, plus the translation of its
+ * texts for the current language (quadrants_<lang>.json, see
+ * loadQuadrantTexts), and sets REGION_MODEL to the localized model.  If
+ * quadrants.json is unavailable the built-in spherical sectors are used.
+ */
+async function loadQuadrants() {
+  if (!quadrantsPromise) {
+    quadrantsPromise = (async () => {
+      try {
+        const res = await fetch('quadrants.json?cb=' + Date.now());
+        if (!res.ok) throw new Error(res.statusText);
+        const data = await res.json();
+        BASE_REGION_MODEL = createRegionModel(data);
+      } catch (err) {
+        console.warn('Impossibile caricare i dati dei quadranti', err);
+        BASE_REGION_MODEL = null;
+      }
+    })();
   }
-  return QUADRANT_DATA[0] || null;
+  const lang = state.language || FALLBACK_LANGUAGE;
+  await quadrantsPromise;
+  await loadQuadrantTexts(lang);
+  if (lang !== state.language) return;
+  REGION_MODEL = BASE_REGION_MODEL
+    ? localizeRegionModel(BASE_REGION_MODEL, quadrantTextsByLang[lang])
+    : defaultRegionModel();
 }
 
-function getQuadrantLegend() {
-  if (!Array.isArray(QUADRANT_DATA) || !QUADRANT_DATA.length) {
-    return BASE_QUADRANT_LEGEND;
+/**
+ * Loads quadrants_<lang>.json, the translation of the region names,
+ * descriptions and examples keyed by region id.  Italian is the language
+ * of quadrants.json itself.  Regions left untranslated keep the Italian
+ * text and are listed once in the console.
+ */
+function loadQuadrantTexts(lang) {
+  if (lang === FALLBACK_LANGUAGE) {
+    return Promise.resolve();
   }
-  return QUADRANT_DATA.map((entry, idx) => ({
-    number: entry?.id ?? idx + 1,
-    name: entry?.name,
-    descriptor: entry?.content,
-    bounds: entry?.bounds,
-    affiliation: entry?.affiliazionepolitica,
-    color: colorFromIndex(idx % QUADRANT_COLORS.length).css
-  }));
+  if (quadrantTextsPromises[lang]) {
+    return quadrantTextsPromises[lang];
+  }
+  quadrantTextsPromises[lang] = (async () => {
+    try {
+      const res = await fetch(`quadrants_${lang}.json?cb=${Date.now()}`);
+      if (!res.ok) throw new Error(res.statusText);
+      const data = await res.json();
+      quadrantTextsByLang[lang] = data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (err) {
+      console.warn(`Impossibile caricare la traduzione dei quadranti per "${lang}"`, err);
+      quadrantTextsByLang[lang] = null;
+    }
+    const missing = untranslatedRegions(BASE_REGION_MODEL, quadrantTextsByLang[lang]);
+    if (missing.length) {
+      console.warn(`[i18n] ${missing.length} quadranti senza traduzione in "${lang}": `
+        + missing.map(({ id, fields }) => `${id} (${fields.join(', ')})`).join('; '));
+    }
+  })();
+  return quadrantTextsPromises[lang];
 }
 
-function loadQuadrants() {
-  if (quadrantsPromise) {
-    return quadrantsPromise;
+/**
+ * Loads the canonical weight table (weights.json) keyed by question id.
+ * Every language scores against it, so translations cannot change the
+ * weights.  If it cannot be loaded the inline weights are used.
+ */
+function loadWeightTable() {
+  if (weightTablePromise) {
+    return weightTablePromise;
   }
-  quadrantsPromise = (async () => {
+  weightTablePromise = (async () => {
     try {
-      const res = await fetch('quadrants.json?cb=' + Date.now());
+      const res = await fetch('weights.json?cb=' + Date.now());
       if (!res.ok) throw new Error(res.statusText);
       const data = await res.json();
-      if (Array.isArray(data)) {
-        QUADRANT_DATA = data;
-      } else {
-        QUADRANT_DATA = [];
-      }
+      WEIGHT_TABLE = data && typeof data === 'object' && !Array.isArray(data) ? data : null;
     } catch (err) {
-      console.warn('Impossibile caricare i dati dei quadranti', err);
-      QUADRANT_DATA = [];
+      console.warn('Impossibile caricare la tabella dei pesi', err);
+      WEIGHT_TABLE = null;
     }
   })();
-  return quadrantsPromise;
+  return weightTablePromise;
 }
 
 async function ensureQuadrantsLoaded() {
@@ -602,29 +428,93 @@ async function ensureQuadrantsLoaded() {
   }
 }
 
+/* --------------------------------------------------------------------------
+ *  Access gate
+ *
+ * access.json configures the gate shown before the app (see
+ * lib/access.js): none, a shared passphrase, an invite code per cohort or
+ * one-time tokens, usually opened as a link with ?token=.  Wrong attempts
+ * and the lockout are kept in localStorage, so reloading does not reset
+ * them.  A token can only be used once, so the browser that used it keeps
+ * the grant and is let in again without it.
+ */
+const ACCESS_LOCKOUT_KEY = 'accessLockout';
+const ACCESS_GRANT_KEY = 'accessGrant';
+const USED_TOKENS_KEY = 'accessTokensUsed';
+
+function readAccessState(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeAccessState(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (err) {
+    console.warn('Impossibile salvare lo stato dell\'accesso', err);
+  }
+}
+
+/** Loads access.json; without the file there is no gate */
+async function loadAccessConfig() {
+  const res = await fetch(`access.json?cb=${Date.now()}`);
+  if (res.status === 404) return readAccessConfig({ mode: 'disabled' });
+  if (!res.ok) throw new Error(res.statusText);
+  return readAccessConfig(await res.json());
+}
+
+/** Reads ?token= from the address and removes it, so it stays out of the history and of shared links */
+function takeLinkToken() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get('token');
+  if (token === null) return null;
+  url.searchParams.delete('token');
+  history.replaceState(history.state, '', url.toString());
+  return token;
+}
+
+/**
+ * Marks a valid one-time token as used: on the results server when there
+ * is one, so it is accepted once overall, else (or while the server cannot
+ * be reached or fails) in this browser.  Resolves to false when it was
+ * already used or the server does not know it (409, 403).
+ */
+async function redeemToken(token, tokenHash) {
+  if (remote) {
+    try {
+      await remote.redeemToken(token);
+      return true;
+    } catch (err) {
+      if (err.status === 409 || err.status === 403) return false;
+      console.warn('Server non disponibile, il codice viene controllato solo in questo browser', err);
+    }
+  }
+  const stored = readAccessState(USED_TOKENS_KEY);
+  const used = Array.isArray(stored) ? stored : [];
+  if (used.includes(tokenHash)) return false;
+  writeAccessState(USED_TOKENS_KEY, [...used, tokenHash]);
+  return true;
+}
+
 function setupAccessGate(onSuccess) {
   const overlay = document.getElementById('accessOverlay');
   const form = document.getElementById('accessForm');
   const errorView = document.getElementById('accessError');
-  const input = document.getElementById('magicWord');
+  const input = document.getElementById('accessCode');
   const button = document.getElementById('accessSubmit');
   const message = document.getElementById('accessMessage');
+  const retry = document.getElementById('accessRetry');
 
-  if (!overlay || !form || !input || !button) {
-    if (overlay) {
-      overlay.classList.add('hidden');
-      overlay.setAttribute('aria-hidden', 'true');
-    }
-    if (app) {
-      app.removeAttribute('aria-hidden');
-    }
-    if (typeof onSuccess === 'function') {
-      onSuccess();
-    }
-    return;
-  }
-
-  let attempts = 0;
+  let config = null;
+  let lockout = readLockout(readAccessState(ACCESS_LOCKOUT_KEY));
+  let checking = false;
   let unlocked = false;
 
   const showMessage = (text, tone = 'error') => {
@@ -639,12 +529,15 @@ function setupAccessGate(onSuccess) {
     }
   };
 
-  const unlock = () => {
+  const unlock = (cohort = null) => {
     if (unlocked) return;
     unlocked = true;
-    overlay.classList.add('hidden');
-    overlay.setAttribute('aria-hidden', 'true');
-    overlay.style.display = 'none';
+    state.cohort = cohort;
+    if (overlay) {
+      overlay.classList.add('hidden');
+      overlay.setAttribute('aria-hidden', 'true');
+      overlay.style.display = 'none';
+    }
     if (app) {
       app.removeAttribute('aria-hidden');
     }
@@ -653,61 +546,151 @@ function setupAccessGate(onSuccess) {
     }
   };
 
+  if (!overlay || !form || !input || !button) {
+    unlock();
+    return;
+  }
+
+  const setDisabled = (disabled) => {
+    button.disabled = disabled;
+    input.disabled = disabled;
+  };
+
   const lockOut = () => {
+    const remaining = lockoutRemaining(lockout);
     form.classList.add('hidden');
     if (errorView) {
       errorView.classList.remove('hidden');
     }
-    button.disabled = true;
-    input.disabled = true;
+    if (retry) {
+      retry.textContent = t('access.retryIn', { count: Math.ceil(remaining / 60000) });
+    }
+    setDisabled(true);
+    // The gate opens again by itself when the lockout ends
+    setTimeout(() => {
+      form.classList.remove('hidden');
+      if (errorView) {
+        errorView.classList.add('hidden');
+      }
+      setDisabled(false);
+      showMessage('', 'neutral');
+      input.focus();
+    }, remaining);
   };
 
-  const verify = () => {
-    if (unlocked) return;
-    const value = (input.value || '').trim().toLowerCase();
-    if (!value) {
-      showMessage('Serve la parola magica per entrare.', 'neutral');
+  const verify = async (value) => {
+    if (unlocked || checking || !config) return;
+    if (lockoutRemaining(lockout) > 0) {
+      lockOut();
       return;
     }
-    if (value === MAGIC_WORD) {
-      showMessage('Benvenuto, amico.', 'success');
-      unlock();
+    if (!normalizeSecret(value)) {
+      showMessage(t(`access.modes.${config.mode}.empty`), 'neutral');
+      return;
+    }
+    checking = true;
+    setDisabled(true);
+    let result = { ok: false };
+    let used = false;
+    try {
+      result = await checkAccess(config, value);
+      used = result.ok && result.tokenHash !== null && !(await redeemToken(value, result.tokenHash));
+    } catch (err) {
+      console.warn('Impossibile verificare il codice di accesso', err);
+      checking = false;
+      setDisabled(false);
+      showMessage(t('access.configError'), 'error');
       return;
     }
-    attempts += 1;
+    checking = false;
+    setDisabled(false);
     input.value = '';
-    showMessage('Questa non è la parola giusta.', 'error');
-    if (attempts >= MAX_ACCESS_ATTEMPTS) {
+    if (used) {
+      showMessage(t('access.tokenUsed'), 'error');
+      return;
+    }
+    if (result.ok) {
+      writeAccessState(ACCESS_LOCKOUT_KEY, null);
+      if (result.tokenHash) {
+        writeAccessState(ACCESS_GRANT_KEY, { salt: config.salt, tokenHash: result.tokenHash, cohort: result.cohort });
+      }
+      showMessage(t('access.success'), 'success');
+      unlock(result.cohort);
+      return;
+    }
+    lockout = recordFailure(lockout, config);
+    writeAccessState(ACCESS_LOCKOUT_KEY, lockout);
+    const wrong = t(`access.modes.${config.mode}.wrong`);
+    if (lockoutRemaining(lockout) > 0) {
+      showMessage(wrong, 'error');
       lockOut();
     } else {
+      showMessage(`${wrong} ${t('access.attemptsLeft', { count: config.maxAttempts - lockout.attempts })}`, 'error');
       input.focus();
     }
   };
 
-  button.addEventListener('click', verify);
+  button.addEventListener('click', () => verify(input.value));
   input.addEventListener('keydown', (event) => {
     if (event.key === 'Enter') {
       event.preventDefault();
-      verify();
+      verify(input.value);
     }
   });
 
   showMessage('', 'neutral');
   overlay.setAttribute('aria-hidden', 'false');
-  setTimeout(() => {
-    input.focus();
-  }, 100);
+  setDisabled(true);
+  const linkToken = takeLinkToken();
+  loadAccessConfig().then((loaded) => {
+    config = loaded;
+    if (config.mode === 'disabled') {
+      unlock();
+      return;
+    }
+    const grant = readAccessState(ACCESS_GRANT_KEY);
+    if (config.mode === 'token' && grant && grant.salt === config.salt && config.tokens.some(({ hash }) => hash === grant.tokenHash)) {
+      unlock(typeof grant.cohort === 'string' ? grant.cohort : null);
+      return;
+    }
+    overlay.querySelectorAll('[data-access-text]').forEach((el) => {
+      const key = `access.modes.${config.mode}.${el.dataset.accessText}`;
+      if (el.tagName === 'INPUT') {
+        el.dataset.i18nPlaceholder = key;
+        el.dataset.i18nAriaLabel = key;
+      } else {
+        el.dataset.i18n = key;
+      }
+    });
+    translateStaticContent(overlay);
+    // Web Crypto exists only in secure contexts (HTTPS or localhost): without it no code can be checked
+    if (!globalThis.crypto?.subtle) {
+      showMessage(t('access.cryptoUnavailable'), 'error');
+      return;
+    }
+    setDisabled(false);
+    if (lockoutRemaining(lockout) > 0) {
+      lockOut();
+    } else if (linkToken !== null) {
+      verify(linkToken);
+    } else {
+      setTimeout(() => {
+        input.focus();
+      }, 100);
+    }
+  }).catch((err) => {
+    console.warn('Impossibile leggere la configurazione dell\'accesso', err);
+    showMessage(t('access.configError'), 'error');
+  });
 }
 
 /* --------------------------------------------------------------------------
  *  Utility helpers
  *
  * escapeHtml  : escapes HTML entities in user-provided strings
- * rad2deg     : converts radians to degrees
  * round       : rounds a number to two decimal places
  */
 const escapeHtml = (s) => s.replace(/[&<>"']/g, (m) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
-const rad2deg = (r) => r * 180 / Math.PI;
 const round   = (n) => Math.round(n * 100) / 100;
 
 /**
@@ -720,7 +703,7 @@ function navBar() {
   return `
     <div class="flex justify-between items-center mb-4">
       <div></div>
-      <button id="navReviews" class="text-indigo-600 hover:underline">Recensioni</button>
+      <button id="navReviews" class="text-indigo-600 hover:underline">${t('nav.reviews')}</button>
     </div>
   `;
 }
@@ -730,16 +713,19 @@ function navBar() {
  * previously loaded language sets in state.questionsByLang to avoid
  * re-fetching.  For Italian (it) it loads questions_it.json; for other
  * languages it loads questions_<lang>.json.  Appends a cache buster to
- * ensure fresh fetch.
+ * ensure fresh fetch.  Weights come from the canonical table in
+ * weights.json, matched by question id.
  */
 async function loadQuestions() {
-  const lang = state.language || 'it';
-  if (state.questionsByLang[lang]) {
-    const cached = state.questionsByLang[lang];
-    state.questions = cached.questions;
-    state.weightTotals = { ...cached.totals };
-    return;
-  }
+  state.questions = questionsForLength((await fetchQuestionSet(state.language || 'it')) || [], state.length);
+}
+
+/**
+ * Fetches (once) the normalized questions of a language.  Returns null
+ * when the file cannot be loaded.
+ */
+async function fetchQuestionSet(lang) {
+  if (state.questionsByLang[lang]) return state.questionsByLang[lang];
   let filename;
   if (lang === 'it') {
     filename = 'questions_it.json';
@@ -749,15 +735,13 @@ async function loadQuestions() {
   try {
     const res = await fetch(filename + `?cb=${Date.now()}`);
     const data = await res.json();
-    const normalized = Array.isArray(data) ? data.map(normalizeQuestionEntry) : [];
-    const totals = computeWeightTotals(normalized);
-    state.questionsByLang[lang] = { questions: normalized, totals };
-    state.questions = normalized;
-    state.weightTotals = { ...totals };
+    await loadWeightTable();
+    const normalized = applyWeightTable(questionList(data), WEIGHT_TABLE).map(normalizeQuestionEntry);
+    state.questionsByLang[lang] = normalized;
+    return normalized;
   } catch (err) {
     console.error('Impossibile caricare le domande', err);
-    state.questions = [];
-    state.weightTotals = { economia: 0, dirittocivilismo: 0, establishment: 0 };
+    return null;
   }
 }
 
@@ -793,87 +777,499 @@ function isPrivateIP(ip) {
   return false;
 }
 
+/* --------------------------------------------------------------------------
+ *  Saved results and reviews
+ *
+ * Both live in the store opened at startup (see lib/storage.js):
+ * IndexedDB when available, else localStorage.  Reading never fails: data
+ * that cannot be read is set aside by the store and the page shows what
+ * is left.
+ *
+ * When index.html names a results API (<meta name="results-api">, see
+ * lib/remote.js) records are still saved locally first, marked
+ * `uploaded: false`, and sent to the server by uploadPending(); the
+ * comparison and the reviews page then use the data of every participant,
+ * falling back to the local ones while the server cannot be reached.
+ */
+let store = null;
+
+const remote = (() => {
+  const url = document.querySelector('meta[name="results-api"]')?.content.trim();
+  return url ? createRemote(url) : null;
+})();
+
+function browserStorage(name) {
+  try {
+    return window[name] || null;
+  } catch (err) {
+    // Some browsers throw instead of returning null when storage is disabled
+    return null;
+  }
+}
+
+function openAppStore() {
+  return openStore({
+    indexedDB: browserStorage('indexedDB'),
+    localStorage: browserStorage('localStorage'),
+    onRecover: ({ collection, reason, count }) => {
+      console.warn(`Dati salvati non leggibili messi da parte (${collection}, ${reason}): ${count}`);
+    },
+    onFallback: (err) => console.warn('IndexedDB non disponibile, i dati restano nel localStorage', err)
+  });
+}
+
+/**
+ * Loads the saved reviews, oldest first.  If no reviews exist, or they
+ * cannot be read, returns an empty array.
+ */
+async function loadReviews() {
+  try {
+    return await store.list('reviews');
+  } catch (err) {
+    console.warn('Impossibile leggere le recensioni salvate', err);
+    return [];
+  }
+}
+
+/**
+ * Reviews for the reviews page: those on the server, when there is one
+ * and it answers, followed by the local ones still to be uploaded.
+ */
+async function loadReviewList() {
+  const local = await loadReviews();
+  if (!remote) return local;
+  try {
+    const onServer = await remote.listReviews();
+    return [...onServer, ...local.filter((review) => review.uploaded === false)];
+  } catch (err) {
+    console.warn('Impossibile leggere le recensioni dal server, mostro quelle locali', err);
+    return local;
+  }
+}
+
+/**
+ * Saves a new review: an object with id, name, ip, message and date.
+ * Rejects when it cannot be stored (for example with the quota full).
+ */
+async function saveReview(review) {
+  await store.add('reviews', review);
+}
+
+async function loadResultHistory() {
+  try {
+    return await store.list('results');
+  } catch (err) {
+    console.warn('Impossibile leggere i risultati salvati', err);
+    return [];
+  }
+}
+
+async function saveResultHistory(history) {
+  await store.replace('results', history);
+}
+
+let uploading = null;
+
+/**
+ * Sends the records not yet on the server and marks them uploaded.  Stops
+ * at the first network failure or server error (5xx): those records stay
+ * pending and are tried again on the next save or start.  A record the
+ * server refuses (4xx) is marked anyway, so it is not sent forever,
+ * except a review refused as a duplicate (409), which is removed.
+ * Resolves to the ids of those reviews.
+ */
+function uploadPending() {
+  if (!remote) return Promise.resolve([]);
+  // One upload at a time: a second call waits for the running one
+  uploading = (uploading || Promise.resolve([])).then(async () => {
+    const refused = [];
+    for (const [collection, post] of [['results', remote.postResult], ['reviews', remote.postReview]]) {
+      const records = await store.list(collection);
+      let changed = false;
+      for (const record of records.filter((entry) => entry.uploaded === false)) {
+        try {
+          await post({ ...record, uploaded: undefined });
+        } catch (err) {
+          if (!err.status || err.status >= 500) break;
+          if (collection === 'reviews' && err.status === 409) refused.push(record.id);
+          console.warn(`Record rifiutato dal server (${collection} ${record.id})`, err);
+        }
+        record.uploaded = true;
+        changed = true;
+      }
+      if (changed) await store.replace(collection, records.filter((record) => !refused.includes(record.id)));
+    }
+    return refused;
+  }).catch((err) => {
+    console.warn('Impossibile inviare i dati al server', err);
+    return [];
+  });
+  return uploading;
+}
+
+/**
+ * Statistics for the comparison of the insights (see
+ * aggregateStatistics()), from the server when there is one and it
+ * answers, else from the results saved in this browser, which are all
+ * shown whatever their number.  `source` tells which.
+ */
+async function loadComparison(filters) {
+  if (remote) {
+    try {
+      return { ...await remote.aggregates(filters), source: 'remote' };
+    } catch (err) {
+      console.warn('Impossibile leggere le medie dal server, uso i risultati locali', err);
+    }
+  }
+  return { ...aggregateStatistics(await loadResultHistory(), filters), source: 'local' };
+}
+
+/**
+ * Saves the current result the first time it is shown.  When it cannot be
+ * stored the unfinished session is kept, so the answers are not lost.
+ * The region model must be loaded first (see ensureQuadrantsLoaded()), or
+ * the saved quadrant would be the one of the default sectors.
+ */
+async function persistCurrentResult() {
+  if (state.resultSaved) return;
+  // Set before saving, so the result and insights views do not both save it
+  state.resultSaved = true;
+  const res = computeResults();
+  const record = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    timestamp: Date.now(),
+    language: state.language,
+    name: state.name,
+    profession: state.profession,
+    professionKey: professionKey(state.profession),
+    education: state.education,
+    educationLabel: state.educationLabel,
+    area: state.area,
+    areaLabel: state.areaLabel,
+    dob: state.dob,
+    cohort: state.cohort,
+    length: state.length,
+    mode: state.mode,
+    ordering: state.mode === 'adaptive' ? null : state.ordering,
+    seed: state.seed,
+    answers: answersById(state.questions, state.answers),
+    importance: answersById(state.questions, state.importance),
+    quadrant: res.quadrantNumber,
+    quadrantId: res.quadrantId,
+    normalized: res.normalized,
+    raw: res.raw,
+    coverage: res.coverage,
+    intervals: res.intervals
+  };
+  if (remote) record.uploaded = false;
+  try {
+    await store.add('results', record);
+  } catch (err) {
+    console.warn('Impossibile salvare il risultato', err);
+    state.resultSaved = false;
+    return;
+  }
+  clearSession();
+  uploadPending();
+}
+
+/* --------------------------------------------------------------------------
+ *  Unfinished session
+ *
+ * The profile and answers of a quiz in progress are saved to localStorage
+ * after every answer, so a reload or a closed tab does not lose them.  On
+ * startup the language page offers to resume the saved session, unless the
+ * questions (or their weights) changed since it was saved.  The snapshot
+ * is removed once the result is saved.
+ */
+const SESSION_KEY = 'session';
+let resumableSession = null;  // snapshot offered on the language page
+
+function saveSession() {
+  if (state.finished || !state.questions.length) return;
+  resumableSession = null;
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(createSnapshot(state, questionSetFingerprint(state.questions))));
+  } catch (err) {
+    console.warn('Impossibile salvare la sessione in corso', err);
+  }
+}
+
+function clearSession() {
+  resumableSession = null;
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch (err) {
+    console.warn('Impossibile cancellare la sessione in corso', err);
+  }
+}
+
 /**
- * Loads the array of saved reviews from localStorage.  If no reviews
- * exist, returns an empty array.
+ * Returns the saved session if it can be resumed.  Snapshots that are
+ * unreadable, were taken with a different question set or hold answers
+ * the question scales cannot produce are deleted; if the questions cannot
+ * be loaded right now the snapshot is kept for later.
  */
-function loadReviews() {
-  const raw = localStorage.getItem('reviews');
-  return raw ? JSON.parse(raw) : [];
+async function findResumableSession() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(SESSION_KEY);
+  } catch (err) {
+    console.warn('Impossibile leggere la sessione in corso', err);
+    return null;
+  }
+  if (!stored) return null;
+  const snapshot = readSnapshot(stored);
+  if (!snapshot) {
+    clearSession();
+    return null;
+  }
+  const set = await fetchQuestionSet(snapshot.language);
+  if (!set) return null;
+  const questions = questionsForLength(set, snapshot.length);
+  if (!readSnapshot(snapshot, { fingerprint: questionSetFingerprint(questions), questions })) {
+    console.warn('Sessione in corso scartata: le domande sono cambiate dal salvataggio o le risposte non sono valide');
+    clearSession();
+    return null;
+  }
+  return snapshot;
 }
 
-/**
- * Saves a new review to localStorage.  Reviews are stored as an
- * array of objects with name, ip, message and date.
+/** Restores a saved session and reopens its current question */
+async function resumeSession(snapshot) {
+  await setLanguage(snapshot.language);
+  state.length = TEST_LENGTHS.includes(snapshot.length) ? snapshot.length : DEFAULT_TEST_LENGTH;
+  await loadQuestions();
+  state.name = snapshot.name;
+  state.profession = snapshot.profession;
+  state.education = snapshot.education;
+  state.educationLabel = getEducationLabel(snapshot.education);
+  state.area = snapshot.area;
+  state.areaLabel = getInterestLabel(snapshot.area);
+  state.dob = snapshot.dob;
+  state.answers = snapshot.answers.map((value) => (value === null ? undefined : value));
+  state.importance = (snapshot.importance || []).map((value) => (value === null ? undefined : value));
+  state.mode = QUIZ_MODES.includes(snapshot.mode) ? snapshot.mode : 'linear';
+  state.ordering = QUESTION_ORDERS.includes(snapshot.ordering) ? snapshot.ordering : 'file';
+  state.seed = snapshot.seed ?? null;
+  state.order = snapshot.order ? snapshot.order.filter((index) => index < state.questions.length) : state.questions.map((_, index) => index);
+  state.idx = Math.min(snapshot.idx, Math.max(state.order.length - 1, 0));
+  state.languageSelected = true;
+  state.finished = false;
+  state.summarySeen = false;
+  state.resultSaved = false;
+  state.filterProfession = 'all';
+  state.filterEducation = 'all';
+  state.filterLength = null;
+  state.profileError = '';
+  resumableSession = null;
+  navigate('quiz', state.idx + 1);
+}
+
+/* --------------------------------------------------------------------------
+ *  Shared results
+ *
+ * A result can be shared as a link that carries the answers in the URL
+ * fragment (see lib/share.js).  Opening it scores the answers again and
+ * shows the insights read-only; nothing is saved.  Links made with other
+ * questions (or weights) than the published ones are rejected.
  */
-function saveReview(review) {
-  const reviews = loadReviews();
-  reviews.push(review);
-  localStorage.setItem('reviews', JSON.stringify(reviews));
+
+/** Link to the current result */
+function shareLink() {
+  const code = encodeShare({
+    language: state.language,
+    length: state.length,
+    fingerprint: questionSetFingerprint(state.questions),
+    answers: state.answers,
+    importance: state.importance,
+    asked: state.mode === 'adaptive' ? state.order : null
+  });
+  return `${location.href.split('#')[0]}${formatHash({ name: 'shared', param: code })}`;
+}
+
+/** Shows the result of a shared link, or why it cannot be shown */
+async function viewShared(route) {
+  state.step = 5;
+  const shared = decodeShare(route.param);
+  const set = shared ? await fetchQuestionSet(shared.language) : null;
+  const questions = set ? questionsForLength(set, shared.length) : [];
+  let problem = '';
+  if (!shared) {
+    problem = t('share.invalid');
+  } else if (!set) {
+    problem = t('share.unavailable');
+  } else if (questionSetFingerprint(questions) !== shared.fingerprint) {
+    problem = t('share.outdated');
+  } else if (!answersFitScales(questions, shared.answers)) {
+    problem = t('share.invalid');
+  }
+  if (problem) {
+    app.innerHTML = navBar() + `
+      <div class="card p-8 mx-auto max-w-xl text-center">
+        <h3 class="text-2xl font-bold mb-2">${t('share.title')}</h3>
+        <p class="text-gray-600 mb-6">${problem}</p>
+        <button id="takeTest" class="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3">${t('share.takeTest')}</button>
+      </div>
+    `;
+    const nav = document.getElementById('navReviews');
+    if (nav) nav.onclick = () => navigate('reviews');
+    document.getElementById('takeTest').onclick = () => navigate('lang');
+    return;
+  }
+  await viewInsights(route, {
+    questions,
+    answers: shared.answers,
+    importance: shared.importance,
+    order: shared.asked
+  });
 }
 
-function normalizeProfession(value) {
-  if (!value) return 'unspecified';
-  const trimmed = value.trim();
-  return trimmed ? trimmed.toLowerCase() : 'unspecified';
+/* --------------------------------------------------------------------------
+ *  Image export
+ *
+ * The insights can be downloaded as a card (see lib/card.js): an SVG with
+ * the 2D projections, or a PNG that also shows the sphere as currently
+ * rotated.  The PNG is the SVG drawn on a canvas, with the sphere
+ * snapshot drawn over the area the card leaves for it.
+ */
+
+// Pixels per card unit in the exported PNG
+const PNG_SCALE = 2;
+
+/** Card for a computed result (see computeResults()) */
+function resultCardFor(res, options = {}) {
+  const { normalized, intervals, quadrantNumber, descriptor, color, quadrantInfo, r, phiDeg, thetaDeg } = res;
+  const lines = [
+    ['x', 'economia'],
+    ['y', 'dirittocivilismo'],
+    ['z', 'establishment']
+  ].map(([coordinate, axis]) => ({
+    label: t(`axes.${axis}`),
+    value: `${round(normalized[coordinate]) > 0 ? '+' : ''}${round(normalized[coordinate]).toFixed(2)}`,
+    note: intervals
+      ? t('result.interval', { level: Math.round(intervals.level * 100), low: round(intervals[coordinate][0]), high: round(intervals[coordinate][1]) })
+      : ''
+  }));
+  return resultCard({
+    title: t('app.title'),
+    heading: t('result.quadrant', { number: quadrantNumber }),
+    name: quadrantInfo?.name || '',
+    descriptor,
+    color: color.css,
+    point: normalized,
+    intervals,
+    lines,
+    axes: { x: t('axes.economia'), y: t('axes.dirittocivilismo'), z: t('axes.establishment') },
+    footer: `r ${round(r)} · φ ${round(phiDeg)}° · θ ${round(thetaDeg)}° · ${new Date().toLocaleDateString(state.language)}`,
+    regionColor: (x, y, z) => quadrantFromVector(x, y, z).color.css,
+    snapshot: Boolean(options.snapshot)
+  });
 }
 
-function loadResultHistory() {
+/** Rasterizes a card, drawing `sphere` (see initSphere()) in its snapshot area */
+async function cardToPng(card, sphere) {
+  const url = URL.createObjectURL(new Blob([card.svg], { type: 'image/svg+xml' }));
+  const image = new Image();
   try {
-    const raw = localStorage.getItem('results');
-    return raw ? JSON.parse(raw) : [];
-  } catch (err) {
-    console.warn('Impossibile leggere i risultati salvati', err);
-    return [];
+    image.src = url;
+    await image.decode();
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = card.width * PNG_SCALE;
+  canvas.height = card.height * PNG_SCALE;
+  const context = canvas.getContext('2d');
+  context.scale(PNG_SCALE, PNG_SCALE);
+  context.drawImage(image, 0, 0, card.width, card.height);
+  const box = card.snapshotBox;
+  if (box && sphere) {
+    context.drawImage(sphere.snapshot(box.width * PNG_SCALE, box.height * PNG_SCALE), box.x, box.y, box.width, box.height);
   }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('toBlob failed'))), 'image/png');
+  });
 }
 
-function saveResultHistory(history) {
-  localStorage.setItem('results', JSON.stringify(history));
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
-function persistCurrentResult() {
-  if (state.resultSaved) return;
-  const res = computeResults();
-  const record = {
-    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
-    timestamp: Date.now(),
-    language: state.language,
-    name: state.name,
-    profession: state.profession,
-    professionKey: normalizeProfession(state.profession),
-    education: state.education,
-    educationLabel: state.educationLabel,
-    area: state.area,
-    areaLabel: state.areaLabel,
-    dob: state.dob,
-    quadrant: res.quadrant16,
-    normalized: res.normalized,
-    raw: res.raw
-  };
-  const history = loadResultHistory();
-  history.push(record);
-  saveResultHistory(history);
-  state.resultSaved = true;
+/* --------------------------------------------------------------------------
+ *  Routing
+ *
+ * The URL hash selects the view (see lib/router.js for the routes), so the
+ * browser back/forward buttons move between views and questions.  Views
+ * never call each other: they navigate(), and renderRoute() renders the
+ * view of the new hash once the guards let it through.
+ */
+const VIEWS = {
+  lang: viewLanguage,
+  welcome: viewWelcome,
+  profile: viewProfile,
+  quiz: viewQuiz,
+  summary: viewSummary,
+  result: viewResult,
+  insights: viewInsights,
+  shared: viewShared,
+  reviews: viewReviews,
+  data: viewData
+};
+
+let currentRoute = null;
+let previousRoute = null;  // last route before the reviews page, for its back button
+
+/** Moves to a route, adding a browser history entry */
+function navigate(name, param = null, query = {}) {
+  const hash = formatHash({ name, param, query });
+  if (location.hash === hash) {
+    renderRoute();
+  } else {
+    location.hash = hash;
+  }
 }
 
-function computeAverageCoordinates(entries) {
-  if (!Array.isArray(entries) || !entries.length) return null;
-  const total = entries.reduce((acc, entry) => {
-    acc.x += entry.normalized?.x || 0;
-    acc.y += entry.normalized?.y || 0;
-    acc.z += entry.normalized?.z || 0;
-    return acc;
-  }, { x: 0, y: 0, z: 0 });
-  const count = entries.length;
+/** Progress of the session, as checked by guardRoute() */
+function sessionStatus() {
   return {
-    count,
-    x: total.x / count,
-    y: total.y / count,
-    z: total.z / count
+    languageSelected: state.languageSelected,
+    hasName: Boolean(state.name),
+    profileComplete: Boolean(state.education && state.area && state.dob),
+    questionCount: state.order.length,
+    currentQuestion: state.idx + 1,
+    finished: state.finished
   };
 }
 
+/**
+ * Renders the view for the current hash.  Routes whose prerequisites are
+ * missing (e.g. #/quiz/12 after a reload, before a language and profile
+ * exist) are replaced in place by the route the guard redirects to.
+ */
+async function renderRoute() {
+  let route = parseHash(location.hash);
+  if (route && ['quiz', 'summary', 'result', 'insights'].includes(route.name) && sessionStatus().profileComplete && !state.questions.length) {
+    await loadQuestions();
+  }
+  const redirect = guardRoute(route, sessionStatus());
+  if (redirect) {
+    route = redirect;
+    history.replaceState(null, '', formatHash(route));
+  }
+  if (currentRoute && !['reviews', 'data'].includes(currentRoute.name)) previousRoute = currentRoute;
+  currentRoute = route;
+  if (route.name === 'quiz') state.idx = questionNumber(route) - 1;
+  VIEWS[route.name](route);
+}
+
 /* --------------------------------------------------------------------------
  *  View renderers
  */
@@ -885,9 +1281,24 @@ function computeAverageCoordinates(entries) {
  */
 function viewLanguage() {
   state.step = 0;
-  app.innerHTML = navBar() + `
+  const resume = resumableSession;
+  app.innerHTML = navBar() + (resume ? `
+    <div class="card p-6 mx-auto max-w-xl mb-6">
+      <h3 class="text-lg font-semibold text-gray-900 mb-2">${t('resume.title')}</h3>
+      <p class="text-gray-600 mb-4">${t('resume.text', {
+        name: escapeHtml(resume.name),
+        answered: answeredCount(resume),
+        total: resume.total || resume.answers.length,
+        date: escapeHtml(new Date(resume.savedAt).toLocaleString(state.language))
+      })}</p>
+      <div class="flex gap-3">
+        <button id="resumeSession" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3 transition">${t('resume.continue')}</button>
+        <button id="discardSession" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-3">${t('resume.discard')}</button>
+      </div>
+    </div>
+  ` : '') + `
     <div class="card p-8 mx-auto max-w-xl">
-      <label class="text-lg font-semibold text-gray-700 block mb-2" for="language">Choose language</label>
+      <label class="text-lg font-semibold text-gray-700 block mb-2" for="language">${t('language.choose')}</label>
       <div id="language" class="grid grid-cols-2 sm:grid-cols-3 gap-4">
         ${LANGUAGES.map(({ code, name, flag }) => `
           <button class="lang-btn bg-white border border-indigo-200 hover:border-indigo-400 hover:shadow rounded-lg px-4 py-3 flex items-center justify-center gap-2 text-indigo-700 font-semibold transition" data-lang="${code}" aria-label="${name}">
@@ -900,12 +1311,19 @@ function viewLanguage() {
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
+  if (nav) nav.onclick = () => navigate('reviews');
+  if (resume) {
+    document.getElementById('resumeSession').onclick = () => resumeSession(resume);
+    document.getElementById('discardSession').onclick = () => {
+      clearSession();
+      viewLanguage();
+    };
+  }
   // Attach language selection events
   document.querySelectorAll('.lang-btn').forEach((btn) => {
-    btn.onclick = () => {
+    btn.onclick = async () => {
       const lang = btn.dataset.lang;
-      state.language = lang;
+      await setLanguage(lang);
       // Reset scores and answers
       state.name = '';
       state.profession = '';
@@ -915,54 +1333,70 @@ function viewLanguage() {
       state.areaLabel = '';
       state.dob = '';
       state.idx = 0;
-      state.x = 0;
-      state.y = 0;
-      state.z = 0;
-      state.weightTotals = { economia: 0, dirittocivilismo: 0, establishment: 0 };
+      state.order = [];
       state.answers = [];
+      state.importance = [];
       state.resultSaved = false;
       state.filterProfession = 'all';
       state.filterEducation = 'all';
+      state.filterLength = null;
       state.profileError = '';
-      state.step = 1;
-      viewWelcome();
+      state.languageSelected = true;
+      state.finished = false;
+      state.summarySeen = false;
+      navigate('welcome');
     };
   });
 }
 
 /**
- * Renders the welcome view where the user enters their name.  Provides a
- * text input and a confirmation button.  Transitions to the profile view
+ * Renders the welcome view where the user enters their name and picks the
+ * test length.  Lengths that the question set does not make different
+ * from the standard test are not offered.  Transitions to the profile view
  * when a valid name is entered.
  */
-function viewWelcome() {
+async function viewWelcome() {
   state.step = 1;
+  const set = (await fetchQuestionSet(state.language || 'it')) || [];
+  const standardCount = questionsForLength(set, 'standard').length;
+  const lengths = TEST_LENGTHS
+    .map((length) => ({ length, count: questionsForLength(set, length).length }))
+    .filter(({ length, count }) => length === 'standard' || count !== standardCount);
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-xl">
       <h1 class="text-3xl font-extrabold text-gray-900 text-center leading-tight">
-        Benvenuto al test politico<br/><span class="text-indigo-700">3D</span>
+        ${t('welcome.title')}<br/><span class="text-indigo-700">3D</span>
       </h1>
       <p class="text-gray-600 text-center mt-4">
-        Inserisci il tuo nome per iniziare. Le tue risposte definiranno la tua posizione nella sfera politica.
+        ${t('welcome.intro')}
       </p>
       <div class="mt-6 space-y-3">
-        <input id="name" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="Il tuo nome" />
+        <input id="name" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="${escapeHtml(t('welcome.namePlaceholder'))}" />
+        ${lengths.length > 1 ? `
+          <div class="flex flex-col gap-1">
+            <label for="testLength" class="text-sm font-semibold text-gray-700">${escapeHtml(t('welcome.lengthLabel'))}</label>
+            <select id="testLength" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900">
+              ${lengths.map(({ length, count }) => `<option value="${length}" ${state.length === length ? 'selected' : ''}>${escapeHtml(t(`welcome.lengths.${length}`, { count }))}</option>`).join('')}
+            </select>
+          </div>
+        ` : ''}
         <button id="goName" class="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3 transition">
-          Conferma
+          ${t('common.confirm')}
         </button>
       </div>
     </div>
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
+  if (nav) nav.onclick = () => navigate('reviews');
   // Handle name confirm
   document.getElementById('goName').onclick = () => {
     const v = document.getElementById('name').value.trim();
     if (!v) return;
     state.name = v;
-    state.step = 2;
-    viewProfile();
+    const lengthSelect = document.getElementById('testLength');
+    state.length = lengthSelect ? lengthSelect.value : DEFAULT_TEST_LENGTH;
+    navigate('profile');
   };
 }
 
@@ -973,46 +1407,56 @@ function viewWelcome() {
  */
 function viewProfile() {
   state.step = 2;
-  const educationOptions = getEducationOptions(state.language);
-  const interestOptions = getInterestOptions(state.language);
-  const copy = getProfileCopy(state.language);
+  const educationOptions = getEducationOptions();
+  const interestOptions = getInterestOptions();
   const showInterest = Boolean(state.education);
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-xl">
-      <h2 class="text-2xl font-bold text-gray-900 mb-1">Ciao, ${escapeHtml(state.name)} 👋</h2>
-      <p class="text-gray-600 mb-6">Ora completa questi dati.</p>
+      <h2 class="text-2xl font-bold text-gray-900 mb-1">${t('profile.greeting', { name: escapeHtml(state.name) })}</h2>
+      <p class="text-gray-600 mb-6">${t('profile.intro')}</p>
       <div class="grid gap-4">
-        <input id="profession" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="${escapeHtml(copy.professionPlaceholder)}" value="${escapeHtml(state.profession)}" />
+        <input id="profession" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="${escapeHtml(t('profile.professionPlaceholder'))}" value="${escapeHtml(state.profession)}" />
         <div class="flex flex-col gap-1">
-          <label for="education" class="text-sm font-semibold text-gray-700">${escapeHtml(copy.educationLabel)}</label>
+          <label for="education" class="text-sm font-semibold text-gray-700">${escapeHtml(t('profile.educationLabel'))}</label>
           <select id="education" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900">
-            <option value="">${escapeHtml(copy.educationPlaceholder)}</option>
-            ${educationOptions.map(({ value, label }) => `<option value="${value}" ${state.education === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            <option value="">${escapeHtml(t('profile.educationPlaceholder'))}</option>
+            ${educationOptions.map(({ value, label }) => `<option value="${escapeHtml(value)}" ${state.education === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
           </select>
         </div>
         <div id="interestWrapper" class="flex flex-col gap-1 ${showInterest ? '' : 'hidden'}">
-          <label for="interest" class="text-sm font-semibold text-gray-700">${escapeHtml(copy.interestLabel)}</label>
+          <label for="interest" class="text-sm font-semibold text-gray-700">${escapeHtml(t('profile.interestLabel'))}</label>
           <select id="interest" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900">
-            <option value="">${escapeHtml(copy.interestPlaceholder)}</option>
-            ${interestOptions.map(({ value, label }) => `<option value="${value}" ${state.area === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            <option value="">${escapeHtml(t('profile.interestPlaceholder'))}</option>
+            ${interestOptions.map(({ value, label }) => `<option value="${escapeHtml(value)}" ${state.area === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
           </select>
         </div>
         <input id="dob" type="date" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900" value="${state.dob}" />
+        <div class="flex flex-col gap-1">
+          <label for="quizMode" class="text-sm font-semibold text-gray-700">${escapeHtml(t('profile.modeLabel'))}</label>
+          <select id="quizMode" class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900">
+            ${QUIZ_MODES.map((mode) => `<option value="${mode}" ${state.mode === mode ? 'selected' : ''}>${escapeHtml(t(`profile.modes.${mode}`))}</option>`).join('')}
+          </select>
+        </div>
+        <div class="flex flex-col gap-1">
+          <label for="questionOrder" class="text-sm font-semibold text-gray-700">${escapeHtml(t('profile.orderLabel'))}</label>
+          <select id="questionOrder" ${state.mode === 'adaptive' ? 'disabled' : ''} class="w-full rounded-lg border border-gray-300 px-4 py-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 disabled:bg-gray-100 disabled:text-gray-400">
+            ${QUESTION_ORDERS.map((ordering) => `<option value="${ordering}" ${state.ordering === ordering ? 'selected' : ''}>${escapeHtml(t(`profile.orders.${ordering}`))}</option>`).join('')}
+          </select>
+        </div>
         <p id="profileError" class="text-sm text-rose-600 ${state.profileError ? '' : 'hidden'}">${state.profileError ? escapeHtml(state.profileError) : ''}</p>
       </div>
       <div class="mt-6 flex gap-3">
-        <button id="backProfile" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-3">Indietro</button>
-        <button id="goProfile" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3">Conferma</button>
+        <button id="backProfile" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-3">${t('common.back')}</button>
+        <button id="goProfile" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3">${t('common.confirm')}</button>
       </div>
     </div>
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
+  if (nav) nav.onclick = () => navigate('reviews');
   // Back to name view
   document.getElementById('backProfile').onclick = () => {
-    state.step = 1;
-    viewWelcome();
+    navigate('welcome');
   };
   const educationSelect = document.getElementById('education');
   const interestWrapper = document.getElementById('interestWrapper');
@@ -1031,7 +1475,7 @@ function viewProfile() {
       const value = educationSelect.value;
       if (value) {
         state.education = value;
-        state.educationLabel = getEducationLabel(value, state.language);
+        state.educationLabel = getEducationLabel(value);
       } else {
         state.education = '';
         state.educationLabel = '';
@@ -1054,55 +1498,63 @@ function viewProfile() {
       const areaValue = interestSelect.value;
       if (areaValue) {
         state.area = areaValue;
-        state.areaLabel = getInterestLabel(areaValue, state.language);
+        state.areaLabel = getInterestLabel(areaValue);
       } else {
         state.area = '';
         state.areaLabel = '';
       }
     };
   }
+  // The adaptive mode picks its own order
+  const orderSelect = document.getElementById('questionOrder');
+  document.getElementById('quizMode').onchange = (event) => {
+    orderSelect.disabled = event.target.value === 'adaptive';
+  };
   // Confirm and proceed to quiz
   document.getElementById('goProfile').onclick = () => {
     clearError();
-    const copyNow = getProfileCopy(state.language);
     const professionValue = document.getElementById('profession').value.trim();
     const educationValue = educationSelect ? educationSelect.value : '';
     const interestValue = interestSelect ? interestSelect.value : '';
     const dobValue = document.getElementById('dob').value;
     if (!educationValue) {
       if (errorField) {
-        errorField.textContent = copyNow.missingEducation;
+        errorField.textContent = t('profile.missingEducation');
         errorField.classList.remove('hidden');
       }
-      state.profileError = copyNow.missingEducation;
+      state.profileError = t('profile.missingEducation');
       return;
     }
     if (educationValue && !interestValue) {
       if (errorField) {
-        errorField.textContent = copyNow.missingInterest;
+        errorField.textContent = t('profile.missingInterest');
         errorField.classList.remove('hidden');
       }
-      state.profileError = copyNow.missingInterest;
+      state.profileError = t('profile.missingInterest');
       return;
     }
     if (!dobValue) {
-      alert('impossibile andare avanti');
+      alert(t('profile.missingDob'));
       state.profileError = '';
       return;
     }
     state.profileError = '';
     state.profession = professionValue;
     state.education = educationValue;
-    state.educationLabel = getEducationLabel(educationValue, state.language);
+    state.educationLabel = getEducationLabel(educationValue);
     state.area = interestValue;
-    state.areaLabel = getInterestLabel(interestValue, state.language);
+    state.areaLabel = getInterestLabel(interestValue);
     state.dob = dobValue;
+    state.mode = document.getElementById('quizMode').value;
+    state.ordering = orderSelect.value;
     state.idx = 0;
-    state.x = 0; state.y = 0; state.z = 0;
-    state.weightTotals = { economia: 0, dirittocivilismo: 0, establishment: 0 };
+    state.order = [];
     state.answers = [];
+    state.importance = [];
+    state.finished = false;
+    state.summarySeen = false;
     state.resultSaved = false;
-    loadQuestions().then(() => viewQuiz());
+    loadQuestions().then(() => startQuiz());
   };
 }
 
@@ -1113,206 +1565,419 @@ function viewProfile() {
  */
 function viewQuiz() {
   state.step = 3;
-  // If we've answered all questions, finish
-  if (state.idx >= state.questions.length) {
-    finish();
+  // Nothing left to ask: show the summary
+  if (state.idx >= state.order.length) {
+    navigate('summary');
     return;
   }
-  const q = state.questions[state.idx];
-  const total = state.questions.length;
+  // Remember where we are, so a reload resumes at this question
+  saveSession();
+  const questionIndex = state.order[state.idx];
+  const q = state.questions[questionIndex];
+  const scale = scaleOf(q);
+  const adaptive = state.mode === 'adaptive';
+  // In adaptive mode the quiz may stop early: progress is against the maximum
+  const total = adaptive ? Math.min(ADAPTIVE_DEFAULTS.maxQuestions, state.questions.length) : state.questions.length;
   const half = Math.floor(total / 2);
   const progress = Math.round((state.idx / total) * 100);
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-3xl">
       <div class="flex items-center justify-between mb-4">
-        <div class="text-sm text-gray-500">Domanda ${state.idx + 1} di ${total}</div>
+        <div class="text-sm text-gray-500">${t(adaptive ? 'quiz.progressAdaptive' : 'quiz.progress', { current: state.idx + 1, total })}</div>
         <div class="w-44 bg-gray-200 rounded-full h-2 overflow-hidden">
           <div class="bg-indigo-600 h-2" style="width:${progress}%"></div>
         </div>
       </div>
       <h3 class="text-xl font-semibold text-gray-900 mb-6">${escapeHtml(q.title)}</h3>
-      <div class="grid md:grid-cols-5 gap-3">
-        ${ANSWER_LABELS.map((lbl, i) => {
-          const value = ANSWER_VALUES[i];
-          return `<button data-v="${value}" class="ans bg-white border border-gray-300 hover:border-indigo-500 hover:shadow-sm rounded-lg px-3 py-3 text-sm font-medium text-gray-900">${lbl}</button>`;
-        }).join('')}
-      </div>
+      ${answerControls(scale, state.answers[questionIndex])}
+      ${importanceControls(state.importance[questionIndex])}
       <div class="mt-6 flex justify-between">
-        <button id="backQuiz" class="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">Indietro</button>
-        ${state.idx + 1 >= half ? `<button id="skipQuiz" class="bg-amber-500 hover:bg-amber-600 text-white font-semibold rounded-lg px-4 py-2">Vai alla fine</button>` : `<span></span>`}
-        <button id="nextQuiz" class="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2">Avanti</button>
+        <button id="backQuiz" class="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">${t('common.back')}</button>
+        ${state.idx + 1 >= half ? `<button id="skipQuiz" class="bg-amber-500 hover:bg-amber-600 text-white font-semibold rounded-lg px-4 py-2">${t('quiz.skipToEnd')}</button>` : `<span></span>`}
+        <button id="nextQuiz" class="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2">${t('quiz.next')}</button>
       </div>
     </div>
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
-  // Handle answer selection
+  if (nav) nav.onclick = () => navigate('reviews');
+  // Answering again (from the summary or the back button) replaces the answer
+  const answer = (value) => {
+    state.answers[questionIndex] = value;
+    saveSession();
+    stepForward();
+  };
   document.querySelectorAll('.ans').forEach((btn) => {
+    btn.onclick = () => answer(Number(btn.dataset.v));
+  });
+  // Importance is optional and does not advance: it applies to the answer given
+  document.querySelectorAll('.importance-btn').forEach((btn) => {
     btn.onclick = () => {
-      const score = Number(btn.dataset.v);
-      applyScore(q, score);
-      state.answers[state.idx] = score;
-      stepForward();
+      state.importance[questionIndex] = Number(btn.dataset.factor);
+      saveSession();
+      viewQuiz();
     };
   });
+  const slider = document.getElementById('sliderAnswer');
+  if (slider) {
+    const sliderValue = document.getElementById('sliderValue');
+    slider.oninput = () => {
+      sliderValue.textContent = formatSliderValue(Number(slider.value));
+    };
+    document.getElementById('confirmSlider').onclick = () => answer(Number(slider.value));
+  }
   // Back button: go back one question or to profile
   document.getElementById('backQuiz').onclick = () => {
     stepBack();
   };
-  // Next button: skip answering (counts as neutral 0)
+  // Next button: skip answering (the question does not count)
   document.getElementById('nextQuiz').onclick = () => {
     stepForward();
   };
   // Skip to end button
   const skipBtn = document.getElementById('skipQuiz');
   if (skipBtn) skipBtn.onclick = () => {
-    finish();
+    navigate('summary');
   };
 }
 
 /**
- * Adds a weighted score to the axes based on the provided question
- * configuration.  Each question carries an explicit weight for all
- * three components so that future adjustments can rebalance their
- * influence without touching the code.
+ * Answer buttons for a choice scale, or a slider with a confirm button
+ * (and a "Non so" button, which answers 0) for the continuous scale.
+ * `current` is the stored answer, highlighted or preset.
  */
-function applyScore(question, value) {
-  if (!question || !question.weights) return;
-  const weights = question.weights;
-  state.x += (Number(weights.economia) || 0) * value;
-  state.y += (Number(weights.dirittocivilismo) || 0) * value;
-  state.z += (Number(weights.establishment) || 0) * value;
+function answerControls(scale, current) {
+  const button = (value, label) => {
+    const chosen = current === value;
+    return `<button data-v="${value}" aria-pressed="${chosen}" class="ans ${chosen ? 'bg-indigo-50 border-indigo-600' : 'bg-white border-gray-300'} border hover:border-indigo-500 hover:shadow-sm rounded-lg px-3 py-3 text-sm font-medium text-gray-900">${label}</button>`;
+  };
+  if (scale.type === 'slider') {
+    const value = typeof current === 'number' ? current : 0;
+    return `
+      <div class="space-y-3">
+        <input id="sliderAnswer" type="range" min="${scale.min}" max="${scale.max}" step="${scale.step}" value="${value}" class="w-full accent-indigo-600" aria-describedby="sliderValue" />
+        <div class="flex justify-between text-xs text-gray-500">
+          <span>${t('answers.strongNo')}</span>
+          <span id="sliderValue" class="font-semibold text-gray-900">${formatSliderValue(value)}</span>
+          <span>${t('answers.strongYes')}</span>
+        </div>
+        <div class="grid grid-cols-2 gap-3">
+          ${button(0, t('answers.neutral'))}
+          <button id="confirmSlider" class="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-3 py-3 text-sm">${t('quiz.confirmAnswer')}</button>
+        </div>
+      </div>
+    `;
+  }
+  return `
+    <div class="grid ${ANSWER_GRID_CLASSES[scale.options.length] || ''} gap-3">
+      ${scale.options.map(({ key, value }) => button(value, t(`answers.${key}`))).join('')}
+    </div>
+  `;
+}
+
+/**
+ * The optional "How important is this to you?" row: one toggle per
+ * IMPORTANCE_LEVELS entry, with `current` (the stored multiplier, unset
+ * meaning normal) highlighted.
+ */
+function importanceControls(current) {
+  const selected = current === undefined ? IMPORTANCE_LEVELS.normal : current;
+  return `
+    <div class="mt-5 flex flex-wrap items-center gap-2 text-sm" role="group" aria-label="${t('importance.question')}">
+      <span class="text-gray-600 mr-1">${t('importance.question')}</span>
+      ${Object.entries(IMPORTANCE_LEVELS).map(([level, factor]) => {
+        const chosen = factor === selected;
+        return `<button data-factor="${factor}" aria-pressed="${chosen}" class="importance-btn ${chosen ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300'} border hover:border-indigo-500 rounded-full px-3 py-1">${t(`importance.levels.${level}`)}</button>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+/** Label of a stored importance multiplier, or '' for the default level */
+function importanceLabel(value) {
+  if (value === undefined || value === IMPORTANCE_LEVELS.normal) return '';
+  const level = Object.keys(IMPORTANCE_LEVELS).find((key) => IMPORTANCE_LEVELS[key] === value);
+  return level ? t(`importance.levels.${level}`) : `×${value}`;
+}
+
+/** A slider answer as shown to the user: signed, two decimals */
+function formatSliderValue(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+/** Label of a stored answer on the question's scale */
+function answerLabel(question, value) {
+  const scale = scaleOf(question);
+  if (scale.type === 'slider') return value === 0 ? t('answers.neutral') : formatSliderValue(value);
+  const option = scale.options.find((entry) => Math.abs(entry.value - value) < 1e-9);
+  return option ? t(`answers.${option.key}`) : String(value);
+}
+
+/**
+ * Builds the question order for the chosen mode and opens the first
+ * question.  The adaptive order starts with one question and grows as the
+ * quiz goes on; the full quiz follows the chosen ordering, drawing a new
+ * seed for a random one.
+ */
+function startQuiz() {
+  if (state.mode === 'adaptive') {
+    state.seed = null;
+    state.order = [];
+    extendAdaptiveOrder();
+  } else {
+    state.seed = state.ordering === 'random' ? randomSeed() : null;
+    state.order = questionOrder(state.questions, state.ordering, state.seed);
+  }
+  navigate('quiz', 1);
+}
+
+/** Appends the next adaptive question to the order; false when the quiz should stop */
+function extendAdaptiveOrder() {
+  const next = nextAdaptiveQuestion(state.questions, state.answers, state.order, { importance: state.importance });
+  if (next.index === null) return false;
+  state.order.push(next.index);
+  return true;
 }
 
-/** Advances to the next question or finishes if at the end */
+/**
+ * Advances to the next question, or to the summary after the last one.
+ * While editing from the summary every answer returns to it.
+ */
 function stepForward() {
-  if (state.idx < state.questions.length - 1) {
-    state.idx++;
-    viewQuiz();
+  if (state.summarySeen) {
+    navigate('summary');
+  } else if (state.idx < state.order.length - 1 || (state.mode === 'adaptive' && extendAdaptiveOrder())) {
+    navigate('quiz', state.idx + 2);
   } else {
-    finish();
+    navigate('summary');
   }
 }
 
 /** Goes back to the previous question or to the profile view */
 function stepBack() {
   if (state.idx === 0) {
-    state.step = 2;
-    viewProfile();
+    navigate('profile');
     return;
   }
-  // Roll back the previous answer's score
-  const prevQ = state.questions[state.idx];
-  const prevScore = state.answers[state.idx];
-  if (prevScore !== undefined) {
-    applyScore(prevQ, -prevScore);
-    state.answers[state.idx] = undefined;
-  }
-  state.idx--;
-  viewQuiz();
+  // Answers stay as they are: the previous question shows its own answer
+  navigate('quiz', state.idx);
 }
 
 /** Finalizes the quiz and transitions to the result view */
 function finish() {
-  state.step = 4;
-  viewResult();
+  state.finished = true;
+  navigate('result');
 }
 
-/** Computes spherical coordinates and quadrant for the current scores.  The
- *  sphere is divided into 4 sectors around the azimuth (phi) and 4
- *  sectors for the polar angle (theta), yielding 16 quadrants.
+/**
+ * Scores the stored answers.  The result depends only on state.answers
+ * (and the loaded questions), so answers can be changed in any order.
+ * Each axis is normalized by the weight of the answered questions, and
+ * `coverage` tells how much of the question set the result rests on.
+ * `source` defaults to the app state; a shared result passes its own
+ * `{ questions, answers, importance, order }`.  `quadrantNumber` is the
+ * region of quadrants.json; `quadrant16`, `phiSector` and `thetaSector`
+ * keep the fixed 16-sector split of the sphere, whatever the region model.
  */
-function computeResults() {
-  const normalized = getNormalizedScores();
-  const { x, y, z } = normalized;
-  const magnitude = Math.sqrt(x * x + y * y + z * z) || 0;
-  const r = Math.min(1, magnitude / Math.sqrt(3));
-  const theta = magnitude ? Math.acos(z / (magnitude || 1)) : 0; // 0..π
-  let phi = Math.atan2(y, x);             // -π..π
-  // Normalize phi to 0..2π
-  if (phi < 0) phi += 2 * Math.PI;
-  // Determine sectors for phi and theta
-  const phiSector = Math.floor((phi / (2 * Math.PI)) * 4);   // 0..3
-  const thetaSector = Math.floor((theta / Math.PI) * 4);      // 0..3
-  const quadrant16 = Math.min(phiSector * 4 + thetaSector + 1, 16);         // 1..16
-  const quadrantMeta = quadrantFromVector(x, y, z);
-  const extra = getQuadrantDetails(quadrantMeta.index, normalized);
+function computeResults(source = state) {
+  const raw = computeRawScores(source.questions, source.answers, source.importance);
+  const totals = computeAnsweredTotals(source.questions, source.answers, source.importance);
+  const scored = scoreRaw(raw, totals, { quadrants: REGION_MODEL });
+  const { normalized, spherical, quadrant } = scored;
+  const sector = sectorFromVector(normalized.x, normalized.y, normalized.z);
+  const extra = quadrant.entry;
   return {
-    r,
-    theta,
-    phi,
-    thetaDeg: rad2deg(theta),
-    phiDeg: rad2deg(phi),
-    quadrant16,
-    descriptor: extra?.content || quadrantMeta.descriptor,
-    color: quadrantMeta.color,
-    phiSector: quadrantMeta.phiSector,
-    thetaSector: quadrantMeta.thetaSector,
-    x,
-    y,
-    z,
+    r: spherical.r,
+    theta: spherical.theta,
+    phi: spherical.phi,
+    thetaDeg: spherical.thetaDeg,
+    phiDeg: spherical.phiDeg,
+    quadrantNumber: quadrant.number,
+    quadrantId: quadrant.id,
+    quadrant16: sector.index + 1,
+    phiSector: sector.phiSector,
+    thetaSector: sector.thetaSector,
+    descriptor: extra?.content || '',
+    color: colorFromIndex(quadrant.index),
+    x: normalized.x,
+    y: normalized.y,
+    z: normalized.z,
     normalized,
-    rawRadius: magnitude,
-    raw: { x: state.x, y: state.y, z: state.z },
+    rawRadius: spherical.rawRadius,
+    raw: scored.raw,
+    totals: scored.totals,
+    coverage: computeCoverage(source.questions, source.answers, source.order),
+    intervals: bootstrapIntervals(source.questions, source.answers, { importance: source.importance }),
     quadrantInfo: extra
   };
 }
 
+const COVERAGE_STYLES = {
+  high: { bar: 'bg-emerald-500', text: 'text-emerald-700' },
+  medium: { bar: 'bg-amber-500', text: 'text-amber-700' },
+  low: { bar: 'bg-red-500', text: 'text-red-700' }
+};
+
+/**
+ * Answer counts and, per axis, the share of its weight that was answered,
+ * so a result built on few answers is not read as a full one.
+ */
+function coverageBlock(coverage) {
+  return `
+    <div class="border border-gray-200 rounded-lg p-4">
+      <p class="text-sm font-semibold text-gray-800">${t('coverage.title')}</p>
+      <p class="text-xs text-gray-600 mt-1">
+        ${t('coverage.answered', { answered: coverage.answered, total: coverage.total })} ·
+        ${t('coverage.neutral', { count: coverage.neutral, label: escapeHtml(t('answers.neutral')) })} ·
+        ${t('coverage.skipped', { count: coverage.skipped })}
+        ${coverage.notAsked ? ` · ${t('coverage.notAsked', { count: coverage.notAsked })}` : ''}
+      </p>
+      <div class="grid sm:grid-cols-3 gap-3 mt-3">
+        ${AXES.map((axis) => {
+          const { ratio, level } = coverage.axes[axis];
+          const percent = Math.round(ratio * 100);
+          return `
+            <div>
+              <div class="flex justify-between text-xs text-gray-700">
+                <span>${t(`axes.${axis}`)}</span>
+                <span>${percent}%</span>
+              </div>
+              <div class="bg-gray-200 rounded-full h-1.5 overflow-hidden mt-1">
+                <div class="${COVERAGE_STYLES[level].bar} h-1.5" style="width:${percent}%"></div>
+              </div>
+              <p class="text-xs mt-1 ${COVERAGE_STYLES[level].text}">${t(`coverage.levels.${level}`)}</p>
+            </div>
+          `;
+        }).join('')}
+      </div>
+      <p class="text-xs text-gray-500 mt-3">${t('coverage.note')}</p>
+    </div>
+  `;
+}
+
+/** Confidence interval of one coordinate ('x', 'y' or 'z'), as inline text */
+function intervalText(intervals, coordinate) {
+  if (!intervals) return '';
+  const [low, high] = intervals[coordinate];
+  return `<span class="text-xs text-gray-500">${t('result.interval', { level: Math.round(intervals.level * 100), low: round(low), high: round(high) })}</span>`;
+}
+
+/**
+ * Lists every question with its answer before the result.  Each question
+ * links to its quiz page; after changing an answer the quiz returns here.
+ */
+function viewSummary() {
+  state.step = 3;
+  state.summarySeen = true;
+  app.innerHTML = navBar() + `
+    <div class="card p-8 mx-auto max-w-3xl">
+      <h3 class="text-2xl font-bold mb-2">${t('summary.title')}</h3>
+      <p class="text-gray-600 mb-6">${t('summary.intro')}</p>
+      <ol class="divide-y divide-gray-200 mb-6">
+        ${state.order.map((index, position) => {
+          const question = state.questions[index];
+          const value = state.answers[index];
+          const answer = value === undefined ? `<span class="text-gray-400">${t('summary.unanswered')}</span>` : escapeHtml(answerLabel(question, value));
+          const importance = value === undefined ? '' : importanceLabel(state.importance[index]);
+          return `
+            <li class="py-3 flex items-start justify-between gap-4">
+              <div>
+                <div class="text-sm text-gray-500">${position + 1}. ${escapeHtml(question.title)}</div>
+                <div class="font-medium text-gray-900">${answer}${importance ? ` <span class="ml-2 text-xs font-normal text-indigo-700">${t('summary.importance', { level: importance })}</span>` : ''}</div>
+              </div>
+              <a href="${formatHash({ name: 'quiz', param: position + 1 })}" class="shrink-0 text-indigo-600 hover:text-indigo-800 text-sm font-semibold">${t('summary.edit')}</a>
+            </li>
+          `;
+        }).join('')}
+      </ol>
+      <button id="confirmSummary" class="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3 transition">${t('summary.confirm')}</button>
+    </div>
+  `;
+  // Attach nav event
+  const nav = document.getElementById('navReviews');
+  if (nav) nav.onclick = () => navigate('reviews');
+  document.getElementById('confirmSummary').onclick = () => {
+    finish();
+  };
+}
+
 /** Renders the minimal result view showing only the quadrant number and
  *  a placeholder description.  Provides buttons to view insights,
  *  restart the test, and leave a review.
  */
 async function viewResult() {
   state.step = 4;
-  // Salva il risultato corrente la prima volta che si arriva qui
-  persistCurrentResult();
+  // Prima i quadranti, così il risultato viene salvato con la regione giusta
   await ensureQuadrantsLoaded();
+  // Salva il risultato corrente la prima volta che si arriva qui
+  await persistCurrentResult();
   // Calcola il quadrante e prepara la descrizione
   const result = computeResults();
-  const { quadrant16, descriptor, color, normalized } = result;
-  const description = descriptor || `Quadrante ${quadrant16}`;
+  const { quadrantNumber, descriptor, color, normalized, quadrantInfo, coverage, intervals } = result;
+  const description = descriptor || t('result.quadrant', { number: quadrantNumber });
   // Mostra anche i punteggi cartesiani nella pagina di riepilogo
   const { x, y, z } = normalized;
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-3xl">
-      <h3 class="text-2xl font-bold mb-4">Il tuo risultato</h3>
+      <h3 class="text-2xl font-bold mb-4">${t('result.title')}</h3>
       <div class="flex items-center gap-3">
         <span class="inline-flex items-center justify-center w-10 h-10 rounded-full border border-gray-200" style="background:${color.css};"></span>
         <div>
-          <p class="text-xl font-semibold text-indigo-700">Quadrante ${quadrant16}</p>
-          <p class="mt-1 text-gray-700 text-sm sm:text-base">${description}</p>
+          <p class="text-xl font-semibold text-indigo-700">${t('result.quadrant', { number: quadrantNumber })}${quadrantInfo && quadrantInfo.name ? ` · ${escapeHtml(quadrantInfo.name)}` : ''}</p>
+          <p class="mt-1 text-gray-700 text-sm sm:text-base">${escapeHtml(description)}</p>
         </div>
       </div>
       <div class="mt-4 space-y-1 text-gray-800 text-sm">
-        <div><span class="font-semibold">x (economia normalizzata):</span> ${round(x)}</div>
-        <div><span class="font-semibold">y (dirittocivilismo normalizzato):</span> ${round(y)}</div>
-        <div><span class="font-semibold">z (fedeltà all'establishment normalizzata):</span> ${round(z)}</div>
-        <p class="text-xs text-gray-500">Valori normalizzati in base al peso complessivo delle domande (range [-1, 1]).</p>
+        <div><span class="font-semibold">${t('result.axisX')}</span> ${round(x)} ${intervalText(intervals, 'x')}</div>
+        <div><span class="font-semibold">${t('result.axisY')}</span> ${round(y)} ${intervalText(intervals, 'y')}</div>
+        <div><span class="font-semibold">${t('result.axisZ')}</span> ${round(z)} ${intervalText(intervals, 'z')}</div>
+        <p class="text-xs text-gray-500">${t('result.normalizedNote')}</p>
+        ${intervals ? `<p class="text-xs text-gray-500">${t('result.intervalNote', { level: Math.round(intervals.level * 100) })}</p>` : ''}
       </div>
+      <div class="mt-4">${coverageBlock(coverage)}</div>
       <div class="mt-6 flex gap-3">
-        <button id="showInsights" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3">Visualizza insights</button>
-        <button id="restartTest" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-3">Ricomincia</button>
+        <button id="showInsights" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-3">${t('result.showInsights')}</button>
+        <button id="restartTest" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-3">${t('common.restart')}</button>
+      </div>
+      <div class="mt-4">
+        <button id="shareResult" class="w-full bg-white border border-indigo-200 hover:border-indigo-500 text-indigo-700 font-semibold rounded-lg px-4 py-3">${t('share.button')}</button>
+        <div id="shareBox" class="hidden mt-3 space-y-1">
+          <input id="shareLink" readonly class="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm text-gray-700 bg-gray-50" />
+          <p id="shareMsg" class="text-xs text-gray-500"></p>
+        </div>
       </div>
       <div class="mt-8">
-        <h4 class="text-lg font-semibold mb-2">Lascia una recensione</h4>
-        <textarea id="reviewInput" class="w-full rounded-lg border border-gray-300 p-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="La tua recensione..."></textarea>
-        <button id="submitReview" class="mt-2 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2">Invia recensione</button>
+        <h4 class="text-lg font-semibold mb-2">${t('review.title')}</h4>
+        <textarea id="reviewInput" class="w-full rounded-lg border border-gray-300 p-3 focus:ring-2 focus:ring-indigo-500 outline-none bg-white text-gray-900 placeholder-gray-400" placeholder="${escapeHtml(t('review.placeholder'))}"></textarea>
+        <button id="submitReview" class="mt-2 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2">${t('review.submit')}</button>
         <p id="reviewMsg" class="text-sm mt-2"></p>
       </div>
     </div>
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
+  if (nav) nav.onclick = () => navigate('reviews');
   // Insights button
   document.getElementById('showInsights').onclick = () => {
-    viewInsights();
+    navigate('insights');
+  };
+  // Share button: show the link and try to copy it
+  document.getElementById('shareResult').onclick = async () => {
+    const link = document.getElementById('shareLink');
+    const message = document.getElementById('shareMsg');
+    link.value = shareLink();
+    document.getElementById('shareBox').classList.remove('hidden');
+    link.select();
+    try {
+      await navigator.clipboard.writeText(link.value);
+      message.textContent = t('share.copied');
+    } catch (err) {
+      message.textContent = t('share.copyManually');
+    }
   };
   // Restart button
   document.getElementById('restartTest').onclick = () => {
     // Reset state and go back to language selection
-    state.language = 'it';
     state.name = '';
     state.profession = '';
     state.education = '';
@@ -1321,14 +1986,18 @@ async function viewResult() {
     state.areaLabel = '';
     state.dob = '';
     state.idx = 0;
-    state.x = 0; state.y = 0; state.z = 0;
-    state.weightTotals = { economia: 0, dirittocivilismo: 0, establishment: 0 };
+    state.order = [];
     state.answers = [];
+    state.importance = [];
+    state.languageSelected = false;
+    state.finished = false;
+    state.summarySeen = false;
     state.resultSaved = false;
     state.filterProfession = 'all';
     state.filterEducation = 'all';
+    state.filterLength = null;
     state.profileError = '';
-    viewLanguage();
+    navigate('lang');
   };
   // Submit review button
   document.getElementById('submitReview').onclick = () => {
@@ -1340,19 +2009,21 @@ async function viewResult() {
  * Renders the detailed insights view showing raw scores, spherical
  * coordinates, quadrant, and a Three.js visualization.  Provides
  * buttons to go back to the minimal result and to restart the test.
+ * With `shared` (see viewShared()) it shows that result read-only:
+ * nothing is saved, and neither the comparison with the local history
+ * nor the restart button is shown.
  */
-async function viewInsights() {
+async function viewInsights(route, shared = null) {
   state.step = 5;
-  persistCurrentResult();
   await ensureQuadrantsLoaded();
-  const res = computeResults();
-  const { r, phiDeg, thetaDeg, quadrant16, descriptor, color, normalized, raw, quadrantInfo, rawRadius } = res;
-  const totals = state.weightTotals || { economia: 0, dirittocivilismo: 0, establishment: 0 };
+  if (!shared) await persistCurrentResult();
+  const res = computeResults(shared || state);
+  const { r, phiDeg, thetaDeg, quadrantNumber, descriptor, color, normalized, raw, totals, coverage, intervals, quadrantInfo, rawRadius } = res;
   const legend = getQuadrantLegend();
   const stats = [
-    { key: 'economia', label: 'Economia', value: normalized.x, raw: raw.x, total: totals.economia },
-    { key: 'dirittocivilismo', label: 'Diritti civili', value: normalized.y, raw: raw.y, total: totals.dirittocivilismo },
-    { key: 'establishment', label: 'Establishment', value: normalized.z, raw: raw.z, total: totals.establishment }
+    { key: 'economia', coordinate: 'x', label: t('axes.economia'), value: normalized.x, raw: raw.x, total: totals.economia },
+    { key: 'dirittocivilismo', coordinate: 'y', label: t('axes.dirittocivilismo'), value: normalized.y, raw: raw.y, total: totals.dirittocivilismo },
+    { key: 'establishment', coordinate: 'z', label: t('axes.establishment'), value: normalized.z, raw: raw.z, total: totals.establishment }
   ];
   const formatBounds = (bounds) => {
     if (!bounds || typeof bounds !== 'object') return '';
@@ -1374,53 +2045,59 @@ async function viewInsights() {
   };
   const affiliations = quadrantInfo?.affiliazionepolitica;
   const affiliationList = Array.isArray(affiliations) ? affiliations : (affiliations ? [affiliations] : []);
-  const insightsCopy = getInsightsCopy(state.language);
-  const history = loadResultHistory();
-  const currentProfessionKey = normalizeProfession(state.profession);
+  // Results of different lengths rest on different questions: compare like with like by default
+  if (!state.filterLength) state.filterLength = state.length;
+  const selectedLength = state.filterLength;
+  const lengthOptions = ['all', ...TEST_LENGTHS].map((length) => (
+    `<option value="${length}"${length === selectedLength ? ' selected' : ''}>${escapeHtml(length === 'all' ? t('insights.allOption') : t(`insights.lengths.${length}`))}</option>`
+  ));
+  const currentProfessionKey = professionKey(state.profession);
+  if ((!state.filterProfession || state.filterProfession === 'all') && currentProfessionKey && currentProfessionKey !== 'unspecified') {
+    state.filterProfession = currentProfessionKey;
+  }
+  if ((!state.filterEducation || state.filterEducation === 'all') && state.education) {
+    state.filterEducation = state.education;
+  }
+  const selectedProfession = state.filterProfession || 'all';
+  const selectedEducation = state.filterEducation || 'all';
+  const filters = { length: selectedLength, profession: selectedProfession, education: selectedEducation };
+  // A shared result shows no comparison, so there is nothing to fetch
+  const comparison = shared ? { ...aggregateStatistics([], filters), source: 'local' } : await loadComparison(filters);
   const professionMap = new Map();
   let hasUnspecified = false;
-  history.forEach((entry) => {
-    const key = entry.professionKey || 'unspecified';
-    if (key === 'unspecified') hasUnspecified = true;
-    const label = entry.profession && entry.profession.trim() ? entry.profession.trim() : insightsCopy.unspecifiedProfession;
-    if (!professionMap.has(key) && key !== 'unspecified') {
-      professionMap.set(key, label);
+  comparison.professions.forEach(({ key }) => {
+    if (key === 'unspecified') {
+      hasUnspecified = true;
+    } else if (!professionMap.has(key)) {
+      professionMap.set(key, key);
     }
   });
   if (currentProfessionKey && currentProfessionKey !== 'unspecified' && state.profession && !professionMap.has(currentProfessionKey)) {
     professionMap.set(currentProfessionKey, state.profession);
   }
   if (hasUnspecified || !professionMap.size) {
-    professionMap.set('unspecified', insightsCopy.unspecifiedProfession);
+    professionMap.set('unspecified', t('insights.unspecifiedProfession'));
   }
-  if ((!state.filterProfession || state.filterProfession === 'all') && currentProfessionKey && currentProfessionKey !== 'unspecified') {
-    state.filterProfession = currentProfessionKey;
-  }
-  if ((!state.filterEducation || state.filterEducation === 'all') && state.education) {
-    state.filterEducation = state.education;
-  }
-  const selectedProfession = state.filterProfession || 'all';
-  const selectedEducation = state.filterEducation || 'all';
   const professionOptionsList = Array.from(professionMap.entries()).sort((a, b) => {
     if (a[0] === 'unspecified') return 1;
     if (b[0] === 'unspecified') return -1;
     return a[1].localeCompare(b[1], state.language);
   });
   if (selectedProfession !== 'all' && !professionMap.has(selectedProfession)) {
-    professionOptionsList.push([selectedProfession, state.profession || insightsCopy.unspecifiedProfession]);
+    professionOptionsList.push([selectedProfession, state.profession || t('insights.unspecifiedProfession')]);
   }
   const professionOptions = [
-    `<option value="all"${selectedProfession === 'all' ? ' selected' : ''}>${escapeHtml(insightsCopy.allOption)}</option>`,
-    ...professionOptionsList.map(([value, label]) => `<option value="${value}"${value === selectedProfession ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    `<option value="all"${selectedProfession === 'all' ? ' selected' : ''}>${escapeHtml(t('insights.allOption'))}</option>`,
+    ...professionOptionsList.map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selectedProfession ? ' selected' : ''}>${escapeHtml(label)}</option>`)
   ];
-  const educationList = [...getEducationOptions(state.language)];
+  const educationList = [...getEducationOptions()];
   const educationSeen = new Set(educationList.map((opt) => opt.value));
   if (selectedEducation !== 'all' && !educationSeen.has(selectedEducation)) {
-    educationList.push({ value: selectedEducation, label: getEducationLabel(selectedEducation, state.language) });
+    educationList.push({ value: selectedEducation, label: getEducationLabel(selectedEducation) });
   }
   const educationOptions = [
-    `<option value="all"${selectedEducation === 'all' ? ' selected' : ''}>${escapeHtml(insightsCopy.allOption)}</option>`,
-    ...educationList.map(({ value, label }) => `<option value="${value}"${value === selectedEducation ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    `<option value="all"${selectedEducation === 'all' ? ' selected' : ''}>${escapeHtml(t('insights.allOption'))}</option>`,
+    ...educationList.map(({ value, label }) => `<option value="${escapeHtml(value)}"${value === selectedEducation ? ' selected' : ''}>${escapeHtml(label)}</option>`)
   ];
   const formatNumber = (value) => {
     const rounded = round(value);
@@ -1444,144 +2121,204 @@ async function viewInsights() {
         <p class="font-semibold">${escapeHtml(label)}</p>
         <p>${formatNumber(avg[axis])}</p>
         <p class="text-[11px] text-gray-500">Δ ${formatDiff(normalized[axis] - avg[axis])}</p>
+        ${avg.sd ? `<p class="text-[11px] text-gray-500">σ ${formatNumber(avg.sd[axis])}</p>` : ''}
       </div>
     `).join('');
+    // Quadrants with too few results are left out, so shares are of the whole cell
+    const shares = Object.entries(avg.quadrants || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([number, count]) => `${number} (${Math.round((count / avg.count) * 100)}%)`);
     return `
       <div class="bg-white border border-indigo-100 rounded-lg p-4 shadow-sm space-y-3">
         <div class="flex items-center justify-between text-sm font-semibold text-gray-700">
           <span>${escapeHtml(title)}${subtitleSafe}</span>
-          <span class="text-indigo-600">${escapeHtml(insightsCopy.sampleSize(avg.count))}</span>
+          <span class="text-indigo-600">${escapeHtml(t('insights.sampleSize', { count: avg.count }))}</span>
         </div>
         <div class="grid grid-cols-3 gap-3 text-xs text-gray-700">
           ${axisHtml}
         </div>
+        ${shares.length ? `<p class="text-[11px] text-gray-500">${escapeHtml(t('insights.quadrantShares', { list: shares.join(', ') }))}</p>` : ''}
       </div>
     `;
   };
-  const globalAvg = computeAverageCoordinates(history);
-  const professionEntries = selectedProfession === 'all' ? [] : history.filter((entry) => entry.professionKey === selectedProfession);
-  const professionAvg = selectedProfession === 'all' ? null : computeAverageCoordinates(professionEntries);
-  const professionLabel = selectedProfession === 'all' ? '' : (professionMap.get(selectedProfession) || insightsCopy.unspecifiedProfession);
-  const educationEntries = selectedEducation === 'all' ? [] : history.filter((entry) => entry.education === selectedEducation);
-  const educationAvg = selectedEducation === 'all' ? null : computeAverageCoordinates(educationEntries);
-  const educationLabel = selectedEducation === 'all' ? '' : getEducationLabel(selectedEducation, state.language);
-  const combinationEntries = history.filter((entry) => {
-    const matchesProfession = selectedProfession === 'all' ? true : entry.professionKey === selectedProfession;
-    const matchesEducation = selectedEducation === 'all' ? true : entry.education === selectedEducation;
-    return matchesProfession && matchesEducation;
-  });
-  const combinationAvg = computeAverageCoordinates(combinationEntries);
+  const groupLabel = (group, cell) => {
+    if (cell.key === 'unspecified') return t('insights.groups.unspecified');
+    if (group === 'profession') return cell.key;
+    if (group === 'education') return getEducationLabel(cell.key);
+    if (group === 'area') return getInterestLabel(cell.key);
+    if (group === 'ageBand') return t(`insights.groups.ageBands.${cell.key}`);
+    return LANGUAGES.find(({ code }) => code === cell.key)?.name || cell.key;
+  };
+  const groupTables = Object.entries(comparison.groups || {}).filter(([, cells]) => cells.length).map(([group, cells]) => `
+    <table class="w-full text-xs text-gray-700 mt-3">
+      <thead>
+        <tr class="text-left text-gray-500">
+          <th class="font-semibold py-1">${escapeHtml(t(`insights.groups.${group}`))}</th>
+          <th class="font-semibold py-1">n</th>
+          ${axisMeta.map(({ label }) => `<th class="font-semibold py-1">${escapeHtml(label)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${cells.map((cell) => `
+          <tr class="border-t border-gray-100">
+            <td class="py-1">${escapeHtml(groupLabel(group, cell))}</td>
+            <td class="py-1">${cell.count}</td>
+            ${axisMeta.map(({ axis }) => `<td class="py-1">${formatNumber(cell[axis])} <span class="text-gray-400">± ${formatNumber(cell.sd[axis])}</span></td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `).join('');
+  const globalAvg = comparison.global;
+  const professionAvg = comparison.profession;
+  const professionLabel = selectedProfession === 'all' ? '' : (professionMap.get(selectedProfession) || t('insights.unspecifiedProfession'));
+  const educationAvg = comparison.education;
+  const educationLabel = selectedEducation === 'all' ? '' : getEducationLabel(selectedEducation);
+  const combinationAvg = comparison.combination;
   const combinationSubtitle = [professionLabel, educationLabel].filter(Boolean).join(' · ');
   const cards = [];
-  if (globalAvg) cards.push(renderAverageCard(insightsCopy.globalAverage, globalAvg));
-  if (professionAvg) cards.push(renderAverageCard(insightsCopy.professionAverage, professionAvg, professionLabel));
-  if (educationAvg) cards.push(renderAverageCard(insightsCopy.educationAverage, educationAvg, educationLabel));
+  if (globalAvg) cards.push(renderAverageCard(t('insights.globalAverage'), globalAvg));
+  if (professionAvg) cards.push(renderAverageCard(t('insights.professionAverage'), professionAvg, professionLabel));
+  if (educationAvg) cards.push(renderAverageCard(t('insights.educationAverage'), educationAvg, educationLabel));
   if ((selectedProfession !== 'all' || selectedEducation !== 'all') && combinationAvg) {
-    cards.push(renderAverageCard(insightsCopy.combinationAverage, combinationAvg, combinationSubtitle));
+    cards.push(renderAverageCard(t('insights.combinationAverage'), combinationAvg, combinationSubtitle));
   }
   const cardsHtml = cards.join('');
-  const comparisonFallback = cardsHtml || `<p class="text-sm text-gray-500">${escapeHtml(insightsCopy.noData)}</p>`;
+  const comparisonFallback = cardsHtml || `<p class="text-sm text-gray-500">${escapeHtml(t('insights.noData'))}</p>`;
   const combinationMessage = (!combinationAvg && (selectedProfession !== 'all' || selectedEducation !== 'all'))
-    ? `<p class="text-sm text-gray-500 mt-3">${escapeHtml(insightsCopy.noData)}</p>`
+    ? `<p class="text-sm text-gray-500 mt-3">${escapeHtml(t('insights.noData'))}</p>`
+    : '';
+  // Groups too small to be shown without pointing at someone
+  const suppressedMessage = comparison.suppressed?.length
+    ? `<p class="text-xs text-gray-500 mt-3">${escapeHtml(t('insights.suppressed', { count: comparison.minCellSize }))}</p>`
     : '';
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-5xl">
-      <h3 class="text-2xl font-bold mb-4">Dettaglio del risultato</h3>
+      <h3 class="text-2xl font-bold mb-4">${t('insights.title')}</h3>
+      ${shared ? `<p class="mb-4 rounded-lg bg-indigo-50 border border-indigo-100 px-4 py-3 text-sm text-indigo-900">${t('share.readOnly')}</p>` : ''}
       <div class="flex items-start gap-3 mb-6">
         <span class="inline-flex items-center justify-center w-12 h-12 rounded-full border border-gray-200" style="background:${color.css};"></span>
         <div>
-          <p class="text-lg font-semibold text-indigo-700">Quadrante ${quadrant16}</p>
+          <p class="text-lg font-semibold text-indigo-700">${t('result.quadrant', { number: quadrantNumber })}</p>
           <p class="text-gray-700 text-sm sm:text-base">${escapeHtml(descriptor)}</p>
           ${quadrantInfo && quadrantInfo.name ? `<p class="text-xs text-gray-500 mt-1">${escapeHtml(quadrantInfo.name)} · ${escapeHtml(formatBounds(quadrantInfo.bounds))}</p>` : ''}
-          ${affiliationList.length ? `<p class="text-xs text-gray-500 mt-1">Esempi: ${affiliationList.map(escapeHtml).join(', ')}</p>` : ''}
+          ${affiliationList.length ? `<p class="text-xs text-gray-500 mt-1">${t('common.examples', { list: affiliationList.map(escapeHtml).join(', ') })}</p>` : ''}
         </div>
       </div>
       <div class="grid md:grid-cols-2 gap-6">
         <div class="space-y-3 text-sm sm:text-base text-gray-800">
-          <div><span class="font-semibold">r (normalizzato 0-1):</span> ${round(r)}${rawRadius ? ` · <span class="text-xs text-gray-500">|v| = ${round(rawRadius)}</span>` : ''}</div>
+          <div><span class="font-semibold">${t('insights.radius')}</span> ${round(r)}${rawRadius ? ` · <span class="text-xs text-gray-500">|v| = ${round(rawRadius)}</span>` : ''}</div>
           <div><span class="font-semibold">φ:</span> ${round(phiDeg)}°</div>
           <div><span class="font-semibold">θ:</span> ${round(thetaDeg)}°</div>
           <div class="bg-indigo-50 border border-indigo-100 rounded-lg p-4 text-indigo-900 text-sm space-y-2">
             ${stats.map((stat) => `
               <div>
-                <p class="font-semibold">${stat.label}</p>
-                <p>Valore normalizzato: ${round(stat.value)}</p>
-                <p class="text-xs">Valore grezzo: ${round(stat.raw)} · Peso totale: ${round(stat.total)}</p>
+                <p class="font-semibold">${escapeHtml(stat.label)}</p>
+                <p>${t('insights.normalizedValue', { value: round(stat.value) })} ${intervalText(intervals, stat.coordinate)}</p>
+                <p class="text-xs">${t('insights.rawValue', { raw: round(stat.raw), total: round(stat.total) })}</p>
               </div>
             `).join('')}
-            <p class="text-xs text-indigo-700">Le coordinate sono normalizzate in base al peso complessivo delle domande per ciascun asse (range [-1, 1]).</p>
+            <p class="text-xs text-indigo-700">${t('insights.coordinatesNote')}</p>
           </div>
+          ${coverageBlock(coverage)}
         </div>
         <div>
           <div class="border-b border-gray-200 flex items-center gap-2">
-            <button class="tab-btn px-4 py-2 text-sm font-semibold text-indigo-700 border-b-2 border-indigo-600" data-tab-target="sphere">Sfera politica</button>
-            <button class="tab-btn px-4 py-2 text-sm font-semibold text-gray-500 hover:text-indigo-600" data-tab-target="cartesian">Coordinate cartesiane</button>
+            <button class="tab-btn px-4 py-2 text-sm font-semibold text-indigo-700 border-b-2 border-indigo-600" data-tab-target="sphere">${t('insights.tabSphere')}</button>
+            <button class="tab-btn px-4 py-2 text-sm font-semibold text-gray-500 hover:text-indigo-600" data-tab-target="cartesian">${t('insights.tabCartesian')}</button>
           </div>
           <div id="tabSphere" class="pt-4">
             <div id="sphereMount" class="w-full"></div>
-            <p class="text-xs text-gray-500 mt-2">Ruota la sfera per esplorare i quadranti politici colorati.</p>
+            <p class="text-xs text-gray-500 mt-2">${t('insights.sphereHint')}</p>
           </div>
           <div id="tabCartesian" class="pt-4 hidden">
             <div id="cartesianMount" class="w-full h-64 rounded-lg border border-indigo-100 bg-white"></div>
             <div class="bg-indigo-50 border border-indigo-100 rounded-lg p-4 text-sm text-indigo-900 space-y-1 mt-4">
-              <p class="text-xs text-indigo-700">Grafico cartesiano 3D con assi normalizzati (range [-1, 1]).</p>
+              <p class="text-xs text-indigo-700">${t('insights.cartesianNote')}</p>
             </div>
           </div>
+          <div class="mt-4">
+            <p class="text-sm font-semibold text-gray-700 mb-2">${t('export.title')}</p>
+            <div class="flex gap-3">
+              <button id="exportPng" class="flex-1 bg-white border border-indigo-200 hover:border-indigo-500 text-indigo-700 font-semibold rounded-lg px-4 py-2 text-sm">${t('export.png')}</button>
+              <button id="exportSvg" class="flex-1 bg-white border border-indigo-200 hover:border-indigo-500 text-indigo-700 font-semibold rounded-lg px-4 py-2 text-sm">${t('export.svg')}</button>
+            </div>
+            <p id="exportMsg" class="text-xs text-gray-500 mt-2">${t('export.hint')}</p>
+          </div>
         </div>
       </div>
-      <div class="mt-8">
-        <h4 class="text-base font-semibold text-gray-700 mb-3">${escapeHtml(insightsCopy.comparisonTitle)}</h4>
-        <div class="grid md:grid-cols-2 gap-4">
+      ${shared ? '' : `<div class="mt-8">
+        <h4 class="text-base font-semibold text-gray-700 mb-1">${escapeHtml(t('insights.comparisonTitle'))}</h4>
+        <p class="text-xs text-gray-500 mb-3">${t(`insights.source.${comparison.source}`)}</p>
+        <div class="grid md:grid-cols-3 gap-4">
           <div class="flex flex-col gap-1">
-            <label for="filterProfession" class="text-sm font-medium text-gray-700">${escapeHtml(insightsCopy.professionFilter)}</label>
+            <label for="filterProfession" class="text-sm font-medium text-gray-700">${escapeHtml(t('insights.professionFilter'))}</label>
             <select id="filterProfession" class="rounded-lg border border-gray-300 px-4 py-2 bg-white text-gray-900 focus:ring-2 focus:ring-indigo-500 outline-none">
               ${professionOptions.join('')}
             </select>
           </div>
           <div class="flex flex-col gap-1">
-            <label for="filterEducation" class="text-sm font-medium text-gray-700">${escapeHtml(insightsCopy.educationFilter)}</label>
+            <label for="filterEducation" class="text-sm font-medium text-gray-700">${escapeHtml(t('insights.educationFilter'))}</label>
             <select id="filterEducation" class="rounded-lg border border-gray-300 px-4 py-2 bg-white text-gray-900 focus:ring-2 focus:ring-indigo-500 outline-none">
               ${educationOptions.join('')}
             </select>
           </div>
+          <div class="flex flex-col gap-1">
+            <label for="filterLength" class="text-sm font-medium text-gray-700">${escapeHtml(t('insights.lengthFilter'))}</label>
+            <select id="filterLength" class="rounded-lg border border-gray-300 px-4 py-2 bg-white text-gray-900 focus:ring-2 focus:ring-indigo-500 outline-none">
+              ${lengthOptions.join('')}
+            </select>
+          </div>
         </div>
         <div class="mt-4 grid md:grid-cols-2 gap-4" id="comparisonCards">
           ${comparisonFallback}
         </div>
         ${combinationMessage}
-      </div>
+        ${suppressedMessage}
+        ${groupTables ? `<details class="mt-6">
+          <summary class="text-sm font-semibold text-gray-700 cursor-pointer">${escapeHtml(t('insights.groups.title'))}</summary>
+          <p class="text-xs text-gray-500 mt-2">${escapeHtml(t('insights.groups.hint'))}${comparison.minCellSize > 1 ? ` ${escapeHtml(t('insights.suppressed', { count: comparison.minCellSize }))}` : ''}</p>
+          ${groupTables}
+        </details>` : ''}
+      </div>`}
       <div class="mt-6">
-        <h4 class="text-base font-semibold text-gray-700 mb-3">Legenda dei quadranti</h4>
+        <h4 class="text-base font-semibold text-gray-700 mb-3">${t('insights.legendTitle')}</h4>
         <div class="grid sm:grid-cols-2 lg:grid-cols-4 gap-3 text-xs text-gray-600">
           ${legend.map(({ number, name, descriptor: desc, bounds, affiliation, color }) => `
             <div class="flex flex-col gap-2 bg-gray-50 rounded-md p-3 border border-gray-100">
               <div class="flex items-center gap-2">
                 <span class="inline-flex w-3 h-3 rounded-full" style="background:${color};"></span>
-                <p class="font-semibold text-gray-800">Quadrante ${number}${name ? ` · ${escapeHtml(name)}` : ''}</p>
+                <p class="font-semibold text-gray-800">${t('result.quadrant', { number })}${name ? ` · ${escapeHtml(name)}` : ''}</p>
               </div>
               <p>${escapeHtml(desc)}</p>
               ${bounds ? `<p class="text-[10px] uppercase tracking-wide text-gray-400">${escapeHtml(formatBounds(bounds))}</p>` : ''}
-              ${affiliation ? `<p class="text-[11px] text-gray-500">Esempi: ${Array.isArray(affiliation) ? affiliation.map(escapeHtml).join(', ') : escapeHtml(affiliation)}</p>` : ''}
+              ${affiliation ? `<p class="text-[11px] text-gray-500">${t('common.examples', { list: Array.isArray(affiliation) ? affiliation.map(escapeHtml).join(', ') : escapeHtml(affiliation) })}</p>` : ''}
             </div>
           `).join('')}
         </div>
       </div>
       <div class="mt-6 flex gap-3">
-        <button id="backResult" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">Indietro</button>
-        <button id="restartFromInsights" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">Ricomincia</button>
+        ${shared
+          ? `<button id="takeTest" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2">${t('share.takeTest')}</button>`
+          : `<button id="backResult" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">${t('common.back')}</button>
+        <button id="restartFromInsights" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">${t('common.restart')}</button>`}
       </div>
     </div>
   `;
   // Attach nav event
   const nav = document.getElementById('navReviews');
-  if (nav) nav.onclick = () => { state.step = 6; viewReviews(); };
+  if (nav) nav.onclick = () => navigate('reviews');
+  const takeTest = document.getElementById('takeTest');
+  if (takeTest) takeTest.onclick = () => navigate('lang');
   // Back to minimal result
-  document.getElementById('backResult').onclick = () => {
-    viewResult();
+  const backResult = document.getElementById('backResult');
+  if (backResult) backResult.onclick = () => {
+    navigate('result');
   };
   // Restart
-  document.getElementById('restartFromInsights').onclick = () => {
-    state.language = 'it';
+  const restart = document.getElementById('restartFromInsights');
+  if (restart) restart.onclick = () => {
     state.name = '';
     state.profession = '';
     state.education = '';
@@ -1590,27 +2327,38 @@ async function viewInsights() {
     state.areaLabel = '';
     state.dob = '';
     state.idx = 0;
-    state.x = 0; state.y = 0; state.z = 0;
-    state.weightTotals = { economia: 0, dirittocivilismo: 0, establishment: 0 };
+    state.order = [];
     state.answers = [];
+    state.importance = [];
+    state.languageSelected = false;
+    state.finished = false;
+    state.summarySeen = false;
     state.resultSaved = false;
     state.filterProfession = 'all';
     state.filterEducation = 'all';
+    state.filterLength = null;
     state.profileError = '';
-    viewLanguage();
+    navigate('lang');
   };
   const filterProfessionEl = document.getElementById('filterProfession');
   if (filterProfessionEl) {
     filterProfessionEl.onchange = () => {
       state.filterProfession = filterProfessionEl.value;
-      viewInsights();
+      viewInsights(currentRoute);
     };
   }
   const filterEducationEl = document.getElementById('filterEducation');
   if (filterEducationEl) {
     filterEducationEl.onchange = () => {
       state.filterEducation = filterEducationEl.value;
-      viewInsights();
+      viewInsights(currentRoute);
+    };
+  }
+  const filterLengthEl = document.getElementById('filterLength');
+  if (filterLengthEl) {
+    filterLengthEl.onchange = () => {
+      state.filterLength = filterLengthEl.value;
+      viewInsights(currentRoute);
     };
   }
   const sphereMount = document.getElementById('sphereMount');
@@ -1620,17 +2368,18 @@ async function viewInsights() {
   const cartesianTab = document.getElementById('tabCartesian');
   let sphereInitialized = false;
   let cartesianInitialized = false;
+  let sphereView = null;
 
   function ensureSphere() {
     if (!sphereInitialized && sphereMount) {
-      initSphere(sphereMount, normalized, { color: color.css });
+      sphereView = initSphere(sphereMount, normalized, { color: color.css, intervals });
       sphereInitialized = true;
     }
   }
 
   function ensureCartesian() {
     if (!cartesianInitialized && cartesianMount) {
-      initCartesianPlot(cartesianMount, normalized, { color: color.css });
+      initCartesianPlot(cartesianMount, normalized, { color: color.css, intervals });
       cartesianInitialized = true;
     }
   }
@@ -1658,16 +2407,38 @@ async function viewInsights() {
   }
 
   tabButtons.forEach((btn) => {
-    btn.addEventListener('click', () => activateTab(btn.dataset.tabTarget));
+    btn.addEventListener('click', () => {
+      activateTab(btn.dataset.tabTarget);
+      // Keep the open tab in the URL without adding a history entry
+      currentRoute = { name: route?.name || 'insights', param: route?.param ?? null, query: { ...route?.query, tab: btn.dataset.tabTarget } };
+      history.replaceState(null, '', formatHash(currentRoute));
+    });
   });
 
-  activateTab('sphere');
+  activateTab(route?.query?.tab || 'sphere');
+
+  // Image export: the SVG carries the projections, the PNG adds the sphere
+  const exportMsg = document.getElementById('exportMsg');
+  const filename = `result-${quadrantNumber}`;
+  document.getElementById('exportSvg').onclick = () => {
+    downloadBlob(new Blob([resultCardFor(res).svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+  };
+  document.getElementById('exportPng').onclick = async () => {
+    ensureSphere();
+    try {
+      downloadBlob(await cardToPng(resultCardFor(res, { snapshot: Boolean(sphereView) }), sphereView), `${filename}.png`);
+    } catch (err) {
+      console.warn('Impossibile esportare il risultato come PNG', err);
+      exportMsg.textContent = t('export.failed');
+    }
+  };
 }
 
 /**
  * Handles submission of a review from the minimal result view.  Checks for
  * empty text, detects VPN/private IPs, enforces single review per name
- * and IP, and saves valid reviews to localStorage.
+ * and IP, and saves valid reviews (uploading them when there is a
+ * results API).
  */
 async function submitReview() {
   const textarea = document.getElementById('reviewInput');
@@ -1675,29 +2446,42 @@ async function submitReview() {
   const text = textarea.value.trim();
   msgElem.className = 'text-sm mt-2 text-red-600';
   if (!text) {
-    msgElem.textContent = 'Inserisci la tua recensione.';
+    msgElem.textContent = t('review.empty');
     return;
   }
   const ip = await getUserIP();
   if (!ip || isPrivateIP(ip)) {
-    msgElem.textContent = 'Non puoi lasciare una recensione con VPN o IP non rilevabile.';
+    msgElem.textContent = t('review.vpn');
     return;
   }
-  const reviews = loadReviews();
+  const reviews = await loadReviews();
   if (reviews.some(r => r.ip === ip || r.name.toLowerCase() === state.name.toLowerCase())) {
-    msgElem.textContent = 'Hai già lasciato una recensione.';
+    msgElem.textContent = t('review.duplicate');
     return;
   }
   const review = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
     name: state.name,
     ip: ip,
     message: text,
     date: new Date().toISOString()
   };
-  saveReview(review);
+  if (remote) review.uploaded = false;
+  try {
+    await saveReview(review);
+  } catch (err) {
+    console.warn('Impossibile salvare la recensione', err);
+    msgElem.textContent = t('review.saveFailed');
+    return;
+  }
+  // The server knows the reviews of other browsers too
+  if ((await uploadPending()).includes(review.id)) {
+    msgElem.textContent = t('review.duplicate');
+    return;
+  }
   // Success message
   msgElem.className = 'text-sm mt-2 text-green-600';
-  msgElem.textContent = 'Recensione inviata! Grazie.';
+  msgElem.textContent = t('review.success');
   textarea.disabled = true;
   document.getElementById('submitReview').disabled = true;
 }
@@ -1707,15 +2491,15 @@ async function submitReview() {
  * option to return to the welcome page.  Each review shows the
  * author's name, date and message.
  */
-function viewReviews() {
+async function viewReviews() {
   state.step = 6;
-  const reviews = loadReviews();
+  const reviews = await loadReviewList();
   let listHTML = '';
   if (!reviews.length) {
-    listHTML = '<p class="text-gray-600">Nessuna recensione disponibile.</p>';
+    listHTML = `<p class="text-gray-600">${t('reviews.none')}</p>`;
   } else {
     listHTML = reviews.map(r => {
-      const dateStr = new Date(r.date).toLocaleString();
+      const dateStr = new Date(r.date).toLocaleString(state.language);
       return `<div class="p-4 border-b">
         <div class="font-semibold">${escapeHtml(r.name)}</div>
         <div class="text-xs text-gray-500">${escapeHtml(dateStr)}</div>
@@ -1725,34 +2509,145 @@ function viewReviews() {
   }
   app.innerHTML = navBar() + `
     <div class="card p-8 mx-auto max-w-4xl">
-      <h3 class="text-2xl font-bold mb-4">Recensioni degli utenti</h3>
+      <h3 class="text-2xl font-bold mb-4">${t('reviews.title')}</h3>
       <div class="divide-y">${listHTML}</div>
-      <div class="mt-6">
-        <button id="backFromReviews" class="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">Indietro</button>
+      <div class="mt-6 flex items-center justify-between gap-3">
+        <button id="backFromReviews" class="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">${t('common.back')}</button>
+        <button id="openData" class="text-sm text-indigo-600 hover:underline">${t('data.open')}</button>
       </div>
     </div>
   `;
   // Attach nav event (stay on reviews)
   const nav = document.getElementById('navReviews');
   if (nav) nav.onclick = () => { /* already here */ };
-  // Back button returns to welcome view
+  document.getElementById('openData').onclick = () => navigate('data');
+  // Back button returns to the view the reviews were opened from
   document.getElementById('backFromReviews').onclick = () => {
-    state.step = 1;
-    viewWelcome();
+    if (previousRoute) {
+      navigate(previousRoute.name, previousRoute.param, previousRoute.query);
+    } else {
+      navigate(DEFAULT_ROUTE);
+    }
+  };
+}
+
+/**
+ * Renders the saved data page: how many results this browser holds, their
+ * export as JSON (complete, can be imported back) or CSV (one row per
+ * result, for spreadsheets) and the import of a JSON export.  Imported
+ * records are validated and merged by id, so importing the same file
+ * twice adds nothing.  Reached from the reviews page.
+ */
+async function viewData() {
+  state.step = 7;
+  const history = await loadResultHistory();
+  const quarantined = (await store.list('quarantine').catch(() => [])).length;
+  app.innerHTML = navBar() + `
+    <div class="card p-8 mx-auto max-w-2xl">
+      <h3 class="text-2xl font-bold mb-2">${t('data.title')}</h3>
+      <p class="text-gray-600 ${quarantined ? 'mb-2' : 'mb-6'}">${t('data.count', { count: history.length })}</p>
+      ${quarantined ? `<p class="text-sm text-amber-700 mb-6">${t('data.quarantined', { count: quarantined })}</p>` : ''}
+      <h4 class="text-base font-semibold text-gray-700 mb-2">${t('data.exportTitle')}</h4>
+      <div class="flex gap-3 mb-2">
+        <button id="exportJson" class="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg px-4 py-2 disabled:opacity-50"${history.length ? '' : ' disabled'}>${t('data.exportJson')}</button>
+        <button id="exportCsv" class="flex-1 bg-white border border-indigo-200 hover:border-indigo-500 text-indigo-700 font-semibold rounded-lg px-4 py-2 disabled:opacity-50"${history.length ? '' : ' disabled'}>${t('data.exportCsv')}</button>
+      </div>
+      <p class="text-xs text-gray-500 mb-6">${t('data.exportNote')}</p>
+      <h4 class="text-base font-semibold text-gray-700 mb-2">${t('data.importTitle')}</h4>
+      <input id="importFile" type="file" accept="application/json,.json" class="block w-full text-sm text-gray-700" />
+      <p id="importMsg" class="text-sm mt-2 text-gray-500">${t('data.importNote')}</p>
+      <div class="mt-6">
+        <button id="backFromData" class="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium rounded-lg px-4 py-2">${t('common.back')}</button>
+      </div>
+    </div>
+  `;
+  const nav = document.getElementById('navReviews');
+  if (nav) nav.onclick = () => navigate('reviews');
+  const day = new Date().toISOString().slice(0, 10);
+  document.getElementById('exportJson').onclick = async () => {
+    downloadBlob(new Blob([historyToJson(await loadResultHistory())], { type: 'application/json' }), `results-${day}.json`);
+  };
+  document.getElementById('exportCsv').onclick = async () => {
+    downloadBlob(new Blob([historyToCsv(await loadResultHistory())], { type: 'text/csv' }), `results-${day}.csv`);
+  };
+  document.getElementById('importFile').onchange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const message = document.getElementById('importMsg');
+    let outcome;
+    try {
+      // Exports of older versions are upgraded like the stored records
+      const records = historyRecords(JSON.parse(await file.text())).map((record, index) => migrateRecord('results', record, index));
+      // Answers must fit the scale of their question
+      const questions = await fetchQuestionSet(state.language || FALLBACK_LANGUAGE);
+      outcome = mergeHistory(await loadResultHistory(), records, { questions: questions || [] });
+    } catch (err) {
+      console.warn('Impossibile importare i risultati', err);
+      message.className = 'text-sm mt-2 text-red-600';
+      message.textContent = t('data.importFailed');
+      return;
+    }
+    try {
+      if (outcome.added) await saveResultHistory(outcome.history);
+    } catch (err) {
+      console.warn('Impossibile salvare i risultati importati', err);
+      message.className = 'text-sm mt-2 text-red-600';
+      message.textContent = t('data.saveFailed');
+      return;
+    }
+    await viewData();
+    const summary = document.getElementById('importMsg');
+    summary.className = 'text-sm mt-2 text-green-700';
+    summary.textContent = [
+      t('data.imported', { count: outcome.added }),
+      outcome.duplicates ? t('data.duplicates', { count: outcome.duplicates }) : '',
+      outcome.invalid ? t('data.invalid', { count: outcome.invalid }) : ''
+    ].filter(Boolean).join(' ');
   };
+  document.getElementById('backFromData').onclick = () => navigate('reviews');
+}
+
+/**
+ * Draws the bootstrap confidence intervals around the user's point: a
+ * translucent ellipsoid spanning the interval of each axis, plus error bars
+ * through the point along the three axes.
+ */
+function addConfidenceMarkers(scene, point, intervals, color) {
+  if (!intervals) return;
+  const [x0, x1] = intervals.x;
+  const [y0, y1] = intervals.y;
+  const [z0, z1] = intervals.z;
+  const ellipsoid = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 32, 16),
+    new THREE.MeshStandardMaterial({ color, transparent: true, opacity: 0.25, depthWrite: false })
+  );
+  ellipsoid.position.set((x0 + x1) / 2, (y0 + y1) / 2, (z0 + z1) / 2);
+  // A collapsed interval still gets a visible (flat) ellipsoid
+  ellipsoid.scale.set(Math.max((x1 - x0) / 2, 0.01), Math.max((y1 - y0) / 2, 0.01), Math.max((z1 - z0) / 2, 0.01));
+  scene.add(ellipsoid);
+  const bars = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(x0, point.y, point.z), new THREE.Vector3(x1, point.y, point.z),
+    new THREE.Vector3(point.x, y0, point.z), new THREE.Vector3(point.x, y1, point.z),
+    new THREE.Vector3(point.x, point.y, z0), new THREE.Vector3(point.x, point.y, z1)
+  ]);
+  scene.add(new THREE.LineSegments(bars, new THREE.LineBasicMaterial({ color })));
 }
 
 /**
  * Initializes a Three.js scene to render a unit sphere with a small
- * dot representing the user's normalized position.  The sphere is
- * coloured by quadrants and can be orbited by the user.  Called from
- * viewInsights() after the #sphereMount container exists.
+ * dot representing the user's normalized position, surrounded by its
+ * confidence intervals (options.intervals).  The sphere is coloured by
+ * quadrants and can be orbited by the user.  Called from viewInsights()
+ * after the #sphereMount container exists.  Returns `{ snapshot }`, or
+ * null when Three.js is missing: snapshot(width, height) renders the
+ * current view once more at that size and returns it as a 2D canvas, so
+ * the drawing buffer does not have to be preserved between frames.
  */
 function initSphere(mount, point, options = {}) {
   // Fallback message if Three.js fails
   if (!THREE || !OrbitControls) {
-    mount.innerHTML = '<div class="p-4 text-sm text-red-600">Impossibile caricare Three.js.</div>';
-    return;
+    mount.innerHTML = `<div class="p-4 text-sm text-red-600">${t('common.threeUnavailable')}</div>`;
+    return null;
   }
   const highlight = new THREE.Color(options.color || '#ff2d2d');
   const scene = new THREE.Scene();
@@ -1778,7 +2673,7 @@ function initSphere(mount, point, options = {}) {
     const y = position.getY(i);
     const z = position.getZ(i);
     const quadrant = quadrantFromVector(x, y, z);
-    tempColor.setHex(QUADRANT_COLORS[quadrant.index]);
+    tempColor.setHex(quadrant.color.hex);
     colorArray.push(tempColor.r, tempColor.g, tempColor.b);
   }
   sphereGeo.setAttribute('color', new THREE.Float32BufferAttribute(colorArray, 3));
@@ -1796,6 +2691,7 @@ function initSphere(mount, point, options = {}) {
   const dot = new THREE.Mesh(dotGeo, dotMat);
   dot.position.set(point.x, point.y, point.z);
   scene.add(dot);
+  addConfidenceMarkers(scene, point, options.intervals, highlight);
   // Controls
   const controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -1815,11 +2711,29 @@ function initSphere(mount, point, options = {}) {
     requestAnimationFrame(animate);
   }
   animate();
+  function snapshot(width, height) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const aspect = camera.aspect;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height, false);
+    renderer.render(scene, camera);
+    const still = document.createElement('canvas');
+    still.width = width;
+    still.height = height;
+    still.getContext('2d').drawImage(renderer.domElement, 0, 0, width, height);
+    renderer.setSize(size.x, size.y, false);
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    renderer.render(scene, camera);
+    return still;
+  }
+  return { snapshot };
 }
 
 function initCartesianPlot(mount, point, options = {}) {
   if (!THREE || !OrbitControls) {
-    mount.innerHTML = '<div class="p-4 text-sm text-red-600">Impossibile caricare Three.js.</div>';
+    mount.innerHTML = `<div class="p-4 text-sm text-red-600">${t('common.threeUnavailable')}</div>`;
     return;
   }
   const highlight = new THREE.Color(options.color || '#ff2d2d');
@@ -1857,10 +2771,8 @@ function initCartesianPlot(mount, point, options = {}) {
 
   const cubeGeometry = new THREE.BoxGeometry(1, 1, 1);
   const cubeEdgesGeometry = new THREE.EdgesGeometry(cubeGeometry);
-  CARTESIAN_SECTORS.forEach(({ center }) => {
+  getCartesianBoxes().forEach(({ center, size, color: hex }) => {
     const [cx, cy, cz] = center;
-    const { index } = quadrantFromVector(cx, cy, cz);
-    const { hex } = colorFromIndex(index);
     const cubeMaterial = new THREE.MeshStandardMaterial({
       color: hex,
       transparent: true,
@@ -1871,12 +2783,14 @@ function initCartesianPlot(mount, point, options = {}) {
     });
     const cube = new THREE.Mesh(cubeGeometry, cubeMaterial);
     cube.position.set(cx, cy, cz);
+    cube.scale.set(...size);
     cube.renderOrder = 0;
     scene.add(cube);
 
     const edgeMaterial = new THREE.LineBasicMaterial({ color: hex, transparent: true, opacity: 0.65, depthWrite: false });
     const edges = new THREE.LineSegments(cubeEdgesGeometry, edgeMaterial);
     edges.position.set(cx, cy, cz);
+    edges.scale.set(...size);
     edges.renderOrder = 1;
     scene.add(edges);
   });
@@ -1888,6 +2802,7 @@ function initCartesianPlot(mount, point, options = {}) {
   );
   sphere.position.set(clamp(point.x), clamp(point.y), clamp(point.z));
   scene.add(sphere);
+  addConfidenceMarkers(scene, sphere.position, options.intervals, highlight);
 
   const controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -1915,9 +2830,15 @@ function initCartesianPlot(mount, point, options = {}) {
 }
 
 // Initialize the application when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  setupAccessGate(() => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await setLanguage(initialLanguage());
+  setupAccessGate(async () => {
+    store = await openAppStore();
+    // Records saved while the server could not be reached
+    uploadPending();
     loadQuadrants();
-    viewLanguage();
+    resumableSession = await findResumableSession();
+    window.addEventListener('hashchange', renderRoute);
+    renderRoute();
   });
 });
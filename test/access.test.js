@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ACCESS_DEFAULTS,
+  checkAccess,
+  hashSecret,
+  lockoutRemaining,
+  readAccessConfig,
+  readLockout,
+  recordFailure
+} from '../lib/access.js';
+
+// Few iterations keep the tests fast; the app uses ACCESS_DEFAULTS.iterations
+const salt = 'test-salt';
+const iterations = 10;
+const hash = (secret) => hashSecret(secret, salt, iterations);
+
+test('secrets are hashed after trimming and lowercasing', async () => {
+  const value = await hash('Mellon');
+  assert.match(value, /^[0-9a-f]{64}$/);
+  assert.equal(await hash('  mellon '), value);
+  assert.notEqual(await hashSecret('mellon', 'other-salt', iterations), value);
+});
+
+test('readAccessConfig fills in the defaults and rejects incomplete configs', async () => {
+  const passphraseHash = await hash('mellon');
+  assert.deepEqual(readAccessConfig({}), { mode: 'disabled' });
+  const config = readAccessConfig({ mode: 'passphrase', salt, passphraseHash });
+  assert.equal(config.iterations, ACCESS_DEFAULTS.iterations);
+  assert.equal(config.maxAttempts, 3);
+  assert.equal(config.lockoutMinutes, 15);
+  assert.throws(() => readAccessConfig({ mode: 'magic' }), /unknown mode/);
+  assert.throws(() => readAccessConfig({ mode: 'passphrase', salt, passphraseHash: 'mellon' }), /passphraseHash/);
+  assert.throws(() => readAccessConfig({ mode: 'cohort', salt, cohorts: [] }), /cohorts/);
+  assert.throws(() => readAccessConfig({ mode: 'token', salt: '', tokens: [{ hash: passphraseHash }] }), /salt/);
+  assert.throws(() => readAccessConfig({ mode: 'passphrase', salt, passphraseHash, maxAttempts: 0 }), /maxAttempts/);
+});
+
+test('each mode checks its own secrets', async () => {
+  assert.deepEqual(await checkAccess({ mode: 'disabled' }, ''), { ok: true, cohort: null, tokenHash: null });
+
+  const passphrase = readAccessConfig({ mode: 'passphrase', salt, iterations, passphraseHash: await hash('mellon') });
+  assert.equal((await checkAccess(passphrase, 'MELLON')).ok, true);
+  assert.equal((await checkAccess(passphrase, 'friend')).ok, false);
+  assert.equal((await checkAccess(passphrase, '  ')).ok, false);
+
+  const cohorts = readAccessConfig({
+    mode: 'cohort',
+    salt,
+    iterations,
+    cohorts: [{ id: '3a', codeHash: await hash('alpha') }, { id: '3b', codeHash: await hash('beta') }]
+  });
+  assert.equal((await checkAccess(cohorts, 'beta')).cohort, '3b');
+  assert.equal((await checkAccess(cohorts, 'gamma')).ok, false);
+
+  const tokens = readAccessConfig({ mode: 'token', salt, iterations, tokens: [{ hash: await hash('k7m2'), cohort: '3a' }, { hash: await hash('p9q4') }] });
+  assert.deepEqual(await checkAccess(tokens, 'k7m2'), { ok: true, cohort: '3a', tokenHash: await hash('k7m2') });
+  assert.equal((await checkAccess(tokens, 'p9q4')).cohort, null);
+});
+
+test('the lockout starts after maxAttempts failures and ends after lockoutMinutes', () => {
+  const config = { maxAttempts: 3, lockoutMinutes: 15 };
+  let lockout = readLockout(null);
+  lockout = recordFailure(lockout, config, 0);
+  lockout = recordFailure(lockout, config, 1000);
+  assert.deepEqual(lockout, { attempts: 2, lockedUntil: 0 });
+  assert.equal(lockoutRemaining(lockout, 1000), 0);
+  lockout = recordFailure(lockout, config, 2000);
+  assert.equal(lockoutRemaining(lockout, 2000), 15 * 60 * 1000);
+  assert.equal(lockoutRemaining(lockout, 2000 + 15 * 60 * 1000), 0);
+  // After the lockout there are as many attempts as before
+  assert.deepEqual(recordFailure(lockout, config, 3e6), { attempts: 1, lockedUntil: 0 });
+  assert.deepEqual(readLockout({ attempts: 'x', lockedUntil: null }), { attempts: 0, lockedUntil: 0 });
+});
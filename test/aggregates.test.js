@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ageBand,
+  aggregateStatistics,
+  averageCoordinates,
+  comparisonAverages,
+  describeResults,
+  isProfessionKey,
+  professionKey,
+  resultLength
+} from '../lib/aggregates.js';
+
+const result = (x, extra = {}) => ({ normalized: { x, y: 0, z: -x }, ...extra });
+
+test('averageCoordinates is null without results', () => {
+  assert.equal(averageCoordinates([]), null);
+  assert.deepEqual(averageCoordinates([result(1), result(0)]), { count: 2, x: 0.5, y: 0, z: -0.5 });
+});
+
+test('results saved before test lengths count as standard', () => {
+  assert.equal(resultLength({}), 'standard');
+  assert.equal(resultLength({ length: 'short' }), 'short');
+});
+
+test('age bands use the age on the day of the test', () => {
+  assert.equal(ageBand('2000-06-15', Date.UTC(2024, 5, 14)), '18-24');
+  assert.equal(ageBand('2000-06-15', Date.UTC(2025, 5, 15)), '25-34');
+  assert.equal(ageBand('2010-01-01', Date.UTC(2024, 0, 1)), 'under18');
+  assert.equal(ageBand('1950-01-01', Date.UTC(2024, 0, 1)), '65plus');
+  assert.equal(ageBand('', Date.UTC(2024, 0, 1)), 'unspecified');
+  assert.equal(ageBand('2030-01-01', Date.UTC(2024, 0, 1)), 'unspecified');
+});
+
+test('profession keys are lowercased plain words of bounded length', () => {
+  assert.equal(professionKey('  Medico   di Base '), 'medico di base');
+  assert.equal(professionKey('<b>R&D</b>'), 'b r d b');
+  assert.equal(professionKey(''), 'unspecified');
+  assert.equal(professionKey('x'.repeat(80)).length, 60);
+  assert.equal(isProfessionKey('ingegnere'), true);
+  assert.equal(isProfessionKey('Ingegnere'), false);
+  assert.equal(isProfessionKey('"><script>'), false);
+  assert.equal(isProfessionKey(''), false);
+});
+
+test('describeResults adds standard deviations and the quadrant distribution', () => {
+  const described = describeResults([result(1, { quadrant: 2 }), result(-1, { quadrant: 2 }), result(0, { quadrant: 5 })]);
+  assert.equal(described.x, 0);
+  assert.equal(described.sd.x, Math.sqrt(2 / 3));
+  assert.equal(described.sd.y, 0);
+  assert.deepEqual(described.quadrants, { 2: 2, 5: 1 });
+  assert.equal(describeResults([]), null);
+  // A quadrant with fewer results than the minimum would point at those respondents
+  assert.deepEqual(describeResults([result(1, { quadrant: 2 }), result(-1, { quadrant: 2 }), result(0, { quadrant: 5 })], { minCellSize: 2 }).quadrants, { 2: 2 });
+});
+
+test('comparisonAverages filters by length, profession and education', () => {
+  const history = [
+    result(1, { length: 'short', professionKey: 'medico', profession: ' Medico ', education: 'degree' }),
+    result(0, { length: 'short', professionKey: 'medico', profession: 'medico', education: 'high' }),
+    result(-1, { length: 'short', education: 'degree' }),
+    result(0.5, { length: 'extended', professionKey: 'medico', education: 'degree' })
+  ];
+  const averages = comparisonAverages(history, { length: 'short', profession: 'medico', education: 'degree' });
+  assert.equal(averages.count, 3);
+  assert.equal(averages.global.x, 0);
+  assert.equal(averages.profession.x, 0.5);
+  assert.equal(averages.education.x, 0);
+  assert.deepEqual(averages.combination, { count: 1, x: 1, y: 0, z: -1, sd: { x: 0, y: 0, z: 0 }, quadrants: {} });
+  assert.deepEqual(averages.professions, [{ key: 'medico' }, { key: 'unspecified' }]);
+
+  const everything = comparisonAverages(history);
+  assert.equal(everything.count, 4);
+  assert.equal(everything.profession, null);
+  assert.equal(everything.education, null);
+  assert.equal(everything.combination.count, 4);
+});
+
+test('cells smaller than the minimum are withheld', () => {
+  const history = [
+    ...Array.from({ length: 3 }, () => result(1, { professionKey: 'medico', profession: 'Medico', education: 'degree', language: 'it' })),
+    result(-1, { professionKey: 'fisico', profession: 'Fisico', education: 'degree', language: 'en' }),
+    ...Array.from({ length: 3 }, () => result(0, { professionKey: 'insegnante', education: 'high', language: 'en' }))
+  ];
+  const averages = comparisonAverages(history, { profession: 'fisico', education: 'degree' }, { minCellSize: 3 });
+  assert.equal(averages.global.count, 7);
+  assert.equal(averages.profession, null);
+  assert.equal(averages.education.count, 4);
+  assert.equal(averages.combination, null);
+  assert.deepEqual(averages.suppressed, ['profession', 'combination']);
+  assert.deepEqual(averages.professions, [{ key: 'medico' }, { key: 'insegnante' }]);
+
+  const statistics = aggregateStatistics(history, {}, { minCellSize: 3 });
+  // Only the normalized key is published, never the text a respondent typed
+  assert.deepEqual(statistics.groups.profession[0], { key: 'medico', count: 3, x: 1, y: 0, z: -1, sd: { x: 0, y: 0, z: 0 }, quadrants: {} });
+  assert.deepEqual(statistics.groups.profession.map(({ key }) => key), ['medico', 'insegnante']);
+  assert.deepEqual(statistics.groups.language.map(({ key }) => key), ['en', 'it']);
+  assert.deepEqual(statistics.groups.ageBand.map(({ key, count }) => [key, count]), [['unspecified', 7]]);
+  assert.equal(aggregateStatistics(history).groups.language.length, 2);
+});
+
+test('cells that differ from a parent by fewer than the minimum are withheld', () => {
+  const history = [
+    ...Array.from({ length: 4 }, () => result(1, { length: 'short', professionKey: 'medico', education: 'degree' })),
+    result(-1, { length: 'standard', professionKey: 'medico', education: 'high' })
+  ];
+  const options = { minCellSize: 3 };
+  // Every length minus the short test would be the one standard result
+  const all = comparisonAverages(history, {}, options);
+  const short = comparisonAverages(history, { length: 'short' }, options);
+  assert.equal(all.global.count, 5);
+  assert.equal(short.count, null);
+  assert.equal(short.global, null);
+  assert.deepEqual(short.suppressed, ['global', 'combination']);
+  assert.deepEqual(aggregateStatistics(history, { length: 'short' }, options).groups.profession, []);
+  // So would a profession minus the same profession with an education level
+  const byProfession = comparisonAverages(history, { profession: 'medico' }, options);
+  const byBoth = comparisonAverages(history, { profession: 'medico', education: 'degree' }, options);
+  assert.equal(byProfession.profession.count, 5);
+  assert.equal(byBoth.combination, null);
+  assert.deepEqual(byBoth.suppressed, ['education', 'combination']);
+
+  const larger = [...history, ...Array.from({ length: 2 }, () => result(0, { length: 'standard', professionKey: 'medico', education: 'high' }))];
+  assert.equal(comparisonAverages(larger, { length: 'short' }, options).global.count, 4);
+  assert.equal(comparisonAverages(larger, { profession: 'medico', education: 'degree' }, options).combination.count, 4);
+});
+
+test('quadrant counts smaller than the minimum are left out of a cell', () => {
+  const history = [...Array.from({ length: 3 }, () => result(1, { quadrant: 2 })), result(-1, { quadrant: 7 })];
+  const statistics = aggregateStatistics(history, {}, { minCellSize: 3 });
+  assert.deepEqual(statistics.global.quadrants, { 2: 3 });
+  assert.deepEqual(statistics.groups.language[0].quadrants, { 2: 3 });
+});
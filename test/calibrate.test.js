@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuestionEntry, seededRandom } from '../lib/engine.js';
+import { calibrateQuestions, countErrors, historyAnswers, pearson } from '../tools/calibrate.js';
+
+const economia = { economia: 1, dirittocivilismo: 0, establishment: 0 };
+const establishment = { economia: 0, dirittocivilismo: 0, establishment: 1 };
+const questions = [
+  { id: 'a', title: 'A', weights: economia },
+  { id: 'b', title: 'B', weights: economia },
+  { id: 'c', title: 'C', weights: economia },
+  // Agreeing with it means the opposite of agreeing with a, b and c
+  { id: 'reversed', title: 'R', weights: economia },
+  // Weighted on establishment only, but answered like a, b and c
+  { id: 'leaky', title: 'L', weights: establishment },
+  { id: 'f', title: 'F', weights: establishment }
+].map(normalizeQuestionEntry);
+
+// Respondents with independent positions on economia (x) and establishment (z)
+const random = seededRandom(7);
+const records = Array.from({ length: 40 }, () => {
+  const x = random() * 2 - 1;
+  const z = random() * 2 - 1;
+  return { answers: { a: x, b: x, c: x, reversed: -x, leaky: x, f: z } };
+});
+
+test('pearson measures linear association and gives up on constant samples', () => {
+  assert.equal(pearson([1, 2, 3], [2, 4, 6]), 1);
+  assert.equal(pearson([1, 2, 3], [3, 2, 1]), -1);
+  assert.equal(pearson([1, 1, 1], [1, 2, 3]), null);
+  assert.equal(pearson([1], [1]), null);
+});
+
+test('historyAnswers aligns saved results by id and drops unrelated ones', () => {
+  const entries = historyAnswers([
+    { answers: { b: 0.5, other: 1 }, importance: { b: 2 } },
+    { answers: { 'ita-01': 1 } }
+  ], questions);
+  assert.equal(entries.length, 1);
+  assert.deepEqual(entries[0].answers, [undefined, 0.5, undefined, undefined, undefined, undefined]);
+  assert.equal(entries[0].importance[1], 2);
+});
+
+test('questions correlating against their weights are flagged as reversed', () => {
+  const reports = calibrateQuestions(questions, historyAnswers(records, questions));
+  const byId = Object.fromEntries(reports.map((report) => [report.id, report]));
+  assert.deepEqual(byId.reversed.reversed, ['economia']);
+  assert.ok(byId.reversed.axes.economia.correlation < -0.9);
+  assert.deepEqual(byId.a.reversed, []);
+  assert.ok(byId.a.axes.economia.correlation > 0.9);
+  assert.equal(countErrors(reports), 1);
+});
+
+test('strong loadings on unweighted axes are warnings', () => {
+  const reports = calibrateQuestions(questions, historyAnswers(records, questions));
+  const leaky = reports.find((report) => report.id === 'leaky');
+  assert.deepEqual(leaky.unexpected, ['economia']);
+  assert.deepEqual(leaky.reversed, []);
+  assert.deepEqual(reports.find((report) => report.id === 'f').unexpected, []);
+});
+
+test('questions with too few answers are not judged', () => {
+  const reports = calibrateQuestions(questions, historyAnswers(records.slice(0, 5), questions));
+  assert.ok(reports.every((report) => report.insufficient));
+  assert.equal(countErrors(reports), 0);
+  assert.equal(countErrors(calibrateQuestions(questions, historyAnswers(records.slice(0, 5), questions), { minResponses: 5 })), 1);
+});
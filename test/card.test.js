@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CARD_PROJECTIONS, CARD_SIZE, resultCard, wrapText } from '../lib/card.js';
+
+const point = { x: 0.5, y: -1, z: 0 };
+const intervals = { level: 0.9, x: [0.25, 0.75], y: [-1, -0.5], z: [-0.25, 0.25] };
+
+test('the card shows the quadrant, the coordinates and escapes the texts', () => {
+  const { svg, width, height, snapshotBox } = resultCard({
+    heading: 'Quadrant 3',
+    name: 'Liberal <left> & co',
+    color: '#12ab34',
+    point,
+    lines: [{ label: 'Economy', value: '+0.50', note: '90% CI: 0.25 … 0.75' }]
+  });
+  assert.equal(width, CARD_SIZE.width);
+  assert.equal(height, CARD_SIZE.height);
+  assert.equal(snapshotBox, null);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.ok(svg.includes('Quadrant 3'));
+  assert.ok(svg.includes('Liberal &lt;left&gt; &amp; co'));
+  assert.ok(svg.includes('+0.50'));
+  assert.ok(svg.includes('fill="#12ab34"'));
+  assert.ok(!svg.includes('<left>'));
+});
+
+test('each projection places the point on its two coordinates', () => {
+  const { svg } = resultCard({ point, intervals });
+  const points = [...svg.matchAll(/<circle class="point" cx="([\d.]+)" cy="([\d.]+)"/g)].map((m) => [Number(m[1]), Number(m[2])]);
+  assert.equal(points.length, CARD_PROJECTIONS.length);
+  // Panels are 200 wide, 40 apart from x = 48, with their top at y = 330 and y growing downwards
+  assert.deepEqual(points[0], [48 + 150, 330 + 200]);
+  assert.deepEqual(points[1], [288 + 150, 330 + 100]);
+  assert.deepEqual(points[2], [528, 330 + 100]);
+});
+
+test('regions are shaded on the slice through the point', () => {
+  const samples = [];
+  resultCard({ point, regionColor: (x, y, z) => { samples.push({ x, y, z }); return x < 0 ? '#ff0000' : '#0000ff'; } });
+  assert.equal(samples.length, 3 * 20 * 20);
+  // The x–y panel samples z = point.z, the x–z panel y = point.y, the y–z panel x = point.x
+  assert.ok(samples.slice(0, 400).every(({ z }) => z === point.z));
+  assert.ok(samples.slice(400, 800).every(({ y }) => y === point.y));
+  assert.ok(samples.slice(800).every(({ x }) => x === point.x));
+  assert.ok(samples.every(({ x, y, z }) => [x, y, z].every((v) => v >= -1 && v <= 1)));
+});
+
+test('a snapshot card leaves room for the sphere', () => {
+  const { width, snapshotBox } = resultCard({ point, snapshot: true });
+  assert.equal(width, CARD_SIZE.snapshotWidth);
+  assert.ok(snapshotBox.x >= CARD_SIZE.width && snapshotBox.x + snapshotBox.width <= width);
+  assert.ok(snapshotBox.y >= 0 && snapshotBox.y + snapshotBox.height <= CARD_SIZE.height);
+});
+
+test('wrapText splits on words and marks cut text', () => {
+  assert.deepEqual(wrapText('one two three', 7, 2), ['one two', 'three']);
+  assert.deepEqual(wrapText('one two three four', 7, 2), ['one two', 'three…']);
+  assert.deepEqual(wrapText('', 10, 2), []);
+  assert.deepEqual(wrapText('supercalifragilistic', 6, 1), ['super…']);
+});
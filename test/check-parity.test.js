@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { compareQuestionSets, countErrors } from '../tools/check-parity.js';
+
+const table = {
+  a: { economia: 1, dirittocivilismo: 0, establishment: 0 },
+  b: { economia: 0, dirittocivilismo: 1, establishment: 0 },
+  c: { economia: 0, dirittocivilismo: 0, establishment: 1 }
+};
+const reference = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }];
+
+const ROOT = new URL('../', import.meta.url);
+const readJson = (name) => JSON.parse(readFileSync(new URL(name, ROOT), 'utf8'));
+
+test('the shipped translations of the std-* set are at parity with questions_en.json', () => {
+  const weights = readJson('weights.json');
+  const english = readJson('questions_en.json');
+  ['questions.json', 'questions_en.json', 'questions_es.json', 'questions_fr.json', 'questions_de.json'].forEach((name) => {
+    const report = compareQuestionSets(english, readJson(name), weights);
+    assert.equal(countErrors(report), 0, name);
+    assert.equal(report.reordered, false, name);
+  });
+});
+
+test('the Italian-only ita-* set is reported, with canonical weights for each question', () => {
+  const report = compareQuestionSets(readJson('questions_en.json'), readJson('questions_it.json'), readJson('weights.json'));
+  assert.equal(report.missing.length, 40);
+  assert.equal(report.extra.length, 49);
+  assert.ok(report.extra.every((id) => id.startsWith('ita-')));
+  assert.deepEqual(report.unweighted, []);
+  assert.deepEqual(report.misweighted, []);
+});
+
+test('a complete translation has no problems', () => {
+  const report = compareQuestionSets(reference, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }], table);
+  assert.equal(countErrors(report), 0);
+  assert.equal(report.reordered, false);
+});
+
+test('missing, extra and unweighted ids are reported', () => {
+  const report = compareQuestionSets(reference, [{ id: 'a', title: 'A' }, { id: 'x', title: 'X' }, { title: 'no id' }], table);
+  assert.deepEqual(report.missing, ['b', 'c']);
+  assert.deepEqual(report.extra, ['x']);
+  assert.deepEqual(report.unweighted, ['x']);
+  assert.deepEqual(report.withoutId, [2]);
+  assert.equal(countErrors(report), 5);
+});
+
+test('inline weights that drift from the canonical table are reported', () => {
+  const candidate = [
+    { id: 'a', title: 'A', weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { id: 'b', title: 'B', weights: { economia: 0, dirittocivilismo: 0.8 } },
+    { id: 'c', title: 'C' }
+  ];
+  const report = compareQuestionSets(reference, candidate, table);
+  assert.deepEqual(report.misweighted.map(({ id }) => id), ['b']);
+});
+
+test('duplicates and a different order are detected', () => {
+  const report = compareQuestionSets(reference, [{ id: 'b' }, { id: 'a' }, { id: 'c' }, { id: 'a' }], table);
+  assert.deepEqual(report.duplicates, ['a']);
+  assert.equal(report.reordered, true);
+});
+
+test('a question on a different response scale is reported', () => {
+  const candidate = { scale: 'likert7', questions: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B', scale: 'likert5' }, { id: 'c', title: 'C' }] };
+  const report = compareQuestionSets(reference, candidate, table);
+  assert.deepEqual(report.rescaled, [
+    { id: 'a', scale: 'likert7', reference: 'likert5' },
+    { id: 'c', scale: 'likert7', reference: 'likert5' }
+  ]);
+  assert.equal(countErrors(report), 2);
+});
+
+test('questions tagged for other test lengths than in the reference are reported', () => {
+  const tagged = [{ id: 'a', title: 'A', tags: ['short'] }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }];
+  const candidate = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C', tags: ['extended'] }];
+  const report = compareQuestionSets(tagged, candidate, table);
+  assert.deepEqual(report.retagged, [
+    { id: 'a', tags: '', reference: 'short' },
+    { id: 'c', tags: 'extended', reference: '' }
+  ]);
+  assert.equal(countErrors(report), 2);
+});
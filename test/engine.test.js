@@ -0,0 +1,435 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  AXES,
+  answersById,
+  answersFitScales,
+  applyWeightTable,
+  bootstrapIntervals,
+  computeAnsweredTotals,
+  computeCoverage,
+  computeRawScores,
+  computeWeightTotals,
+  createRegionModel,
+  IMPORTANCE_LEVELS,
+  importanceFactor,
+  isValidAnswer,
+  readWeightTable,
+  nextAdaptiveQuestion,
+  localizeRegionModel,
+  normalizeQuestionEntry,
+  normalizeScores,
+  questionList,
+  questionOrder,
+  questionsForLength,
+  dominantAxis,
+  resolveRegion,
+  scaleOf,
+  scoreAnswers,
+  sectorFromVector,
+  sphericalGridRegions,
+  toSpherical,
+  untranslatedRegions
+} from '../lib/engine.js';
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < EPSILON, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+test('normalizeQuestionEntry rescales weights so their absolute values sum to 1', () => {
+  const question = normalizeQuestionEntry({ title: 'q', weights: { economia: 0.8, dirittocivilismo: 0, establishment: 0.3 } });
+  assertClose(question.weights.economia, 0.8 / 1.1);
+  assertClose(question.weights.dirittocivilismo, 0);
+  assertClose(question.weights.establishment, 0.3 / 1.1);
+  const sum = AXES.reduce((acc, axis) => acc + Math.abs(question.weights[axis]), 0);
+  assertClose(sum, 1);
+});
+
+test('normalizeQuestionEntry keeps the sign of negative weights', () => {
+  const question = normalizeQuestionEntry({ title: 'q', weights: { economia: -1, dirittocivilismo: 1, establishment: 0 } });
+  assert.deepEqual(question.weights, { economia: -0.5, dirittocivilismo: 0.5, establishment: 0 });
+});
+
+test('normalizeQuestionEntry maps the legacy component field', () => {
+  assert.deepEqual(normalizeQuestionEntry({ title: 'q', component: 'autoritarismo' }).weights, { economia: 0, dirittocivilismo: 1, establishment: 0 });
+  assert.deepEqual(normalizeQuestionEntry({ title: 'q', component: 'economia' }).weights, { economia: 1, dirittocivilismo: 0, establishment: 0 });
+  assert.deepEqual(normalizeQuestionEntry({ title: 'q', component: 'sconosciuto' }).weights, { economia: 0, dirittocivilismo: 0, establishment: 0 });
+});
+
+test('normalizeQuestionEntry tolerates invalid entries', () => {
+  assert.deepEqual(normalizeQuestionEntry(null), { title: '', weights: { economia: 0, dirittocivilismo: 0, establishment: 0 } });
+  assert.deepEqual(normalizeQuestionEntry({ title: 'q', weights: { economia: 'abc' } }).weights, { economia: 0, dirittocivilismo: 0, establishment: 0 });
+});
+
+test('normalizeQuestionEntry keeps raw weights as authored', () => {
+  const weights = { economia: 0.8, dirittocivilismo: 0, establishment: 0.3 };
+  assert.deepEqual(normalizeQuestionEntry({ title: 'q', weightMode: 'raw', weights }).weights, weights);
+  assertClose(normalizeQuestionEntry({ title: 'q', weightMode: 'other', weights }).weights.economia, 0.8 / 1.1);
+});
+
+test('the weight table declares the mode of the weights it supplies', () => {
+  const weights = { a: { economia: 0.8, dirittocivilismo: 0, establishment: 0.3 } };
+  assert.deepEqual(readWeightTable(weights), { weightMode: 'normalized', weights });
+  assert.deepEqual(readWeightTable({ weightMode: 'raw', weights }), { weightMode: 'raw', weights });
+  assert.equal(readWeightTable([]), null);
+  // The table's mode wins over the file's for the questions it weights
+  const questions = questionList({ weightMode: 'raw', questions: [{ id: 'a', title: 'A' }, { title: 'B', weights: { economia: 0.5 } }] });
+  const [tabled, inline] = applyWeightTable(questions, weights).map(normalizeQuestionEntry);
+  assertClose(tabled.weights.economia, 0.8 / 1.1);
+  assert.equal(inline.weights.economia, 0.5);
+  assert.equal(applyWeightTable(questions, { weightMode: 'raw', weights }).map(normalizeQuestionEntry)[0].weights.economia, 0.8);
+  // Raw weights change how much a question counts against another
+  const mixed = [{ title: 'q', weights: { economia: 1 } }, { title: 'r', weights: { economia: 0.25 } }];
+  assert.equal(scoreAnswers(mixed, [1, -1]).normalized.x, 0);
+  assertClose(scoreAnswers({ weightMode: 'raw', questions: mixed }, [1, -1]).normalized.x, 0.75 / 1.25);
+});
+
+test('questionList reads both file formats and applies the set scale', () => {
+  const questions = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B', scale: 'slider' }];
+  assert.equal(questionList(questions), questions);
+  assert.deepEqual(questionList({ scale: 'likert3', questions }).map((q) => q.scale), ['likert3', 'slider']);
+  assert.deepEqual(questionList({ questions }).map((q) => q.scale), [undefined, 'slider']);
+  assert.deepEqual(questionList(null), []);
+});
+
+test('scaleOf and isValidAnswer follow the question scale', () => {
+  assert.deepEqual(scaleOf({}).options.map(({ value }) => value), [1, 0.5, 0, -0.5, -1]);
+  assert.equal(scaleOf({ scale: 'likert7' }).options.length, 7);
+  assert.equal(scaleOf({ scale: 'unknown' }), scaleOf({}));
+  assert.equal(isValidAnswer({ scale: 'likert3' }, -1), true);
+  assert.equal(isValidAnswer({ scale: 'likert3' }, 0.5), false);
+  assert.equal(isValidAnswer({ scale: 'likert7' }, 1 / 3), true);
+  assert.equal(isValidAnswer({ scale: 'slider' }, 0.37), true);
+  assert.equal(isValidAnswer({ scale: 'slider' }, 1.2), false);
+  assert.equal(isValidAnswer({}, Number.NaN), false);
+});
+
+test('answersFitScales checks every given answer against its question', () => {
+  const questions = [{ scale: 'likert3' }, {}, { scale: 'slider' }];
+  assert.equal(answersFitScales(questions, [1, undefined, 0.37]), true);
+  assert.equal(answersFitScales(questions, [null, 0.5]), true);
+  assert.equal(answersFitScales(questions, [0.5, 0.5, 0]), false);
+  assert.equal(answersFitScales(questions, [0, 0.25]), false);
+  assert.equal(answersFitScales(questions, [0, 0, 3]), false);
+  assert.equal(answersFitScales(questions, 'x'), false);
+});
+
+test('computeWeightTotals sums absolute weights per axis', () => {
+  const questions = [
+    { weights: { economia: 0.5, dirittocivilismo: -0.5, establishment: 0 } },
+    { weights: { economia: -1, dirittocivilismo: 0, establishment: 0 } }
+  ];
+  assert.deepEqual(computeWeightTotals(questions), { economia: 1.5, dirittocivilismo: 0.5, establishment: 0 });
+});
+
+test('computeRawScores ignores unanswered questions', () => {
+  const questions = [
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 1, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 0, establishment: 1 } }
+  ];
+  assert.deepEqual(computeRawScores(questions, [0.5, undefined, -1]), { x: 0.5, y: 0, z: -1 });
+  assert.deepEqual(computeRawScores(questions, []), { x: 0, y: 0, z: 0 });
+});
+
+test('computeAnsweredTotals counts neutral answers but not skipped questions', () => {
+  const questions = [
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 0.5, dirittocivilismo: 0.5, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 0, establishment: 1 } }
+  ];
+  assert.deepEqual(computeAnsweredTotals(questions, [0, 1, null]), { economia: 1.5, dirittocivilismo: 0.5, establishment: 0 });
+  assert.deepEqual(computeAnsweredTotals(questions, []), { economia: 0, dirittocivilismo: 0, establishment: 0 });
+});
+
+test('computeCoverage separates neutral from skipped answers and rates each axis', () => {
+  const questions = [
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 1, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 0, establishment: 1 } }
+  ];
+  const coverage = computeCoverage(questions, [1, 0, 0.5]);
+  assert.equal(coverage.total, 4);
+  assert.equal(coverage.answered, 3);
+  assert.equal(coverage.neutral, 1);
+  assert.equal(coverage.skipped, 1);
+  assert.deepEqual(coverage.axes.economia, { answered: 2, total: 2, ratio: 1, level: 'high' });
+  assert.deepEqual(coverage.axes.establishment, { answered: 0, total: 1, ratio: 0, level: 'low' });
+  assert.equal(computeCoverage(questions, [1, undefined, 1, 1]).axes.economia.level, 'medium');
+  // Questions never shown (adaptive mode) are not counted as skipped
+  const adaptive = computeCoverage(questions, [1, undefined, 0.5], [2, 0, 1]);
+  assert.equal(adaptive.skipped, 1);
+  assert.equal(adaptive.notAsked, 1);
+});
+
+test('scoreAnswers normalizes over the answered weight only', () => {
+  const questions = [
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } }
+  ];
+  // Skipping the second question does not halve the first answer...
+  assert.equal(scoreAnswers(questions, [1]).normalized.x, 1);
+  // ...but answering it neutral does
+  assert.equal(scoreAnswers(questions, [1, 0]).normalized.x, 0.5);
+});
+
+test('importance multiplies both the contribution and the answered weight', () => {
+  const questions = [
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } }
+  ];
+  const importance = [IMPORTANCE_LEVELS.high, undefined];
+  assert.deepEqual(computeRawScores(questions, [1, -1], importance), { x: 1, y: 0, z: 0 });
+  assert.equal(computeAnsweredTotals(questions, [1, -1], importance).economia, 3);
+  // An importance-weighted mean: (2 * 1 + 1 * -1) / 3
+  assertClose(scoreAnswers(questions, [1, -1], { importance }).normalized.x, 1 / 3);
+  assert.equal(scoreAnswers(questions, [1, -1]).normalized.x, 0);
+  // Unanimous answers stay at the edge whatever their importance
+  assert.equal(scoreAnswers(questions, [1, 1], { importance: [IMPORTANCE_LEVELS.low, IMPORTANCE_LEVELS.high] }).normalized.x, 1);
+  // Importance of a skipped question changes nothing
+  assert.equal(scoreAnswers(questions, [1], { importance: [undefined, IMPORTANCE_LEVELS.high] }).normalized.x, 1);
+  assert.equal(importanceFactor(undefined), 1);
+  assert.equal(importanceFactor(-2), 1);
+  assert.equal(importanceFactor(0.5), 0.5);
+});
+
+test('bootstrapIntervals collapses on unanimous answers and is reproducible', () => {
+  const questions = Array.from({ length: 10 }, () => ({ weights: { economia: 0.5, dirittocivilismo: 0.5, establishment: 0 } }));
+  const unanimous = bootstrapIntervals(questions, Array(10).fill(1), { samples: 200 });
+  assert.deepEqual(unanimous.x, [1, 1]);
+  assert.deepEqual(unanimous.y, [1, 1]);
+  assert.deepEqual(unanimous.z, [-1, 1]);
+  assert.equal(unanimous.level, 0.9);
+  const mixed = Array.from({ length: 10 }, (_, i) => (i % 3 ? 1 : -1));
+  assert.deepEqual(bootstrapIntervals(questions, mixed, { samples: 200 }), bootstrapIntervals(questions, mixed, { samples: 200 }));
+  assert.equal(bootstrapIntervals(questions, []), null);
+});
+
+test('bootstrapIntervals brackets the result and narrows with more answers', () => {
+  const questions = Array.from({ length: 40 }, (_, i) => ({ weights: { economia: 1 - (i % 4) * 0.25, dirittocivilismo: (i % 4) * 0.25, establishment: 0 } }));
+  const answers = questions.map((_, i) => [1, 0.5, -0.5, 0, 1][i % 5]);
+  const { x } = scoreAnswers(questions, answers).normalized;
+  const full = bootstrapIntervals(questions, answers);
+  assert.ok(full.x[0] <= x && x <= full.x[1], `${x} outside ${full.x}`);
+  const few = bootstrapIntervals(questions, answers.slice(0, 8));
+  assert.ok(few.x[1] - few.x[0] > full.x[1] - full.x[0]);
+});
+
+test('nextAdaptiveQuestion starts from the question weighing most on an undetermined axis', () => {
+  const questions = [
+    { weights: { economia: 0.5, dirittocivilismo: 0.5, establishment: 0 } },
+    { weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 1, establishment: 0 } },
+    { weights: { economia: 0, dirittocivilismo: 0, establishment: 1 } }
+  ];
+  assert.deepEqual(nextAdaptiveQuestion(questions, [], []), { index: 1, axis: 'economia' });
+  // With economia answered, the axes with the least answered weight come next
+  assert.deepEqual(nextAdaptiveQuestion(questions, [undefined, 1], [1]), { index: 2, axis: 'dirittocivilismo' });
+  assert.deepEqual(nextAdaptiveQuestion(questions, [undefined, 1, 1], [1, 2]), { index: 3, axis: 'establishment' });
+  // Skipped questions are not asked again
+  assert.deepEqual(nextAdaptiveQuestion(questions, [], [1]), { index: 0, axis: 'economia' });
+});
+
+test('nextAdaptiveQuestion stops at the target width, the maximum or the last question', () => {
+  const questions = AXES.flatMap((axis) => Array.from({ length: 6 }, () => ({ weights: { economia: 0, dirittocivilismo: 0, establishment: 0, [axis]: 1 } })));
+  const all = questions.map((_, idx) => idx);
+  assert.deepEqual(nextAdaptiveQuestion(questions, [], all), { index: null, reason: 'exhausted' });
+  assert.deepEqual(nextAdaptiveQuestion(questions, [], [0, 1, 2], { maxQuestions: 3 }), { index: null, reason: 'max' });
+  // Unanimous answers on every axis leave no uncertainty
+  const asked = [0, 1, 6, 7, 12, 13, 2, 8];
+  const answers = [];
+  asked.forEach((idx) => { answers[idx] = 1; });
+  assert.deepEqual(nextAdaptiveQuestion(questions, answers, asked), { index: null, reason: 'target' });
+  assert.notEqual(nextAdaptiveQuestion(questions, answers, asked, { minQuestions: 9 }).index, null);
+});
+
+test('questionsForLength picks the tagged subset of each test length', () => {
+  const questions = [
+    { id: 'a', tags: ['short'] },
+    { id: 'b' },
+    { id: 'c', tags: ['extended'] },
+    { id: 'd', tags: ['short', 'extended'] }
+  ];
+  const ids = (length) => questionsForLength(questions, length).map(({ id }) => id);
+  assert.deepEqual(ids('short'), ['a']);
+  assert.deepEqual(ids('standard'), ['a', 'b']);
+  assert.deepEqual(ids('extended'), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(ids(undefined), ['a', 'b']);
+  // Without short tags the short test is the standard one
+  assert.deepEqual(questionsForLength([{ id: 'a' }, { id: 'b' }], 'short').map(({ id }) => id), ['a', 'b']);
+});
+
+test('the shipped question sets have a short test of 15 questions', () => {
+  ['questions.json', 'questions_it.json', 'questions_en.json', 'questions_es.json', 'questions_fr.json', 'questions_de.json'].forEach((name) => {
+    const questions = JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+    assert.equal(questionsForLength(questions, 'short').length, 15, name);
+  });
+});
+
+test('questionOrder shuffles reproducibly from a seed', () => {
+  const questions = Array.from({ length: 12 }, (_, idx) => ({ title: String(idx), weights: { economia: 1 } }));
+  const order = questionOrder(questions, 'random', 42);
+  assert.deepEqual(order, questionOrder(questions, 'random', 42));
+  assert.notDeepEqual(order, questionOrder(questions, 'random', 43));
+  assert.notDeepEqual(order, questions.map((_, idx) => idx));
+  assert.deepEqual([...order].sort((a, b) => a - b), questions.map((_, idx) => idx));
+  assert.deepEqual(questionOrder(questions, 'file'), questions.map((_, idx) => idx));
+});
+
+test('questionOrder balances the dominant axes across the quiz', () => {
+  const on = (axis) => ({ title: axis, weights: { [axis]: 1 } });
+  const questions = [on('economia'), on('economia'), on('economia'), on('economia'), on('dirittocivilismo'), on('dirittocivilismo'), on('establishment')];
+  assert.equal(dominantAxis({ weights: { economia: 0.2, establishment: -0.6 } }), 'establishment');
+  assert.equal(dominantAxis({ weights: {} }), null);
+  assert.deepEqual(questionOrder(questions, 'balanced').map((idx) => questions[idx].title), [
+    'economia', 'dirittocivilismo', 'economia', 'establishment', 'economia', 'dirittocivilismo', 'economia'
+  ]);
+  // File order is kept within each axis
+  assert.deepEqual(questionOrder(questions, 'balanced').filter((idx) => idx < 4), [0, 1, 2, 3]);
+});
+
+test('normalizeScores divides by the weight totals and clamps to [-1, 1]', () => {
+  const totals = { economia: 2, dirittocivilismo: 4, establishment: 0 };
+  assert.deepEqual(normalizeScores({ x: 1, y: -2, z: 3 }, totals), { x: 0.5, y: -0.5, z: 0 });
+  assert.deepEqual(normalizeScores({ x: 5, y: -5, z: 0 }, totals), { x: 1, y: -1, z: 0 });
+});
+
+test('toSpherical handles the origin and the poles', () => {
+  assert.deepEqual(toSpherical({ x: 0, y: 0, z: 0 }), { r: 0, theta: 0, phi: 0, thetaDeg: 0, phiDeg: 0, rawRadius: 0 });
+  assertClose(toSpherical({ x: 0, y: 0, z: -1 }).thetaDeg, 180);
+  assertClose(toSpherical({ x: 0, y: -1, z: 0 }).phiDeg, 270);
+  assertClose(toSpherical({ x: 1, y: 1, z: 1 }).r, 1);
+});
+
+test('sectorFromVector clamps the south pole into the last theta sector', () => {
+  assert.deepEqual(sectorFromVector(0, 0, -1), { index: 3, phiSector: 0, thetaSector: 3 });
+  assert.deepEqual(sectorFromVector(0, 0, 1), { index: 0, phiSector: 0, thetaSector: 0 });
+  assert.deepEqual(sectorFromVector(-1, -0.1, 0), { index: 10, phiSector: 2, thetaSector: 2 });
+});
+
+test('createRegionModel reads both the declarative and the legacy format', () => {
+  const regions = [{ id: 'A', bounds: { x: [-1, 1] } }];
+  assert.deepEqual(createRegionModel({ model: 'spherical', regions }), { model: 'spherical', regions });
+  assert.deepEqual(createRegionModel(regions), { model: 'cartesian', regions });
+  assert.equal(createRegionModel({ model: 'unknown', regions }).model, 'cartesian');
+  assert.equal(createRegionModel({ regions: [] }), null);
+  assert.equal(createRegionModel(null), null);
+});
+
+test('localizeRegionModel replaces texts by id and keeps bounds and colours', () => {
+  const model = createRegionModel({
+    model: 'cartesian',
+    regions: [
+      { id: 'A', name: 'Nome A', content: 'Descrizione A', affiliazionepolitica: ['Partito A'], color: '#ff0000', bounds: { x: [-1, 0] } },
+      { id: 'B', name: 'Nome B', content: 'Descrizione B', bounds: { x: [0, 1] } }
+    ]
+  });
+  const localized = localizeRegionModel(model, {
+    A: { name: 'Name A', content: 'Description A', affiliazionepolitica: ['Party A'] },
+    B: { name: 'Name B' }
+  });
+  assert.deepEqual(localized.regions[0], {
+    id: 'A', name: 'Name A', content: 'Description A', affiliazionepolitica: ['Party A'], color: '#ff0000', bounds: { x: [-1, 0] }
+  });
+  assert.equal(localized.regions[1].content, 'Descrizione B');
+  assert.equal(model.regions[0].name, 'Nome A', 'the base model is not modified');
+  assert.equal(localizeRegionModel(model, null), model);
+});
+
+test('untranslatedRegions lists the fields left in the original language', () => {
+  const model = createRegionModel([
+    { id: 'A', name: 'Nome A', content: 'Descrizione A', affiliazionepolitica: ['Partito A'] },
+    { id: 'B', name: 'Nome B', content: 'Descrizione B' }
+  ]);
+  assert.deepEqual(untranslatedRegions(model, {
+    A: { name: 'Name A', content: 'Description A', affiliazionepolitica: ['Party A'] },
+    B: { name: 'Name B', content: '' }
+  }), [{ id: 'B', fields: ['content'] }]);
+  assert.deepEqual(untranslatedRegions(model, null).map(({ id }) => id), ['A', 'B']);
+});
+
+test('resolveRegion assigns shared faces to exactly one cartesian region', () => {
+  const model = createRegionModel([
+    { id: 'A', bounds: { x: [-1, 0], y: [-1, 1], z: [-1, 1] } },
+    { id: 'B', bounds: { x: [0, 1], y: [-1, 1], z: [-1, 1] } }
+  ]);
+  assert.equal(resolveRegion(model, { x: -0.3, y: 0, z: 0 }).id, 'A');
+  assert.equal(resolveRegion(model, { x: 0, y: 0, z: 0 }).id, 'B');
+  assert.equal(resolveRegion(model, { x: 1, y: 1, z: 1 }).id, 'B');
+  assert.deepEqual(resolveRegion(model, { x: -1, y: -1, z: -1 }), { index: 0, number: 1, id: 'A', entry: model.regions[0] });
+});
+
+test('resolveRegion falls back to the nearest centre when regions leave a gap', () => {
+  const model = createRegionModel([
+    { id: 'A', bounds: { x: [-1, -0.5] } },
+    { id: 'B', bounds: { x: [0.5, 1] } }
+  ]);
+  assert.equal(resolveRegion(model, { x: 0.2, y: 0, z: 0 }).id, 'B');
+  assert.equal(resolveRegion(model, { x: -0.2, y: 0, z: 0 }).id, 'A');
+  assert.equal(resolveRegion({ model: 'cartesian', regions: [] }, { x: 0, y: 0, z: 0 }), null);
+});
+
+test('resolveRegion on the default spherical grid matches sectorFromVector', () => {
+  const model = { model: 'spherical', regions: sphericalGridRegions() };
+  const points = [[0, 0, 1], [0, 0, -1], [1, 0.2, 0.1], [-1, -0.1, 0], [0.3, -0.8, -0.4], [-0.2, 0.9, 0.6], [0, 0, 0]];
+  points.forEach(([x, y, z]) => {
+    assert.equal(resolveRegion(model, { x, y, z }).index, sectorFromVector(x, y, z).index, `point ${x},${y},${z}`);
+  });
+});
+
+test('every point of the cube resolves to the region whose bounds contain it', () => {
+  const model = createRegionModel(JSON.parse(readFileSync(new URL('../quadrants.json', import.meta.url), 'utf8')));
+  for (let i = 0; i < 200; i++) {
+    const point = { x: Math.sin(i * 1.3), y: Math.cos(i * 0.7), z: Math.sin(i * 2.9) };
+    const { entry } = resolveRegion(model, point);
+    ['x', 'y', 'z'].forEach((axis) => {
+      const [min, max] = entry.bounds[axis];
+      assert.ok(point[axis] >= min && point[axis] <= max, `${entry.id} does not contain ${axis}=${point[axis]}`);
+    });
+  }
+});
+
+test('scoreAnswers normalizes raw question files before scoring', () => {
+  const questions = [
+    { title: 'a', weights: { economia: 2, dirittocivilismo: 0, establishment: 2 } },
+    { title: 'b', component: 'dirittocivilismo' }
+  ];
+  const result = scoreAnswers(questions, [1, -1]);
+  assert.deepEqual(result.raw, { x: 0.5, y: -1, z: 0.5 });
+  assert.deepEqual(result.totals, { economia: 0.5, dirittocivilismo: 1, establishment: 0.5 });
+  assert.deepEqual(result.normalized, { x: 1, y: -1, z: 1 });
+  // Without quadrants the default 16-sector spherical grid is used
+  assert.equal(result.quadrant.number, sectorFromVector(1, -1, 1).index + 1);
+  assert.equal(result.quadrant.entry.id, String(result.quadrant.number));
+});
+
+test('applyWeightTable takes weights from the canonical table by id', () => {
+  const table = { 'std-01': { economia: 1, dirittocivilismo: 0, establishment: 0 } };
+  const questions = [
+    { id: 'std-01', title: 'a', weights: { economia: -1, dirittocivilismo: 0, establishment: 0 } },
+    { id: 'std-99', title: 'b', component: 'establishment' },
+    { title: 'c', weights: { economia: 0, dirittocivilismo: 1, establishment: 0 } }
+  ];
+  const applied = applyWeightTable(questions, table);
+  assert.deepEqual(applied[0].weights, table['std-01']);
+  assert.equal(applied[1], questions[1]);
+  assert.equal(applied[2], questions[2]);
+  assert.equal(applyWeightTable(questions, null), questions);
+  assert.equal(applyWeightTable([{ id: 'constructor', title: 'x' }], {})[0].weights, undefined);
+});
+
+test('scoreAnswers scores translations with the canonical weights', () => {
+  const weights = { q1: { economia: 1, dirittocivilismo: 0, establishment: 0 } };
+  const italian = [{ id: 'q1', title: 'Domanda' }];
+  const english = [{ id: 'q1', title: 'Question', weights: { economia: -1, dirittocivilismo: 0, establishment: 0 } }];
+  assert.deepEqual(scoreAnswers(italian, [1], { weights }).normalized, scoreAnswers(english, [1], { weights }).normalized);
+});
+
+test('answersById keys answered questions by id, falling back to position', () => {
+  const questions = [{ id: 'a' }, { id: 'b' }, {}];
+  assert.deepEqual(answersById(questions, [1, undefined, -0.5]), { a: 1, 3: -0.5 });
+});
@@ -0,0 +1,102 @@
+/* --------------------------------------------------------------------------
+ *  Golden regression tests
+ *
+ * For every question file a set of canonical answer vectors is scored and
+ * compared against test/fixtures/golden.json: normalized x/y/z, φ/θ, the
+ * region number and the id of the resolved quadrants.json region.  Any
+ * change to the maths shows up here.  After an intentional change run
+ *
+ *   UPDATE_GOLDEN=1 npm test
+ *
+ * and review the diff of the fixture file before committing it.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { scoreAnswers } from '../lib/engine.js';
+
+const ROOT = new URL('../', import.meta.url);
+const FIXTURE = new URL('fixtures/golden.json', import.meta.url);
+const QUESTION_FILES = [
+  'questions.json',
+  'questions_it.json',
+  'questions_en.json',
+  'questions_es.json',
+  'questions_fr.json',
+  'questions_de.json'
+];
+const EPSILON = 1e-9;
+
+const readJson = (url) => JSON.parse(readFileSync(url, 'utf8'));
+
+// Canonical answer vectors, built from the question count
+const ANSWER_VECTORS = {
+  'all-strong-yes': (n) => Array(n).fill(1),
+  'all-strong-no': (n) => Array(n).fill(-1),
+  'all-neutral': (n) => Array(n).fill(0),
+  alternating: (n) => Array.from({ length: n }, (_, i) => (i % 2 ? -1 : 1)),
+  'scale-cycle': (n) => Array.from({ length: n }, (_, i) => [1, 0.5, 0, -0.5, -1][i % 5]),
+  'first-half-yes': (n) => Array.from({ length: n }, (_, i) => (i < Math.floor(n / 2) ? 0.5 : undefined))
+};
+
+function snapshot(result) {
+  return {
+    normalized: result.normalized,
+    phiDeg: result.spherical.phiDeg,
+    thetaDeg: result.spherical.thetaDeg,
+    quadrantNumber: result.quadrant.number,
+    quadrantId: result.quadrant.id
+  };
+}
+
+function computeGolden() {
+  const quadrants = readJson(new URL('quadrants.json', ROOT));
+  const weights = readJson(new URL('weights.json', ROOT));
+  const golden = {};
+  QUESTION_FILES.forEach((file) => {
+    const questions = readJson(new URL(file, ROOT));
+    golden[file] = {};
+    Object.entries(ANSWER_VECTORS).forEach(([name, build]) => {
+      const answers = build(questions.length);
+      golden[file][name] = {
+        answers: answers.map((value) => (value === undefined ? null : value)),
+        expected: snapshot(scoreAnswers(questions, answers, { quadrants, weights }))
+      };
+    });
+  });
+  return golden;
+}
+
+function assertSnapshot(actual, expected, label) {
+  ['x', 'y', 'z'].forEach((axis) => {
+    assert.ok(
+      Math.abs(actual.normalized[axis] - expected.normalized[axis]) < EPSILON,
+      `${label}: normalized.${axis} expected ${expected.normalized[axis]}, got ${actual.normalized[axis]}`
+    );
+  });
+  assert.ok(Math.abs(actual.phiDeg - expected.phiDeg) < EPSILON, `${label}: φ expected ${expected.phiDeg}, got ${actual.phiDeg}`);
+  assert.ok(Math.abs(actual.thetaDeg - expected.thetaDeg) < EPSILON, `${label}: θ expected ${expected.thetaDeg}, got ${actual.thetaDeg}`);
+  assert.equal(actual.quadrantNumber, expected.quadrantNumber, `${label}: quadrant number`);
+  assert.equal(actual.quadrantId, expected.quadrantId, `${label}: quadrant entry`);
+}
+
+if (process.env.UPDATE_GOLDEN) {
+  writeFileSync(FIXTURE, `${JSON.stringify(computeGolden(), null, 2)}\n`);
+}
+
+const golden = readJson(FIXTURE);
+const quadrants = readJson(new URL('quadrants.json', ROOT));
+const weights = readJson(new URL('weights.json', ROOT));
+
+QUESTION_FILES.forEach((file) => {
+  test(`golden results for ${file}`, () => {
+    const questions = readJson(new URL(file, ROOT));
+    const cases = golden[file];
+    assert.ok(cases, `missing golden fixtures for ${file}`);
+    Object.entries(cases).forEach(([name, { answers, expected }]) => {
+      assert.equal(answers.length, questions.length, `${file}/${name}: answer vector length`);
+      const result = scoreAnswers(questions, answers, { quadrants, weights });
+      assertSnapshot(snapshot(result), expected, `${file}/${name}`);
+    });
+  });
+});
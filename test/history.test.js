@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_CSV_COLUMNS,
+  HISTORY_FORMAT,
+  HISTORY_VERSION,
+  historyRecords,
+  historyToCsv,
+  historyToJson,
+  mergeHistory,
+  sanitizeHistoryEntry
+} from '../lib/history.js';
+
+const record = (id, timestamp, extra = {}) => ({
+  id,
+  timestamp,
+  language: 'it',
+  name: 'Ada',
+  profession: 'Ingegnera',
+  quadrant: 3,
+  normalized: { x: 0.5, y: -0.25, z: 0 },
+  raw: { x: 1.5, y: -0.5, z: 0 },
+  answers: { 'std-01': 1 },
+  ...extra
+});
+
+test('sanitizeHistoryEntry keeps results and rejects anything else', () => {
+  assert.deepEqual(sanitizeHistoryEntry(record('a', 1, { normalized: { x: 2, y: -3, z: 0.5 } })).normalized, { x: 1, y: -1, z: 0.5 });
+  assert.equal(sanitizeHistoryEntry(null), null);
+  assert.equal(sanitizeHistoryEntry([]), null);
+  assert.equal(sanitizeHistoryEntry(record('', 1)), null);
+  assert.equal(sanitizeHistoryEntry(record('a', 'yesterday')), null);
+  assert.equal(sanitizeHistoryEntry(record('a', 1, { normalized: { x: 0, y: 0 } })), null);
+});
+
+test('sanitizeHistoryEntry rejects answers outside the scale of their question', () => {
+  const questions = [{ id: 'std-01', scale: 'likert3' }, { id: 'std-02' }];
+  assert.ok(sanitizeHistoryEntry(record('a', 1, { answers: { 'std-01': -1, 'std-02': 0.5, other: 0.37 } }), questions));
+  assert.equal(sanitizeHistoryEntry(record('a', 1, { answers: { 'std-01': 0.5 } }), questions), null);
+  assert.equal(sanitizeHistoryEntry(record('a', 1, { answers: { 'std-02': 0.37 } }), questions), null);
+  // Without the question only the range every scale shares is known
+  assert.ok(sanitizeHistoryEntry(record('a', 1, { answers: { 'std-01': 0.37 } })));
+  assert.equal(sanitizeHistoryEntry(record('a', 1, { answers: { 'std-01': 4 } })), null);
+  assert.equal(sanitizeHistoryEntry(record('a', 1, { answers: [1] })), null);
+});
+
+test('the JSON export round-trips through historyRecords', () => {
+  const records = [record('a', 1), record('b', 2)];
+  const data = JSON.parse(historyToJson(records, Date.UTC(2024, 0, 2)));
+  assert.equal(data.format, HISTORY_FORMAT);
+  assert.equal(data.version, HISTORY_VERSION);
+  assert.equal(data.exportedAt, '2024-01-02T00:00:00.000Z');
+  assert.deepEqual(historyRecords(data), records);
+  // A plain array, as stored in localStorage, is accepted too
+  assert.deepEqual(historyRecords(records), records);
+  assert.throws(() => historyRecords({ results: records }), /not a results export/);
+  assert.throws(() => historyRecords({ ...data, version: HISTORY_VERSION + 1 }), /version/);
+});
+
+test('the CSV export has one quoted row per result', () => {
+  const csv = historyToCsv([record('a', Date.UTC(2024, 0, 2), { name: 'Rossi, "Ada"' }), record('b', 2, { profession: '=HYPERLINK("x")' })]);
+  const rows = csv.split('\r\n');
+  assert.equal(rows.length, 4);
+  assert.equal(rows[3], '');
+  assert.equal(rows[0], HISTORY_CSV_COLUMNS.map(([name]) => name).join(','));
+  assert.ok(rows[1].startsWith('a,2024-01-02T00:00:00.000Z,it,"Rossi, ""Ada""",Ingegnera,'));
+  assert.ok(rows[1].endsWith(',3,,0.5,-0.25,0,1.5,-0.5,0'));
+  // Text that spreadsheets would run as a formula is defused
+  assert.ok(rows[2].includes(`"'=HYPERLINK(""x"")"`));
+});
+
+test('mergeHistory skips duplicates and invalid records', () => {
+  const current = [record('a', 1), record('c', 3)];
+  const { history, added, duplicates, invalid } = mergeHistory(current, [record('b', 2), record('a', 1), { id: 'x' }, record('b', 2)]);
+  assert.deepEqual(history.map(({ id }) => id), ['a', 'b', 'c']);
+  assert.deepEqual({ added, duplicates, invalid }, { added: 1, duplicates: 2, invalid: 1 });
+  assert.equal(current.length, 2);
+});
+
+test('mergeHistory counts records with out-of-scale answers as invalid', () => {
+  const { added, invalid } = mergeHistory([], [record('a', 1), record('b', 2, { answers: { 'std-01': 0.25 } })], { questions: [{ id: 'std-01' }] });
+  assert.deepEqual({ added, invalid }, { added: 1, invalid: 1 });
+});
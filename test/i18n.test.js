@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createTranslator, flattenKeys, interpolate, lookup, placeholdersOf } from '../lib/i18n.js';
+import { compareCatalogs, countErrors, referencedKeys } from '../tools/check-locales.js';
+
+const LOCALES = new URL('../locales/', import.meta.url);
+
+const catalogs = {
+  it: {
+    quiz: { next: 'Avanti', progress: 'Domanda {current} di {total}' },
+    insights: { sampleSize: { one: 'Campione: {count} risultato', other: 'Campione: {count} risultati' } },
+    descriptors: { phi: ['Mercato aperto', 'Intervento statale'] },
+    only: { italian: 'Solo in italiano' }
+  },
+  en: {
+    quiz: { next: 'Next', progress: 'Question {current} of {total}' },
+    insights: { sampleSize: { one: 'Sample size: {count} result', other: 'Sample size: {count} results' } },
+    descriptors: { phi: ['Open market', 'State intervention'] }
+  }
+};
+
+test('lookup follows dot paths, including array indices', () => {
+  assert.equal(lookup(catalogs.it, 'quiz.next'), 'Avanti');
+  assert.equal(lookup(catalogs.it, 'descriptors.phi.1'), 'Intervento statale');
+  assert.equal(lookup(catalogs.it, 'quiz.missing'), undefined);
+  assert.equal(lookup(catalogs.it, 'quiz.next.deeper'), undefined);
+  assert.equal(lookup(catalogs.it, 'toString'), undefined);
+});
+
+test('interpolate fills known placeholders and keeps unknown ones', () => {
+  assert.equal(interpolate('Domanda {current} di {total}', { current: 3, total: 40 }), 'Domanda 3 di 40');
+  assert.equal(interpolate('Ciao, {name}', {}), 'Ciao, {name}');
+  assert.equal(interpolate('{n} risposte', { n: 0 }), '0 risposte');
+});
+
+test('t translates, interpolates and pluralizes', () => {
+  const { t } = createTranslator({ language: 'en', catalogs });
+  assert.equal(t('quiz.next'), 'Next');
+  assert.equal(t('quiz.progress', { current: 1, total: 40 }), 'Question 1 of 40');
+  assert.equal(t('insights.sampleSize', { count: 1 }), 'Sample size: 1 result');
+  assert.equal(t('insights.sampleSize', { count: 12 }), 'Sample size: 12 results');
+  assert.equal(t('descriptors.phi.0'), 'Open market');
+});
+
+test('missing keys fall back to Italian and are reported once', () => {
+  const reported = [];
+  const translator = createTranslator({ language: 'en', catalogs, onMissing: (entry) => reported.push(entry) });
+  assert.equal(translator.t('only.italian'), 'Solo in italiano');
+  assert.equal(translator.t('only.italian'), 'Solo in italiano');
+  assert.equal(translator.t('nowhere.defined'), 'nowhere.defined');
+  assert.deepEqual(reported, [
+    { language: 'en', key: 'only.italian', fallback: 'it' },
+    { language: 'en', key: 'nowhere.defined', fallback: null }
+  ]);
+  assert.deepEqual(translator.missing(), [
+    { key: 'only.italian', fallback: 'it' },
+    { key: 'nowhere.defined', fallback: null }
+  ]);
+  assert.equal(translator.has('only.italian'), false);
+});
+
+test('an unknown language uses the Italian catalog', () => {
+  const { t } = createTranslator({ language: 'pt', catalogs });
+  assert.equal(t('quiz.next'), 'Avanti');
+});
+
+test('flattenKeys treats plural messages as a single key', () => {
+  assert.deepEqual(flattenKeys(catalogs.en), [
+    'quiz.next',
+    'quiz.progress',
+    'insights.sampleSize',
+    'descriptors.phi.0',
+    'descriptors.phi.1'
+  ]);
+  assert.deepEqual(placeholdersOf(catalogs.en.insights.sampleSize), ['count']);
+});
+
+test('compareCatalogs reports missing, extra and mismatched placeholders', () => {
+  const report = compareCatalogs(catalogs.it, {
+    ...catalogs.en,
+    quiz: { next: 'Next', progress: 'Question {index}' },
+    extra: { key: 'Extra' }
+  });
+  assert.deepEqual(report.missing, ['only.italian']);
+  assert.deepEqual(report.extra, ['extra.key']);
+  assert.deepEqual(report.placeholders, [{ key: 'quiz.progress', expected: ['current', 'total'], actual: ['index'] }]);
+  assert.equal(countErrors(report), 2);
+});
+
+test('referencedKeys finds literal keys in scripts and markup', () => {
+  const source = "t('quiz.next'); t(`answers.${key}`); <p data-i18n=\"access.title\"></p> <input data-i18n-placeholder=\"access.placeholder\">";
+  assert.deepEqual(referencedKeys(source), ['access.placeholder', 'access.title', 'quiz.next']);
+});
+
+test('the shipped catalogs are complete', () => {
+  const reference = JSON.parse(readFileSync(new URL('it.json', LOCALES), 'utf8'));
+  readdirSync(LOCALES).filter((name) => name.endsWith('.json')).forEach((name) => {
+    const report = compareCatalogs(reference, JSON.parse(readFileSync(new URL(name, LOCALES), 'utf8')));
+    assert.equal(countErrors(report), 0, `${name}: ${JSON.stringify(report)}`);
+  });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRemote } from '../lib/remote.js';
+
+/** fetch stand-in answering every request with `status` and `data`, recording the calls */
+function fakeFetch(status, data) {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, ...options });
+    return { ok: status >= 200 && status < 300, status, json: async () => data };
+  };
+  return { fetch, calls };
+}
+
+test('requests go to /api under the base URL', async () => {
+  const { fetch, calls } = fakeFetch(200, { count: 0 });
+  const remote = createRemote('https://example.org/sfera/', { fetch });
+  assert.deepEqual(await remote.aggregates({ length: 'short', profession: 'all', education: '' }), { count: 0 });
+  await remote.postReview({ id: 'r1' });
+  assert.equal(calls[0].url, 'https://example.org/sfera/api/aggregates?length=short&profession=all');
+  assert.equal(calls[0].method, 'GET');
+  assert.equal(calls[1].url, 'https://example.org/sfera/api/reviews');
+  assert.equal(calls[1].body, '{"id":"r1"}');
+  assert.equal(createRemote('/', { fetch }).baseUrl, '');
+});
+
+test('errors carry the HTTP status, 0 when the server cannot be reached', async () => {
+  const refused = createRemote('', fakeFetch(409, { error: 'duplicate review' }));
+  await assert.rejects(refused.postReview({}), (err) => err.status === 409 && /duplicate review/.test(err.message));
+  const offline = createRemote('', { fetch: async () => { throw new TypeError('Failed to fetch'); } });
+  await assert.rejects(offline.listReviews(), (err) => err.status === 0);
+});
+
+test('a server that does not answer in time is a network failure', async () => {
+  const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  const remote = createRemote('', { fetch: hanging, timeout: 10 });
+  await assert.rejects(remote.listReviews(), (err) => err.status === 0 && /timed out/.test(err.message));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROUTE, formatHash, guardRoute, parseHash, questionNumber } from '../lib/router.js';
+
+const ready = {
+  languageSelected: true,
+  hasName: true,
+  profileComplete: true,
+  questionCount: 40,
+  currentQuestion: 5,
+  finished: false
+};
+
+test('parseHash reads the route name, parameter and query', () => {
+  assert.deepEqual(parseHash('#/quiz/12'), { name: 'quiz', param: '12', query: {} });
+  assert.deepEqual(parseHash('#/insights?tab=cartesian'), { name: 'insights', param: null, query: { tab: 'cartesian' } });
+  assert.deepEqual(parseHash(''), { name: DEFAULT_ROUTE, param: null, query: {} });
+  assert.deepEqual(parseHash('#/'), { name: DEFAULT_ROUTE, param: null, query: {} });
+  assert.equal(parseHash('#/nowhere'), null);
+});
+
+test('formatHash is the inverse of parseHash', () => {
+  assert.equal(formatHash({ name: 'quiz', param: 3 }), '#/quiz/3');
+  assert.equal(formatHash({ name: 'insights', query: { tab: 'sphere', empty: '' } }), '#/insights?tab=sphere');
+  ['#/lang', '#/quiz/12', '#/insights?tab=cartesian', '#/reviews', '#/shared/1.en.1.2-0badc0de.AB'].forEach((hash) => {
+    assert.equal(formatHash(parseHash(hash)), hash);
+  });
+});
+
+test('questionNumber accepts only positive integers', () => {
+  assert.equal(questionNumber(parseHash('#/quiz/12')), 12);
+  assert.equal(questionNumber(parseHash('#/quiz/0')), null);
+  assert.equal(questionNumber(parseHash('#/quiz/abc')), null);
+  assert.equal(questionNumber(parseHash('#/quiz')), null);
+});
+
+test('guardRoute lets reachable routes through', () => {
+  assert.equal(guardRoute(parseHash('#/lang'), {}), null);
+  assert.equal(guardRoute(parseHash('#/reviews'), {}), null);
+  assert.equal(guardRoute(parseHash('#/data'), {}), null);
+  assert.equal(guardRoute(parseHash('#/shared/1.en.1.2-0badc0de.AB'), {}), null);
+  assert.equal(guardRoute(parseHash('#/quiz/12'), ready), null);
+  assert.equal(guardRoute(parseHash('#/insights?tab=cartesian'), { ...ready, finished: true }), null);
+});
+
+test('guardRoute redirects to the first missing step', () => {
+  assert.deepEqual(guardRoute(parseHash('#/quiz/12'), {}), { name: 'lang', param: null, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/profile'), { languageSelected: true }), { name: 'welcome', param: null, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/quiz/12'), { languageSelected: true, hasName: true }), { name: 'profile', param: null, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/result'), ready), { name: 'quiz', param: 5, query: {} });
+  assert.deepEqual(guardRoute(null, ready), { name: DEFAULT_ROUTE, param: null, query: {} });
+});
+
+test('guardRoute keeps finished answers out of reach', () => {
+  assert.equal(guardRoute(parseHash('#/summary'), ready), null);
+  assert.deepEqual(guardRoute(parseHash('#/summary'), { ...ready, finished: true }), { name: 'result', param: null, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/quiz/3'), { ...ready, finished: true }), { name: 'result', param: null, query: {} });
+});
+
+test('guardRoute fixes invalid question numbers and tabs', () => {
+  assert.deepEqual(guardRoute(parseHash('#/quiz/99'), ready), { name: 'quiz', param: 40, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/quiz/x'), ready), { name: 'quiz', param: 5, query: {} });
+  assert.deepEqual(guardRoute(parseHash('#/insights?tab=map'), { ...ready, finished: true }), { name: 'insights', param: null, query: {} });
+});
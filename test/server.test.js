@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { hashSecret } from '../lib/access.js';
+import { createApiServer } from '../tools/server.js';
+
+const result = (id, extra = {}) => ({
+  id,
+  timestamp: 1700000000000,
+  name: 'Ada',
+  dob: '1990-01-01',
+  professionKey: 'medico',
+  education: 'degree',
+  length: 'short',
+  normalized: { x: 0.5, y: 0, z: -0.5 },
+  uploaded: false,
+  ...extra
+});
+
+const review = (id, name, ip) => ({ id, name, ip, message: 'Bello', date: '2024-01-02T00:00:00.000Z' });
+
+/** Runs `body(base, dataDir)` against a server on a free port, with its own data and app directories */
+async function withServer(body, options = {}) {
+  const root = await mkdtemp(join(tmpdir(), 'sfera-server-'));
+  const dataDir = join(root, 'data');
+  await writeFile(join(root, 'index.html'), '<!doctype html>');
+  const server = createApiServer({ dataDir, root, ...options });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await body(`http://127.0.0.1:${server.address().port}`, dataDir);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(root, { recursive: true, force: true });
+  }
+}
+
+const post = (url, data) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof data === 'string' ? data : JSON.stringify(data)
+});
+
+test('results are stored once and never sent back', async () => {
+  await withServer(async (base, dataDir) => {
+    assert.equal((await post(`${base}/api/results`, result('a'))).status, 201);
+    assert.equal((await post(`${base}/api/results`, result('a'))).status, 200);
+    assert.equal((await post(`${base}/api/results`, { id: 'b' })).status, 400);
+    assert.equal((await post(`${base}/api/results`, '{')).status, 400);
+    assert.equal((await fetch(`${base}/api/results`)).status, 404);
+    const [saved] = JSON.parse(await readFile(join(dataDir, 'results.json'), 'utf8'));
+    assert.equal(saved.name, 'Ada');
+    assert.equal(saved.uploaded, undefined);
+  });
+});
+
+test('results with a profession key the app would not make are refused', async () => {
+  await withServer(async (base, dataDir) => {
+    assert.equal((await post(`${base}/api/results`, result('a', { professionKey: '"><img src=x onerror=alert(1)>' }))).status, 400);
+    assert.equal((await post(`${base}/api/results`, result('b', { professionKey: 'Medico' }))).status, 400);
+    assert.equal((await post(`${base}/api/results`, result('c', { professionKey: 'x'.repeat(61) }))).status, 400);
+    assert.equal((await post(`${base}/api/results`, result('d', { professionKey: 'medico di base' }))).status, 201);
+    const saved = JSON.parse(await readFile(join(dataDir, 'results.json'), 'utf8'));
+    assert.deepEqual(saved.map(({ id }) => id), ['d']);
+  });
+});
+
+test('a second review from the same person is refused', async () => {
+  await withServer(async (base) => {
+    assert.equal((await post(`${base}/api/reviews`, review('r1', 'Ada', '1.2.3.4'))).status, 201);
+    assert.equal((await post(`${base}/api/reviews`, review('r2', 'ada', '5.6.7.8'))).status, 409);
+    assert.equal((await post(`${base}/api/reviews`, review('r3', 'Bob', '1.2.3.4'))).status, 409);
+    assert.equal((await post(`${base}/api/reviews`, review('r1', 'Ada', '1.2.3.4'))).status, 200);
+    const listed = await (await fetch(`${base}/api/reviews`)).json();
+    assert.deepEqual(listed.map(({ id, ip }) => [id, ip]), [['r1', undefined]]);
+  });
+});
+
+test('aggregates compare the results of every participant', async () => {
+  await withServer(async (base) => {
+    await post(`${base}/api/results`, result('a', { quadrant: 3 }));
+    await post(`${base}/api/results`, result('b', { normalized: { x: -0.5, y: 1, z: 0 }, professionKey: 'insegnante', quadrant: 3 }));
+    const averages = await (await fetch(`${base}/api/aggregates?length=short&profession=medico`)).json();
+    assert.equal(averages.count, 2);
+    assert.deepEqual(averages.global, { count: 2, x: 0, y: 0.5, z: -0.25, sd: { x: 0.5, y: 0.5, z: 0.25 }, quadrants: { 3: 2 } });
+    assert.equal(averages.profession.count, 1);
+    assert.deepEqual(averages.groups.ageBand.map(({ key }) => key), ['25-34']);
+    assert.equal(averages.groups.language[0].key, 'unspecified');
+    assert.equal((await fetch(`${base}/api/aggregates?length=huge`)).status, 400);
+  }, { minCellSize: 1 });
+});
+
+test('aggregates withhold groups smaller than the minimum cell size', async () => {
+  await withServer(async (base) => {
+    await post(`${base}/api/results`, result('a'));
+    await post(`${base}/api/results`, result('b'));
+    await post(`${base}/api/results`, result('c', { professionKey: 'insegnante' }));
+    await post(`${base}/api/results`, result('d', { professionKey: 'avvocato' }));
+    await post(`${base}/api/results`, result('e', { professionKey: 'avvocato' }));
+    const averages = await (await fetch(`${base}/api/aggregates?profession=insegnante`)).json();
+    assert.equal(averages.minCellSize, 2);
+    assert.equal(averages.global.count, 5);
+    assert.equal(averages.profession, null);
+    assert.deepEqual(averages.suppressed, ['profession', 'combination']);
+    assert.deepEqual(averages.professions.map(({ key }) => key), ['medico', 'avvocato']);
+    assert.deepEqual(averages.groups.profession.map(({ key, count }) => [key, count]), [['medico', 2], ['avvocato', 2]]);
+    assert.equal(JSON.stringify(averages).includes('Ada'), false);
+  }, { minCellSize: 2 });
+});
+
+test('the app is served but the data directory is not', async () => {
+  await withServer(async (base) => {
+    await post(`${base}/api/results`, result('a'));
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.equal((await fetch(`${base}/data/results.json`)).status, 404);
+    assert.equal((await fetch(`${base}/..%2F..%2Fetc%2Fpasswd`)).status, 404);
+    assert.equal((await fetch(`${base}/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${base}/api/nothing`)).status, 404);
+  });
+});
+
+test('one-time tokens of the access gate are accepted once', async () => {
+  await withServer(async (base, dataDir) => {
+    const redeem = (token) => post(`${base}/api/access/redeem`, { token });
+    assert.equal((await redeem('k7m2')).status, 404);
+    const hash = (secret) => hashSecret(secret, 'test-salt', 10);
+    const config = { mode: 'token', salt: 'test-salt', iterations: 10, tokens: [{ hash: await hash('k7m2'), cohort: '3a' }] };
+    await writeFile(join(dirname(dataDir), 'access.json'), JSON.stringify(config));
+    const first = await redeem('K7M2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), { cohort: '3a' });
+    assert.equal((await redeem('k7m2')).status, 409);
+    assert.equal((await redeem('nope')).status, 403);
+  });
+});
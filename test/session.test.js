@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SESSION_VERSION, answeredCount, createSnapshot, questionSetFingerprint, readSnapshot } from '../lib/session.js';
+
+const questions = [
+  { id: 'std-01', title: 'Prima', weights: { economia: 1, dirittocivilismo: 0, establishment: 0 } },
+  { id: 'std-02', title: 'Seconda', weights: { economia: 0, dirittocivilismo: -1, establishment: 0.5 } },
+  { id: 'std-03', title: 'Terza', weights: { economia: 0, dirittocivilismo: 0, establishment: 1 } }
+];
+
+const state = {
+  language: 'en',
+  name: 'Ada',
+  profession: 'Engineer',
+  education: 'phd',
+  area: 'architecture',
+  dob: '1990-01-01',
+  idx: 2,
+  length: 'short',
+  mode: 'linear',
+  ordering: 'random',
+  seed: 42,
+  order: [2, 0, 1],
+  questions,
+  answers: [1, undefined, -0.5],
+  importance: [2, undefined, undefined]
+};
+
+test('the fingerprint changes with texts, weights, scales and order', () => {
+  const fingerprint = questionSetFingerprint(questions);
+  assert.equal(fingerprint, questionSetFingerprint(questions.map((q) => ({ ...q }))));
+  assert.notEqual(fingerprint, questionSetFingerprint([{ ...questions[0], title: 'Altra' }, ...questions.slice(1)]));
+  assert.notEqual(fingerprint, questionSetFingerprint([{ ...questions[0], weights: { economia: 0.5 } }, ...questions.slice(1)]));
+  assert.notEqual(fingerprint, questionSetFingerprint([{ ...questions[0], scale: 'likert7' }, ...questions.slice(1)]));
+  assert.notEqual(fingerprint, questionSetFingerprint([...questions].reverse()));
+  assert.notEqual(fingerprint, questionSetFingerprint(questions.slice(0, 2)));
+});
+
+test('a snapshot survives a JSON round trip', () => {
+  const snapshot = createSnapshot(state, 'abc', 1700000000000);
+  assert.deepEqual(snapshot, {
+    version: SESSION_VERSION,
+    savedAt: 1700000000000,
+    fingerprint: 'abc',
+    language: 'en',
+    name: 'Ada',
+    profession: 'Engineer',
+    education: 'phd',
+    area: 'architecture',
+    dob: '1990-01-01',
+    length: 'short',
+    mode: 'linear',
+    ordering: 'random',
+    idx: 2,
+    total: 3,
+    answers: [1, null, -0.5],
+    importance: [2, null, null],
+    order: [2, 0, 1],
+    seed: 42
+  });
+  assert.deepEqual(readSnapshot(JSON.stringify(snapshot)), snapshot);
+  assert.equal(answeredCount(snapshot), 2);
+});
+
+test('readSnapshot rejects other question sets and damaged data', () => {
+  const snapshot = createSnapshot(state, 'abc');
+  assert.deepEqual(readSnapshot(snapshot, { fingerprint: 'abc' }), snapshot);
+  assert.equal(readSnapshot(snapshot, { fingerprint: 'def' }), null);
+  assert.equal(readSnapshot('{not json'), null);
+  assert.equal(readSnapshot(null), null);
+  assert.equal(readSnapshot({ ...snapshot, version: SESSION_VERSION + 1 }), null);
+  assert.equal(readSnapshot({ ...snapshot, name: '' }), null);
+  assert.equal(readSnapshot({ ...snapshot, idx: -1 }), null);
+  assert.equal(readSnapshot({ ...snapshot, answers: [1, 'x'] }), null);
+  assert.equal(readSnapshot({ ...snapshot, order: [0, -1] }), null);
+  assert.equal(readSnapshot({ ...snapshot, importance: [0, null] }), null);
+  assert.equal(readSnapshot({ ...snapshot, seed: 1.5 }), null);
+});
+
+test('readSnapshot rejects answers the question scales cannot produce', () => {
+  const snapshot = createSnapshot(state, 'abc');
+  assert.deepEqual(readSnapshot(snapshot, { questions }), snapshot);
+  assert.equal(readSnapshot({ ...snapshot, answers: [1, null, 0.3] }, { questions }), null);
+  assert.equal(readSnapshot({ ...snapshot, answers: [7, null, null] }, { questions }), null);
+  assert.equal(readSnapshot({ ...snapshot, answers: [1, null, 0.3] }, { questions: questions.map((question) => ({ ...question, scale: 'slider' })) }).answers[2], 0.3);
+});
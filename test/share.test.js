@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IMPORTANCE_LEVELS, RESPONSE_SCALES } from '../lib/engine.js';
+import { SHARE_VERSION, decodeShare, encodeShare } from '../lib/share.js';
+
+const fingerprint = '6-0badc0de';
+const answers = [1, 2 / 3, undefined, -0.5, 0.3, 0];
+
+test('a shared result decodes to the same answers', () => {
+  const code = encodeShare({ language: 'fr', length: 'short', fingerprint, answers });
+  assert.match(code, new RegExp(`^${SHARE_VERSION}\\.fr\\.0\\.${fingerprint}\\.[\\w-]{6}$`));
+  const shared = decodeShare(code);
+  assert.equal(shared.language, 'fr');
+  assert.equal(shared.length, 'short');
+  assert.equal(shared.fingerprint, fingerprint);
+  assert.equal(shared.asked, null);
+  assert.equal(shared.answers.length, answers.length);
+  shared.answers.forEach((value, idx) => {
+    if (answers[idx] === undefined) assert.equal(value, undefined);
+    else assert.ok(Math.abs(value - answers[idx]) < 1e-12, `answer ${idx}`);
+  });
+  assert.deepEqual(shared.importance, Array(answers.length).fill(undefined));
+});
+
+test('every value of every response scale survives the encoding', () => {
+  const values = Object.values(RESPONSE_SCALES).flatMap((scale) => (
+    scale.type === 'slider' ? Array.from({ length: 21 }, (_, idx) => -1 + idx / 10) : scale.options.map(({ value }) => value)
+  ));
+  const shared = decodeShare(encodeShare({ language: 'it', length: 'standard', fingerprint: `${values.length}-00000000`, answers: values }));
+  shared.answers.forEach((value, idx) => assert.ok(Math.abs(value - values[idx]) < 1e-12, `value ${values[idx]}`));
+});
+
+test('importance and questions never asked are kept', () => {
+  const code = encodeShare({
+    language: 'en',
+    length: 'standard',
+    fingerprint,
+    answers,
+    importance: [IMPORTANCE_LEVELS.high, undefined, undefined, IMPORTANCE_LEVELS.low],
+    asked: [0, 1, 3, 4, 5]
+  });
+  const shared = decodeShare(code);
+  assert.deepEqual(shared.importance, [2, undefined, undefined, 0.5, undefined, undefined]);
+  assert.deepEqual(shared.asked, [0, 1, 3, 4, 5]);
+  // Asked but skipped is not the same as never asked
+  assert.deepEqual(decodeShare(encodeShare({ language: 'en', length: 'standard', fingerprint, answers, asked: [0, 1, 2, 3, 4, 5] })).asked, null);
+});
+
+test('damaged links and other encoding versions are rejected', () => {
+  const code = encodeShare({ language: 'en', length: 'extended', fingerprint, answers });
+  const parts = code.split('.');
+  assert.ok(decodeShare(code));
+  assert.equal(decodeShare(''), null);
+  assert.equal(decodeShare(null), null);
+  assert.equal(decodeShare([SHARE_VERSION + 1, ...parts.slice(1)].join('.')), null);
+  assert.equal(decodeShare(parts.slice(0, 4).join('.')), null);
+  assert.equal(decodeShare([...parts.slice(0, 4), parts[4].slice(1)].join('.')), null);
+  assert.equal(decodeShare([...parts.slice(0, 4), `${parts[4].slice(1)}!`].join('.')), null);
+  assert.equal(decodeShare([...parts.slice(0, 2), '7', ...parts.slice(3)].join('.')), null);
+  assert.equal(decodeShare([...parts, '12'].join('.')), null);
+});
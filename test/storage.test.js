@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCHEMA_VERSION,
+  createStore,
+  localStorageBackend,
+  memoryBackend,
+  migrateRecord,
+  moveCollections,
+  openStore
+} from '../lib/storage.js';
+
+/** Minimal window.localStorage, optionally with a quota in characters */
+class FakeStorage {
+  constructor(items = {}, quota = Infinity) {
+    this.items = new Map(Object.entries(items));
+    this.quota = quota;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    if (String(value).length > this.quota) throw new Error('QuotaExceededError');
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+const legacyResult = { id: '1-a', timestamp: 1, name: 'Ada', normalized: { x: 2, y: 0, z: 0 } };
+const legacyReview = { name: 'Ada', ip: '1.2.3.4', message: 'Bello', date: '2024-01-02T00:00:00.000Z' };
+
+test('unversioned records are migrated to the current schema', () => {
+  const result = migrateRecord('results', legacyResult);
+  assert.equal(result.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(result.normalized, { x: 1, y: 0, z: 0 });
+  assert.equal(result.length, 'standard');
+  assert.equal(result.mode, 'linear');
+  const review = migrateRecord('reviews', legacyReview, 4);
+  assert.equal(review.id, `${Date.parse(legacyReview.date)}-4`);
+  assert.deepEqual(migrateRecord('results', result), result);
+  assert.equal(migrateRecord('results', { ...result, normalized: null }), null);
+  assert.equal(migrateRecord('reviews', { ...review, id: '' }), null);
+  assert.equal(migrateRecord('results', { ...legacyResult, timestamp: 'x' }), null);
+  assert.equal(migrateRecord('results', { ...result, schemaVersion: SCHEMA_VERSION + 1 }), null);
+  assert.equal(migrateRecord('reviews', { ...legacyReview, message: 3 }), null);
+});
+
+test('old localStorage data is upgraded in place and unreadable records are set aside', async () => {
+  const storage = new FakeStorage({
+    results: JSON.stringify([legacyResult, { id: 'broken' }]),
+    reviews: JSON.stringify([legacyReview])
+  });
+  const recovered = [];
+  const store = createStore(localStorageBackend(storage), { onRecover: (event) => recovered.push(event) });
+  const results = await store.list('results');
+  assert.deepEqual(results.map(({ id }) => id), ['1-a']);
+  assert.equal(JSON.parse(storage.getItem('results'))[0].schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(recovered, [{ collection: 'results', reason: 'invalid', count: 1 }]);
+  const [aside] = await store.list('quarantine');
+  assert.deepEqual(aside.data, { id: 'broken' });
+  assert.equal(aside.collection, 'results');
+  assert.equal((await store.list('reviews'))[0].message, 'Bello');
+});
+
+test('a corrupt value no longer breaks reading and is kept in quarantine', async () => {
+  const storage = new FakeStorage({ reviews: '[{"name": "Ada", "mess' });
+  const store = createStore(localStorageBackend(storage));
+  assert.deepEqual(await store.list('reviews'), []);
+  const [aside] = await store.list('quarantine');
+  assert.equal(aside.reason, 'unreadable');
+  assert.equal(aside.data, '[{"name": "Ada", "mess');
+  await store.add('reviews', { ...legacyReview, id: 'r1' });
+  assert.deepEqual((await store.list('reviews')).map(({ id }) => id), ['r1']);
+});
+
+test('a full quota rejects the write without losing what was saved', async () => {
+  const storage = new FakeStorage({}, 400);
+  const store = createStore(localStorageBackend(storage));
+  await store.add('results', { ...legacyResult, id: 'a' });
+  await assert.rejects(store.add('results', { ...legacyResult, id: 'b', name: 'x'.repeat(400) }), /Quota/);
+  assert.deepEqual((await store.list('results')).map(({ id }) => id), ['a']);
+});
+
+test('records are listed oldest first and replace overwrites the collection', async () => {
+  const store = createStore(memoryBackend());
+  await store.add('results', { ...legacyResult, id: 'late', timestamp: 5 });
+  await store.add('results', { ...legacyResult, id: 'early', timestamp: 2 });
+  assert.deepEqual((await store.list('results')).map(({ id }) => id), ['early', 'late']);
+  await store.replace('results', [{ ...legacyResult, id: 'only' }]);
+  assert.deepEqual((await store.list('results')).map(({ id }) => id), ['only']);
+});
+
+test('collections move to another store without duplicates', async () => {
+  const storage = new FakeStorage({ results: JSON.stringify([legacyResult, { ...legacyResult, id: '2-b', timestamp: 2 }]) });
+  const legacy = createStore(localStorageBackend(storage));
+  const target = createStore(memoryBackend());
+  await target.add('results', migrateRecord('results', legacyResult));
+  await moveCollections(legacy, target);
+  assert.deepEqual((await target.list('results')).map(({ id }) => id), ['1-a', '2-b']);
+  assert.equal(storage.getItem('results'), null);
+});
+
+test('without IndexedDB the store falls back to localStorage, then memory', async () => {
+  const fallbacks = [];
+  const storage = new FakeStorage({ results: JSON.stringify([legacyResult]) });
+  const local = await openStore({ localStorage: storage, onFallback: (err) => fallbacks.push(err.message) });
+  assert.equal(local.backend, 'localstorage');
+  assert.equal((await local.list('results')).length, 1);
+  assert.deepEqual(fallbacks, ['IndexedDB is not available']);
+  assert.equal((await openStore()).backend, 'memory');
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateSchema } from '../tools/json-schema.js';
+import { checkQuadrantTexts, checkTiling, schemaKindFor, validateData, validateFile } from '../tools/validate-data.js';
+import { createRegionModel } from '../lib/engine.js';
+
+const ROOT = new URL('../', import.meta.url);
+const readJson = (name) => JSON.parse(readFileSync(new URL(name, ROOT), 'utf8'));
+
+const messages = (result) => result.errors.map(({ path, message }) => `${path}: ${message}`);
+
+test('the shipped data files are valid', () => {
+  ['questions.json', 'questions_it.json', 'questions_en.json', 'questions_es.json', 'questions_fr.json', 'questions_de.json', 'quadrants.json', 'quadrants_en.json', 'quadrants_es.json', 'quadrants_fr.json', 'quadrants_de.json', 'weights.json', 'access.json'].forEach((name) => {
+    const result = validateFile(new URL(name, ROOT).pathname);
+    assert.deepEqual(messages(result), [], name);
+  });
+});
+
+test('schemaKindFor picks the schema from the file name', () => {
+  assert.equal(schemaKindFor('/data/quadrants.json'), 'quadrants');
+  assert.equal(schemaKindFor('quadrants_en.json'), 'quadrantTexts');
+  assert.equal(schemaKindFor('weights.json'), 'weights');
+  assert.equal(schemaKindFor('questions_en.json'), 'questions');
+});
+
+test('misspelled axis keys are reported as unknown keys', () => {
+  const result = validateData('questions', [{ title: 'q', weights: { economia: 1, dirittocivilsmo: 0.5 } }]);
+  assert.deepEqual(messages(result), ['/0/weights: unknown key "dirittocivilsmo"']);
+});
+
+test('questions need a title and an id, weights or the legacy component', () => {
+  const result = validateData('questions', [{ title: '' }, { title: 'ok', component: 'autoritarismo' }, { title: 'x', weights: { economia: 2 } }]);
+  assert.deepEqual(messages(result), [
+    '/0/title: must not be empty',
+    '/0: must match one of: id, weights, component',
+    '/2/weights/economia: must be <= 1'
+  ]);
+});
+
+test('duplicate question ids are errors', () => {
+  const result = validateData('questions', [{ id: 'std-01', title: 'a' }, { id: 'std-01', title: 'b' }, { id: 'Std 2', title: 'c' }]);
+  assert.deepEqual(messages(result), [
+    '/2/id: does not match ^[a-z0-9][a-z0-9-]*$',
+    '/1/id: duplicate id "std-01" (also question 0)'
+  ]);
+});
+
+test('question files may declare a response scale for the set or per question', () => {
+  const valid = validateData('questions', { scale: 'likert7', questions: [{ id: 'std-01', title: 'a' }, { id: 'std-02', title: 'b', scale: 'slider' }] });
+  assert.deepEqual(messages(valid), []);
+  const invalid = validateData('questions', { scale: 'likert4', questions: [{ id: 'std-01', title: 'a' }, { id: 'std-01', title: 'b', scale: 'stars' }] });
+  assert.deepEqual(messages(invalid), [
+    '/scale: must be one of "likert3", "likert5", "likert7", "slider"',
+    '/questions/1/scale: must be one of "likert3", "likert5", "likert7", "slider"',
+    '/questions/1/id: duplicate id "std-01" (also question 0)'
+  ]);
+});
+
+test('the weight table requires all three axes for every id', () => {
+  const result = validateData('weights', { 'std-01': { economia: 1, dirittocivilismo: 0 }, 'Bad Id': { economia: 0, dirittocivilismo: 0, establishment: 0 } });
+  assert.deepEqual(messages(result), [
+    ': key "Bad Id" does not match ^[a-z0-9][a-z0-9-]*$',
+    '/std-01: missing required key "establishment"'
+  ]);
+});
+
+test('the weight table may declare its weight mode', () => {
+  const weights = { 'std-01': { economia: 0.8, dirittocivilismo: 0, establishment: 0.3 } };
+  assert.deepEqual(messages(validateData('weights', { weightMode: 'raw', weights })), []);
+  assert.deepEqual(messages(validateData('weights', { weightMode: 'scaled', weights })), [
+    '/weightMode: must be one of "normalized", "raw"'
+  ]);
+  assert.deepEqual(messages(validateData('questions', { weightMode: 'raw', questions: [{ title: 'a', weights: { economia: 0.5 } }] })), []);
+});
+
+test('weightless and duplicate questions are warnings, not errors', () => {
+  const result = validateData('questions', [
+    { title: 'Uguale', weights: { economia: 0, dirittocivilismo: 0, establishment: 0 } },
+    { title: 'uguale ', weights: { economia: 1 } }
+  ]);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.warnings.length, 2);
+});
+
+test('region entries are checked for unknown keys and malformed bounds', () => {
+  const data = readJson('quadrants.json');
+  data.regions[0].colour = '#ffffff';
+  data.regions[1].bounds.x = [-1];
+  const result = validateData('quadrants', data);
+  assert.ok(messages(result).includes('/regions/0: unknown key "colour"'));
+  assert.ok(messages(result).includes('/regions/1/bounds/x: must have at least 2 items'));
+});
+
+test('checkTiling reports gaps and overlaps in the cartesian cube', () => {
+  const model = createRegionModel([
+    { id: 'A', bounds: { x: [-1, 0.2] } },
+    { id: 'B', bounds: { x: [0, 0.8] } }
+  ]);
+  assert.deepEqual(messages(checkTiling(model)), [
+    '/regions: gap: no region covers x [0.8, 1], y [-1, 1], z [-1, 1]',
+    '/regions: overlap: "A" and "B" both cover x [0, 0.2], y [-1, 1], z [-1, 1]'
+  ]);
+});
+
+test('checkTiling validates spherical models on the φ/θ domain', () => {
+  const tiled = createRegionModel({
+    model: 'spherical',
+    regions: [
+      { id: 'N', bounds: { theta: [0, 90] } },
+      { id: 'S', bounds: { theta: [90, 180], phi: [0, 360] } }
+    ]
+  });
+  assert.deepEqual(checkTiling(tiled).errors, []);
+  const wrong = createRegionModel({ model: 'spherical', regions: [{ id: 'N', bounds: { theta: [0, 200], x: [-1, 1] } }] });
+  assert.deepEqual(messages(checkTiling(wrong)), [
+    '/regions/0/bounds/x: "N" uses "x", which the spherical model ignores',
+    '/regions/0/bounds/theta: "N" theta [0, 200] exceeds the domain [0, 180]'
+  ]);
+});
+
+test('validateSchema resolves local references', () => {
+  const schema = { type: 'array', items: { $ref: '#/$defs/n' }, $defs: { n: { type: 'integer' } } };
+  assert.deepEqual(validateSchema(schema, [1, 2.5]), [{ path: '/1', message: 'expected integer, got number' }]);
+});
+
+test('quadrant translations must name regions of quadrants.json', () => {
+  const regionModel = createRegionModel([{ id: 'A', name: 'A', content: 'A', bounds: { x: [-1, 1] } }]);
+  const result = checkQuadrantTexts({ A: { name: 'A' }, Z: { name: 'Z' } }, regionModel);
+  assert.deepEqual(messages(result), ['/Z: unknown region id "Z" (not in quadrants.json)']);
+  assert.deepEqual(messages(validateData('quadrantTexts', { 'Q1-S1': { title: 'A' } })), ['/Q1-S1: unknown key "title"']);
+});
+
+test('access.json must carry the hashes its mode needs', () => {
+  assert.equal(schemaKindFor('access.json'), 'access');
+  assert.deepEqual(messages(validateData('access', { mode: 'disabled' })), []);
+  assert.deepEqual(messages(validateData('access', { mode: 'cohort', salt: 's' })), [': cohorts must list at least one cohort']);
+  assert.deepEqual(messages(validateData('access', { mode: 'passphrase', salt: 's', passphrase: 'mellon', passphraseHash: 'e81b' })), [
+    ': unknown key "passphrase"',
+    '/passphraseHash: does not match ^[0-9a-f]{64}$',
+    ': passphraseHash is not a 64-digit hex hash'
+  ]);
+});
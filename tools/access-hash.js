@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Access gate hashes
+ *
+ * Computes the hashes access.json stores instead of the passphrase, the
+ * invite codes or the one-time tokens (see lib/access.js), with the salt
+ * and iterations of access.json.  Prints one line per secret: the secret,
+ * a tab and its hash.
+ *
+ * Usage:
+ *
+ *   node tools/access-hash.js "a long shared passphrase"   # salt of access.json
+ *   node tools/access-hash.js --salt 3f9c... code-3a code-3b
+ *   node tools/access-hash.js --generate 30                # 30 new random tokens
+ *   node tools/access-hash.js --new-salt                   # a random salt
+ *
+ * Changing the salt or the iterations invalidates every hash computed
+ * before, so compute them again after changing either.
+ */
+import { randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { ACCESS_DEFAULTS, hashSecret } from '../lib/access.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_CONFIG = join(ROOT, 'access.json');
+
+// Without 0/o and 1/l/i, so tokens can be read out or copied by hand
+const TOKEN_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const TOKEN_LENGTH = 10;
+
+/** A random token of TOKEN_LENGTH characters of TOKEN_ALPHABET */
+export function generateToken(bytes = randomBytes(TOKEN_LENGTH)) {
+  return [...bytes].map((byte) => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]).join('');
+}
+
+/** Resolves to `[secret, hash]` pairs */
+export async function hashSecrets(secrets, { salt, iterations = ACCESS_DEFAULTS.iterations }) {
+  return Promise.all(secrets.map(async (secret) => [secret, await hashSecret(secret, salt, iterations)]));
+}
+
+function parseArgs(args) {
+  const options = { config: DEFAULT_CONFIG, salt: null, iterations: null, generate: 0, newSalt: false, secrets: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config') {
+      options.config = resolve(args[++i] || '');
+    } else if (args[i].startsWith('--config=')) {
+      options.config = resolve(args[i].slice('--config='.length));
+    } else if (args[i] === '--salt') {
+      options.salt = args[++i] || '';
+    } else if (args[i].startsWith('--salt=')) {
+      options.salt = args[i].slice('--salt='.length);
+    } else if (args[i] === '--iterations') {
+      options.iterations = Number(args[++i]);
+    } else if (args[i].startsWith('--iterations=')) {
+      options.iterations = Number(args[i].slice('--iterations='.length));
+    } else if (args[i] === '--generate') {
+      options.generate = Number(args[++i]);
+    } else if (args[i].startsWith('--generate=')) {
+      options.generate = Number(args[i].slice('--generate='.length));
+    } else if (args[i] === '--new-salt') {
+      options.newSalt = true;
+    } else {
+      options.secrets.push(args[i]);
+    }
+  }
+  return options;
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  if (options.newSalt) {
+    console.log(randomBytes(16).toString('hex'));
+    return 0;
+  }
+  let { salt, iterations } = options;
+  if (salt === null || iterations === null) {
+    let config = {};
+    try {
+      config = JSON.parse(readFileSync(options.config, 'utf8'));
+    } catch (err) {
+      if (salt === null) {
+        console.error(`Cannot read the salt from ${options.config}: ${err.message}`);
+        return 2;
+      }
+    }
+    salt = salt ?? config.salt;
+    iterations = iterations ?? config.iterations ?? ACCESS_DEFAULTS.iterations;
+  }
+  const count = Number.isInteger(options.generate) && options.generate > 0 ? options.generate : 0;
+  const secrets = [...options.secrets, ...Array.from({ length: count }, () => generateToken())];
+  if (!salt || !secrets.length || !Number.isInteger(iterations) || iterations < 1 || !Number.isInteger(options.generate) || options.generate < 0) {
+    console.error('Usage: node tools/access-hash.js [--config access.json] [--salt s] [--iterations 100000] [--generate n] [secret...]');
+    console.error('       node tools/access-hash.js --new-salt');
+    return 2;
+  }
+  (await hashSecrets(secrets, { salt, iterations })).forEach(([secret, hash]) => console.log(`${secret}\t${hash}`));
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
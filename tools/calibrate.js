@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Question calibration report
+ *
+ * Checks the declared weights of each question against the saved results.
+ * For every question and axis it computes the correlation between the
+ * answers to the question and the respondents' score on the axis, where
+ * the score leaves the question itself out (its "rest score"), so a
+ * question does not correlate with an axis only because it is part of it.
+ * It reports, per question:
+ *
+ *   - axes whose correlation has the opposite sign of the declared weight,
+ *     typically a reverse-keyed statement weighted as if it were not;
+ *   - axes the question is not weighted on (or barely) but correlates
+ *     strongly with (warning only);
+ *   - questions answered by too few results to tell (warning only).
+ *
+ * The history is a JSON export of the saved results, downloaded from the
+ * "saved results" page of the app (a plain array of results, as copied
+ * from localStorage, works too).  Answers are matched to the question file
+ * by question id.
+ *
+ * Usage:
+ *
+ *   node tools/calibrate.js results.json                       # against questions_en.json
+ *   node tools/calibrate.js --questions questions_it.json results.json
+ *   node tools/calibrate.js --min-responses 50 results.json
+ *
+ * Exits with status 1 when a question contradicts its weights.
+ */
+import { readFileSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+  AXES,
+  AXIS_COORDINATES,
+  applyWeightTable,
+  computeAnsweredTotals,
+  computeRawScores,
+  importanceFactor,
+  isAnswered,
+  normalizeQuestionEntry,
+  questionList
+} from '../lib/engine.js';
+import { historyRecords } from '../lib/history.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_QUESTIONS = join(ROOT, 'questions_en.json');
+
+export const CALIBRATION_DEFAULTS = {
+  minResponses: 20,       // results that must answer a question before it is judged
+  minWeight: 0.2,         // a smaller |weight| counts as "not weighted on the axis"
+  minCorrelation: 0.2,    // |correlation| below this is treated as noise
+  strongCorrelation: 0.5  // |correlation| that an unweighted axis must not reach
+};
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+/** Pearson correlation of two equally long samples, or null when either is constant */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2 || ys.length !== n) return null;
+  const meanX = xs.reduce((acc, value) => acc + value, 0) / n;
+  const meanY = ys.reduce((acc, value) => acc + value, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+  if (varianceX < 1e-12 || varianceY < 1e-12) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Aligns saved result records with a question set: `[{ answers,
+ * importance }]`, arrays indexed like `questions`.  Records that answered
+ * none of the questions are left out.
+ */
+export function historyAnswers(records, questions) {
+  const ids = questions.map((question, idx) => (question && question.id !== undefined ? String(question.id) : String(idx + 1)));
+  return (Array.isArray(records) ? records : []).reduce((acc, record) => {
+    const byId = record && record.answers && typeof record.answers === 'object' ? record.answers : {};
+    const importanceById = record && record.importance && typeof record.importance === 'object' ? record.importance : {};
+    const answers = ids.map((id) => (isAnswered(byId[id]) ? Number(byId[id]) : undefined));
+    if (!answers.some(isAnswered)) return acc;
+    acc.push({ answers, importance: ids.map((id) => importanceById[id]) });
+    return acc;
+  }, []);
+}
+
+/**
+ * Calibrates every question of a normalized question set against aligned
+ * history entries (see historyAnswers()).  Returns, per question, `{ id,
+ * responses, axes: { axis: { weight, correlation } }, reversed, unexpected }`,
+ * where reversed and unexpected list the axes flagged as described in the
+ * header; `insufficient` is set when too few results answered it.
+ */
+export function calibrateQuestions(questions, entries, options = {}) {
+  const settings = { ...CALIBRATION_DEFAULTS, ...options };
+  // Each result's totals, from which one question at a time is taken out
+  const scored = entries.map(({ answers, importance }) => ({
+    answers,
+    importance,
+    raw: computeRawScores(questions, answers, importance),
+    totals: computeAnsweredTotals(questions, answers, importance)
+  }));
+  return questions.map((question, idx) => {
+    const id = question.id !== undefined ? String(question.id) : String(idx + 1);
+    const answering = scored.filter(({ answers }) => isAnswered(answers[idx]));
+    const report = { id, responses: answering.length, axes: {}, reversed: [], unexpected: [], insufficient: answering.length < settings.minResponses };
+    AXES.forEach((axis) => {
+      const weight = Number(question.weights[axis]) || 0;
+      const values = [];
+      const rest = [];
+      answering.forEach(({ answers, importance, raw, totals }) => {
+        const factor = importanceFactor(importance[idx]);
+        const restWeight = totals[axis] - Math.abs(weight) * factor;
+        if (restWeight <= 1e-12) return;
+        values.push(answers[idx]);
+        rest.push((raw[AXIS_COORDINATES[axis]] - weight * answers[idx] * factor) / restWeight);
+      });
+      const correlation = pearson(values, rest);
+      report.axes[axis] = { weight, correlation };
+      if (report.insufficient || correlation === null || Math.abs(correlation) < settings.minCorrelation) return;
+      if (Math.abs(weight) >= settings.minWeight) {
+        if (Math.sign(correlation) !== Math.sign(weight)) report.reversed.push(axis);
+      } else if (Math.abs(correlation) >= settings.strongCorrelation) {
+        report.unexpected.push(axis);
+      }
+    });
+    return report;
+  });
+}
+
+/** Number of problems that should fail the check */
+export function countErrors(reports) {
+  return reports.reduce((acc, report) => acc + report.reversed.length, 0);
+}
+
+const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+function printReport(report) {
+  console.log(`${report.reversed.length ? '✖' : '✔'} ${report.id}  n=${report.responses}  ${AXES.map((axis) => {
+    const { weight, correlation } = report.axes[axis];
+    return `${axis} ${correlation === null ? '–' : signed(correlation)} (${signed(weight)})`;
+  }).join('  ')}`);
+  if (report.insufficient) console.log(`  warning only ${report.responses} result(s) answered it, not judged`);
+  report.reversed.forEach((axis) => {
+    const { weight, correlation } = report.axes[axis];
+    console.log(`  error   ${axis} correlates ${signed(correlation)} but is weighted ${signed(weight)}: reverse-keyed?`);
+  });
+  report.unexpected.forEach((axis) => {
+    const { weight, correlation } = report.axes[axis];
+    console.log(`  warning ${axis} correlates ${signed(correlation)} but is weighted ${signed(weight)}`);
+  });
+  return report.reversed.length;
+}
+
+function parseArgs(args) {
+  const options = { questions: DEFAULT_QUESTIONS, minResponses: CALIBRATION_DEFAULTS.minResponses, files: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--questions') {
+      options.questions = resolve(args[++i] || '');
+    } else if (args[i].startsWith('--questions=')) {
+      options.questions = resolve(args[i].slice('--questions='.length));
+    } else if (args[i] === '--min-responses') {
+      options.minResponses = Number(args[++i]);
+    } else if (args[i].startsWith('--min-responses=')) {
+      options.minResponses = Number(args[i].slice('--min-responses='.length));
+    } else {
+      options.files.push(resolve(args[i]));
+    }
+  }
+  return options;
+}
+
+function main(args) {
+  const { questions: questionFile, minResponses, files } = parseArgs(args);
+  if (!files.length || !Number.isInteger(minResponses) || minResponses < 2) {
+    console.error('Usage: node tools/calibrate.js [--questions questions_en.json] [--min-responses 20] results.json...');
+    return 2;
+  }
+  const display = (file) => relative(process.cwd(), file) || basename(file);
+  const questions = applyWeightTable(questionList(readJson(questionFile)), readJson(join(ROOT, 'weights.json')))
+    .map(normalizeQuestionEntry);
+  const records = files.flatMap((file) => historyRecords(readJson(file)));
+  const entries = historyAnswers(records, questions);
+  console.log(`Questions: ${display(questionFile)}, ${entries.length} of ${records.length} result(s) answered them\n`);
+  const reports = calibrateQuestions(questions, entries, { minResponses });
+  const errorCount = reports.reduce((acc, report) => acc + printReport(report), 0);
+  const warningCount = reports.reduce((acc, report) => acc + report.unexpected.length + (report.insufficient ? 1 : 0), 0);
+  console.log(`\n${reports.length} question(s), ${errorCount} error(s), ${warningCount} warning(s)`);
+  return errorCount ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
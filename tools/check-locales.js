@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Translation checker
+ *
+ * Compares every locales/<lang>.json with the Italian reference catalog
+ * (locales/it.json) and reports:
+ *
+ *   - missing keys, which the app shows in Italian (the fallback);
+ *   - messages whose {placeholders} differ from the reference;
+ *   - extra keys that the reference does not define (warning only);
+ *   - keys used by script.js (t('...')) or index.html (data-i18n*) that
+ *     the reference does not define, which the app would show as raw keys;
+ *   - regions of quadrants.json whose name, description or examples have
+ *     no translation in quadrants_<lang>.json, which the app shows in
+ *     Italian.
+ *
+ * Usage:
+ *
+ *   node tools/check-locales.js              # every catalog in locales/
+ *   node tools/check-locales.js locales/de.json
+ *
+ * Exits with status 1 when any error is found.
+ */
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createRegionModel, untranslatedRegions } from '../lib/engine.js';
+import { FALLBACK_LANGUAGE, flattenKeys, lookup, placeholdersOf } from '../lib/i18n.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const LOCALES_DIR = join(ROOT, 'locales');
+const REFERENCE = join(LOCALES_DIR, `${FALLBACK_LANGUAGE}.json`);
+const SOURCES = ['script.js', 'index.html'];
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+/**
+ * Compares a catalog with the reference catalog.  Returns the missing and
+ * extra keys and the keys whose placeholders differ.
+ */
+export function compareCatalogs(reference, catalog) {
+  const referenceKeys = flattenKeys(reference);
+  const keys = flattenKeys(catalog);
+  const keySet = new Set(keys);
+  const referenceSet = new Set(referenceKeys);
+  const placeholders = [];
+  referenceKeys.filter((key) => keySet.has(key)).forEach((key) => {
+    const expected = placeholdersOf(lookup(reference, key));
+    const actual = placeholdersOf(lookup(catalog, key));
+    if (expected.join() !== actual.join()) placeholders.push({ key, expected, actual });
+  });
+  return {
+    missing: referenceKeys.filter((key) => !keySet.has(key)),
+    extra: keys.filter((key) => !referenceSet.has(key)),
+    placeholders
+  };
+}
+
+/**
+ * Message keys written literally in a source file: t('key', ...) calls and
+ * data-i18n / data-i18n-* attributes.  Keys built at runtime are skipped.
+ */
+export function referencedKeys(source) {
+  const keys = new Set();
+  const patterns = [/\bt\(\s*'([\w.]+)'/g, /data-i18n(?:-[\w-]+)?="([\w.]+)"/g];
+  patterns.forEach((pattern) => {
+    for (const match of source.matchAll(pattern)) keys.add(match[1]);
+  });
+  return [...keys].sort();
+}
+
+/** Number of problems that should fail the check */
+export function countErrors(report) {
+  return report.missing.length + report.placeholders.length;
+}
+
+function printReport(name, report) {
+  const errors = countErrors(report);
+  console.log(`${errors ? '✖' : '✔'} ${name}`);
+  if (report.missing.length) console.log(`  error   ${report.missing.length} missing key(s), shown in Italian: ${report.missing.join(', ')}`);
+  report.placeholders.forEach(({ key, expected, actual }) => {
+    console.log(`  error   ${key} uses {${actual.join('}, {')}} instead of {${expected.join('}, {')}}`);
+  });
+  if (report.extra.length) console.log(`  warning ${report.extra.length} key(s) not in the reference: ${report.extra.join(', ')}`);
+  return errors;
+}
+
+function printQuadrantReport(name, missing) {
+  console.log(`${missing.length ? '✖' : '✔'} ${name}`);
+  if (missing.length) {
+    console.log(`  error   ${missing.length} region(s) shown in Italian: ${missing.map(({ id, fields }) => `${id} (${fields.join(', ')})`).join(', ')}`);
+  }
+  return missing.length;
+}
+
+function main(args) {
+  const files = args.length
+    ? args.map((file) => resolve(file))
+    : readdirSync(LOCALES_DIR).filter((name) => name.endsWith('.json')).sort().map((name) => join(LOCALES_DIR, name));
+  const reference = readJson(REFERENCE);
+  const display = (file) => relative(process.cwd(), file) || basename(file);
+  let errorCount = 0;
+
+  const unknown = SOURCES.flatMap((source) => referencedKeys(readFileSync(join(ROOT, source), 'utf8'))
+    .filter((key) => lookup(reference, key) === undefined)
+    .map((key) => `${source}: ${key}`));
+  console.log(`${unknown.length ? '✖' : '✔'} keys used by ${SOURCES.join(', ')}`);
+  unknown.forEach((entry) => console.log(`  error   not defined in ${display(REFERENCE)}: ${entry}`));
+  errorCount += unknown.length;
+
+  files.filter((file) => file !== REFERENCE).forEach((file) => {
+    errorCount += printReport(display(file), compareCatalogs(reference, readJson(file)));
+  });
+
+  const regionModel = createRegionModel(readJson(join(ROOT, 'quadrants.json')));
+  files.map((file) => basename(file, '.json')).filter((lang) => lang !== FALLBACK_LANGUAGE).forEach((lang) => {
+    const file = join(ROOT, `quadrants_${lang}.json`);
+    const translations = existsSync(file) ? readJson(file) : null;
+    errorCount += printQuadrantReport(display(file), untranslatedRegions(regionModel, translations));
+  });
+  console.log(`\n${files.length} catalog(s), ${errorCount} error(s)`);
+  return errorCount ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Cross-language question parity checker
+ *
+ * Compares every questions_<lang>.json with a reference file by stable
+ * question id and against the canonical weight table in weights.json.
+ * For each file it reports:
+ *
+ *   - questions without an id and duplicate ids;
+ *   - missing ids (in the reference but not translated) and extra ids
+ *     (not in the reference);
+ *   - ids with no entry in weights.json, which would score with their
+ *     inline weights only;
+ *   - mis-weighted questions, whose inline weights disagree with the
+ *     canonical ones;
+ *   - questions answered on a different response scale than in the
+ *     reference, whose answers would not be comparable;
+ *   - questions tagged for different test lengths than in the reference,
+ *     which would make the short or extended test differ between languages;
+ *   - a different question order (warning only).
+ *
+ * Usage:
+ *
+ *   node tools/check-parity.js                          # all files against questions_en.json
+ *   node tools/check-parity.js --reference questions.json questions_it.json
+ *
+ * Exits with status 1 when any error is found.
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { AXES, DEFAULT_SCALE, questionList, readWeightTable } from '../lib/engine.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_REFERENCE = join(ROOT, 'questions_en.json');
+const WEIGHT_TOLERANCE = 1e-9;
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const scaleName = (question) => question.scale || DEFAULT_SCALE;
+const tagList = (question) => (Array.isArray(question.tags) ? [...question.tags].sort().join(', ') : '');
+
+function weightsDiffer(inline, canonical) {
+  return AXES.some((axis) => Math.abs((Number(inline[axis]) || 0) - (Number(canonical[axis]) || 0)) > WEIGHT_TOLERANCE);
+}
+
+/**
+ * Compares a question set with the reference set and the weight table
+ * (weights.json in either format).  Returns the ids (or positions)
+ * involved in each kind of problem.
+ */
+export function compareQuestionSets(reference, candidate, weightTable = {}) {
+  const table = readWeightTable(weightTable)?.weights || {};
+  const referenceList = questionList(reference);
+  const referenceIds = referenceList
+    .map((question) => question && question.id)
+    .filter((id) => typeof id === 'string');
+  const referenced = referenceList.filter((question) => question && typeof question.id === 'string');
+  const referenceScales = new Map(referenced.map((question) => [question.id, scaleName(question)]));
+  const referenceTags = new Map(referenced.map((question) => [question.id, tagList(question)]));
+  const list = questionList(candidate);
+  const report = {
+    withoutId: [],
+    duplicates: [],
+    missing: [],
+    extra: [],
+    unweighted: [],
+    misweighted: [],
+    rescaled: [],
+    retagged: [],
+    reordered: false
+  };
+  const ids = [];
+  const seen = new Set();
+  list.forEach((question, idx) => {
+    const id = question && typeof question.id === 'string' ? question.id : null;
+    if (!id) {
+      report.withoutId.push(idx);
+      return;
+    }
+    if (seen.has(id)) {
+      report.duplicates.push(id);
+      return;
+    }
+    seen.add(id);
+    ids.push(id);
+    if (!hasOwn(table, id)) {
+      report.unweighted.push(id);
+    } else if (question.weights && typeof question.weights === 'object' && weightsDiffer(question.weights, table[id])) {
+      report.misweighted.push({ id, inline: question.weights, canonical: table[id] });
+    }
+    if (referenceScales.has(id) && referenceScales.get(id) !== scaleName(question)) {
+      report.rescaled.push({ id, scale: scaleName(question), reference: referenceScales.get(id) });
+    }
+    if (referenceTags.has(id) && referenceTags.get(id) !== tagList(question)) {
+      report.retagged.push({ id, tags: tagList(question), reference: referenceTags.get(id) });
+    }
+  });
+  const referenceSet = new Set(referenceIds);
+  report.missing = referenceIds.filter((id) => !seen.has(id));
+  report.extra = ids.filter((id) => !referenceSet.has(id));
+  const shared = ids.filter((id) => referenceSet.has(id));
+  const referenceShared = referenceIds.filter((id) => seen.has(id));
+  report.reordered = shared.some((id, idx) => referenceShared[idx] !== id);
+  return report;
+}
+
+/** Number of problems that should fail the check */
+export function countErrors(report) {
+  return report.withoutId.length + report.duplicates.length + report.missing.length
+    + report.extra.length + report.unweighted.length + report.misweighted.length + report.rescaled.length
+    + report.retagged.length;
+}
+
+function formatWeights(weights) {
+  return AXES.map((axis) => `${axis} ${Number(weights[axis]) || 0}`).join(', ');
+}
+
+function printReport(name, report) {
+  const errors = countErrors(report);
+  console.log(`${errors ? '✖' : '✔'} ${name}`);
+  const list = (ids) => ids.join(', ');
+  if (report.withoutId.length) console.log(`  error   questions without id at positions ${list(report.withoutId.map((idx) => idx + 1))}`);
+  if (report.duplicates.length) console.log(`  error   duplicate ids: ${list(report.duplicates)}`);
+  if (report.missing.length) console.log(`  error   missing ${report.missing.length} translation(s): ${list(report.missing)}`);
+  if (report.extra.length) console.log(`  error   ${report.extra.length} id(s) not in the reference: ${list(report.extra)}`);
+  if (report.unweighted.length) console.log(`  error   no canonical weights in weights.json: ${list(report.unweighted)}`);
+  report.misweighted.forEach(({ id, inline, canonical }) => {
+    console.log(`  error   ${id} is mis-weighted: inline ${formatWeights(inline)} vs canonical ${formatWeights(canonical)}`);
+  });
+  report.rescaled.forEach(({ id, scale, reference }) => {
+    console.log(`  error   ${id} uses the ${scale} scale instead of ${reference}`);
+  });
+  report.retagged.forEach(({ id, tags, reference }) => {
+    console.log(`  error   ${id} is tagged [${tags}] instead of [${reference}]`);
+  });
+  if (report.reordered) console.log('  warning questions are in a different order than in the reference');
+  return errors;
+}
+
+function parseArgs(args) {
+  const options = { reference: DEFAULT_REFERENCE, files: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--reference') {
+      options.reference = resolve(args[++i] || '');
+    } else if (args[i].startsWith('--reference=')) {
+      options.reference = resolve(args[i].slice('--reference='.length));
+    } else {
+      options.files.push(resolve(args[i]));
+    }
+  }
+  if (!options.files.length) {
+    options.files = readdirSync(ROOT)
+      .filter((name) => /^questions[\w-]*\.json$/.test(name))
+      .sort()
+      .map((name) => join(ROOT, name))
+      .filter((file) => file !== options.reference);
+  }
+  return options;
+}
+
+function main(args) {
+  const { reference, files } = parseArgs(args);
+  const table = readJson(join(ROOT, 'weights.json'));
+  const referenceData = readJson(reference);
+  const display = (file) => relative(process.cwd(), file) || basename(file);
+  console.log(`Reference: ${display(reference)}\n`);
+  let errorCount = printReport(display(reference), compareQuestionSets(referenceData, referenceData, table));
+  files.forEach((file) => {
+    errorCount += printReport(display(file), compareQuestionSets(referenceData, readJson(file), table));
+  });
+  console.log(`\n${files.length + 1} file(s), ${errorCount} error(s)`);
+  return errorCount ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
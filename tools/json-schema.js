@@ -0,0 +1,159 @@
+/* --------------------------------------------------------------------------
+ *  Minimal JSON Schema validator
+ *
+ * Supports the subset of draft 2020-12 used by the files in schemas/:
+ * type, enum, minLength, pattern, minimum, maximum, items, minItems,
+ * maxItems, required, properties, additionalProperties, propertyNames,
+ * minProperties, anyOf, oneOf and local `#/$defs/...` references.  Kept
+ * in-tree so the data checks run with a plain `node`, without installing
+ * anything.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref ${ref}`);
+    return node[key];
+  }, root);
+}
+
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/** Whether a branch (or the schema it references) declares the type of `value` */
+function branchTypeMatches(branch, value, root) {
+  const schema = branch.$ref ? resolveRef(root, branch.$ref) : branch;
+  if (!schema.type) return false;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.some((type) => matchesType(value, type));
+}
+
+/**
+ * How many keys a branch (or the schema it references) requires, when
+ * `value` has them all; -1 when some are missing.
+ */
+function branchKeysPresent(branch, value, root) {
+  const schema = branch.$ref ? resolveRef(root, branch.$ref) : branch;
+  const required = schema.required || [];
+  return typeOf(value) === 'object' && required.every((key) => key in value) ? required.length : -1;
+}
+
+function validateNode(schema, value, path, root, errors) {
+  if (schema.$ref) {
+    validateNode(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: value.length ? `shorter than ${schema.minLength} characters` : 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `does not match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => validateNode(schema.items, item, pointer(path, idx), root, errors));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} keys` });
+    }
+    if (schema.propertyNames) {
+      keys.forEach((key) => {
+        const keyErrors = [];
+        validateNode(schema.propertyNames, key, path, root, keyErrors);
+        keyErrors.forEach(({ message }) => errors.push({ path, message: `key "${key}" ${message}` }));
+      });
+    }
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push({ path, message: `missing required key "${key}"` });
+    });
+    const properties = schema.properties || {};
+    keys.forEach((key) => {
+      if (properties[key]) {
+        validateNode(properties[key], value[key], pointer(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unknown key "${key}"` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], pointer(path, key), root, errors);
+      }
+    });
+  }
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const results = branches.map((branch) => {
+      const branchErrors = [];
+      validateNode(branch, value, path, root, branchErrors);
+      return branchErrors;
+    });
+    const passing = results.filter((branchErrors) => !branchErrors.length).length;
+    if (!passing) {
+      // Report the branch written for this kind of value, if there is one;
+      // among objects, the one that requires the most of the keys present
+      const typed = branches.filter((branch) => branchTypeMatches(branch, value, root));
+      const best = typed.reduce((top, branch) => (
+        branchKeysPresent(branch, value, root) > branchKeysPresent(top, value, root) ? branch : top
+      ), typed[0]);
+      const relevant = best ? branches.indexOf(best) : -1;
+      if (relevant >= 0) {
+        errors.push(...results[relevant]);
+      } else {
+        const options = branches.map((branch) => (branch.required ? branch.required.join('/') : branch.type || branch.$ref)).join(', ');
+        errors.push({ path, message: `must match one of: ${options}` });
+      }
+    } else if (schema.oneOf && passing > 1) {
+      errors.push({ path, message: 'matches more than one alternative' });
+    }
+  }
+}
+
+/**
+ * Validates `value` against `schema`.  Returns an array of
+ * `{ path, message }` errors, where path is a JSON pointer ('' = root).
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '', schema, errors);
+  return errors;
+}
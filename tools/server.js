@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Reference server for the results API
+ *
+ * Serves the app (the static files of the repository) together with the
+ * results API described in lib/remote.js, storing results and reviews as
+ * JSON arrays in a data directory (results.json, reviews.json).  It is a
+ * stand-in for a real backend: one process, no authentication, meant for a
+ * class or a local network rather than the open internet.
+ *
+ *   - Records are validated with the migrations of lib/storage.js, so the
+ *     server accepts exactly what the app would store; a result's
+ *     professionKey must be in the form professionKey() of
+ *     lib/aggregates.js makes, since it is published as a cell name.
+ *   - Results are never sent back: GET /api/aggregates answers statistics
+ *     only, withholding groups of fewer than --min-cell results (see
+ *     lib/aggregates.js).  GET /api/reviews leaves out IP addresses.
+ *   - One-time tokens of the access gate (access.json in token mode, see
+ *     lib/access.js) are redeemed here, so each is accepted once across
+ *     every browser; the used ones are kept in redeemed.json.
+ *   - The data directory is never served as static files.
+ *
+ * Usage:
+ *
+ *   node tools/server.js                              # http://localhost:8080, data in ./data
+ *   node tools/server.js --port 3000 --data /srv/sfera-data --min-cell 10
+ *
+ * The app uses the API when index.html declares it:
+ * <meta name="results-api" content="/"> for this server, or its URL.
+ */
+import { createServer } from 'node:http';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { TEST_LENGTHS } from '../lib/engine.js';
+import { checkAccess, readAccessConfig } from '../lib/access.js';
+import { MIN_CELL_SIZE, aggregateStatistics, isProfessionKey } from '../lib/aggregates.js';
+import { migrateRecord } from '../lib/storage.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const SERVER_DEFAULTS = {
+  port: 8080,
+  dataDir: 'data',
+  maxBody: 64 * 1024,  // bytes accepted in a POST body
+  minCellSize: MIN_CELL_SIZE
+};
+
+// Fields left out of the reviews the API sends back
+const PRIVATE_REVIEW_FIELDS = ['ip'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * JSON array files in `dir`, one per collection.  update(collection,
+ * change) runs change(records) and writes the records back when it
+ * returns `{ write: true }`; updates run one at a time and files are
+ * replaced atomically, so concurrent requests cannot lose records.
+ */
+export function fileCollections(dir) {
+  let queue = Promise.resolve();
+  const file = (collection) => join(dir, `${collection}.json`);
+
+  async function read(collection) {
+    try {
+      const records = JSON.parse(await readFile(file(collection), 'utf8'));
+      return Array.isArray(records) ? records : [];
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  function update(collection, change) {
+    const run = queue.then(async () => {
+      const records = await read(collection);
+      const outcome = change(records);
+      if (outcome.write) {
+        await mkdir(dir, { recursive: true });
+        const temporary = `${file(collection)}.${process.pid}.tmp`;
+        await writeFile(temporary, `${JSON.stringify(records, null, 2)}\n`);
+        await rename(temporary, file(collection));
+      }
+      return outcome;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
+
+function withoutFields(record, fields) {
+  const copy = { ...record };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Past the limit the rest is read and dropped, so the 413 can still be sent
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) {
+        reject(Object.assign(new Error('request body too large'), { status: 413 }));
+      } else {
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req, limit) {
+  const text = await readBody(req, limit);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw Object.assign(new Error('request body is not JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Creates (without starting) the HTTP server.  `dataDir` holds the JSON
+ * files; `root` is the directory served as the app, null to serve only
+ * the API; `minCellSize` is the fewest results a group of the statistics
+ * needs to be reported; `accessFile` is the access gate config, read
+ * again at every redemption so edits apply without a restart.
+ */
+export function createApiServer({
+  dataDir = resolve(SERVER_DEFAULTS.dataDir),
+  root = ROOT,
+  maxBody = SERVER_DEFAULTS.maxBody,
+  minCellSize = SERVER_DEFAULTS.minCellSize,
+  accessFile = root ? join(root, 'access.json') : null
+} = {}) {
+  const collections = fileCollections(dataDir);
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+  const send = (res, status, data) => {
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  };
+
+  async function saveRecord(collection, body, isDuplicate) {
+    const record = migrateRecord(collection, body);
+    if (!record) return [400, { error: `invalid ${collection.slice(0, -1)}` }];
+    delete record.uploaded;
+    const outcome = await collections.update(collection, (records) => {
+      if (records.some((existing) => existing.id === record.id)) return { status: 200 };
+      if (isDuplicate && records.some((existing) => isDuplicate(existing, record))) return { status: 409 };
+      records.push(record);
+      return { status: 201, write: true };
+    });
+    if (outcome.status === 409) return [409, { error: 'duplicate review' }];
+    return [outcome.status, { id: record.id }];
+  }
+
+  async function redeemToken(body) {
+    let config = null;
+    try {
+      config = accessFile ? readAccessConfig(JSON.parse(await readFile(accessFile, 'utf8'))) : null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (!config || config.mode !== 'token') return [404, { error: 'no one-time tokens configured' }];
+    const access = await checkAccess(config, typeof body?.token === 'string' ? body.token : '');
+    if (!access.ok) return [403, { error: 'unknown token' }];
+    const outcome = await collections.update('redeemed', (records) => {
+      if (records.some(({ hash }) => hash === access.tokenHash)) return { status: 409 };
+      records.push({ hash: access.tokenHash, at: Date.now() });
+      return { status: 200, write: true };
+    });
+    if (outcome.status === 409) return [409, { error: 'token already used' }];
+    return [200, { cohort: access.cohort }];
+  }
+
+  async function api(req, url) {
+    const name = url.pathname.slice('/api/'.length);
+    if (req.method === 'GET' && name === 'reviews') {
+      return [200, (await collections.read('reviews')).map((review) => withoutFields(review, PRIVATE_REVIEW_FIELDS))];
+    }
+    if (req.method === 'POST' && name === 'results') {
+      const body = await readJsonBody(req, maxBody);
+      // Profession keys are published as cell names: only the app's normalized form is stored
+      if (body?.professionKey !== undefined && !isProfessionKey(body.professionKey)) {
+        return [400, { error: 'invalid profession key' }];
+      }
+      return saveRecord('results', body);
+    }
+    if (req.method === 'POST' && name === 'reviews') {
+      // One review per person, as the app checks locally: same IP or same name
+      const samePerson = (a, b) => (a.ip && a.ip === b.ip) || String(a.name).toLowerCase() === String(b.name).toLowerCase();
+      return saveRecord('reviews', await readJsonBody(req, maxBody), samePerson);
+    }
+    if (req.method === 'POST' && name === 'access/redeem') {
+      return redeemToken(await readJsonBody(req, maxBody));
+    }
+    if (req.method === 'GET' && name === 'aggregates') {
+      const filters = Object.fromEntries(url.searchParams);
+      if (filters.length && filters.length !== 'all' && !TEST_LENGTHS.includes(filters.length)) {
+        return [400, { error: `unknown length ${filters.length}` }];
+      }
+      return [200, aggregateStatistics(await collections.read('results'), filters, { minCellSize })];
+    }
+    return [404, { error: 'not found' }];
+  }
+
+  async function serveFile(res, url) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+      throw Object.assign(new Error('malformed URL'), { status: 400 });
+    }
+    const path = resolve(root, `.${pathname}`);
+    const inside = (dir) => path === dir || path.startsWith(`${dir}${sep}`);
+    const hidden = relative(root, path).split(sep).some((part) => part.startsWith('.'));
+    if (!inside(root) || inside(dataDir) || hidden) {
+      send(res, 404, { error: 'not found' });
+      return;
+    }
+    const file = url.pathname.endsWith('/') ? join(path, 'index.html') : path;
+    try {
+      const content = await readFile(file);
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+      res.end(content);
+    } catch (err) {
+      send(res, 404, { error: 'not found' });
+    }
+  }
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (url.pathname.startsWith('/api/')) {
+        if (req.method === 'OPTIONS') {
+          res.writeHead(204, headers);
+          res.end();
+          return;
+        }
+        const [status, data] = await api(req, url);
+        send(res, status, data);
+      } else if (root && (req.method === 'GET' || req.method === 'HEAD')) {
+        await serveFile(res, url);
+      } else {
+        send(res, 404, { error: 'not found' });
+      }
+    } catch (err) {
+      if (!err.status) console.error(err);
+      if (!res.headersSent) send(res, err.status || 500, { error: err.status ? err.message : 'internal error' });
+    }
+  });
+}
+
+function parseArgs(args) {
+  const options = { port: SERVER_DEFAULTS.port, dataDir: resolve(SERVER_DEFAULTS.dataDir), minCellSize: SERVER_DEFAULTS.minCellSize };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = Number(args[++i]);
+    } else if (args[i].startsWith('--port=')) {
+      options.port = Number(args[i].slice('--port='.length));
+    } else if (args[i] === '--data') {
+      options.dataDir = resolve(args[++i] || '');
+    } else if (args[i].startsWith('--data=')) {
+      options.dataDir = resolve(args[i].slice('--data='.length));
+    } else if (args[i] === '--min-cell') {
+      options.minCellSize = Number(args[++i]);
+    } else if (args[i].startsWith('--min-cell=')) {
+      options.minCellSize = Number(args[i].slice('--min-cell='.length));
+    } else {
+      options.invalid = args[i];
+    }
+  }
+  return options;
+}
+
+function main(args) {
+  const { port, dataDir, minCellSize, invalid } = parseArgs(args);
+  if (invalid || !Number.isInteger(port) || port < 0 || !Number.isInteger(minCellSize) || minCellSize < 1) {
+    console.error(`Usage: node tools/server.js [--port 8080] [--data ./data] [--min-cell ${MIN_CELL_SIZE}]`);
+    return 2;
+  }
+  createApiServer({ dataDir, minCellSize }).listen(port, () => {
+    console.log(`Serving the app and the results API on http://localhost:${port}/ (data in ${dataDir})`);
+  });
+  return 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
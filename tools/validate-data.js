@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/* --------------------------------------------------------------------------
+ *  Data validation CLI
+ *
+ * Validates the question sets, the canonical weight table, the region
+ * model and its translations against the schemas in schemas/ and runs the
+ * checks a schema cannot express:
+ *
+ *   - questions: duplicate ids, statements that carry no weight at all,
+ *     duplicate titles;
+ *   - quadrants: duplicate ids, bounds that do not belong to the declared
+ *     model, and regions that do not tile the domain (the cube [-1, 1]³
+ *     or the φ/θ rectangle) exactly, i.e. gaps or overlaps;
+ *   - quadrant translations (quadrants_<lang>.json): ids that quadrants.json
+ *     does not define;
+ *   - access.json: the hashes its mode needs (see readAccessConfig()).
+ *
+ * Usage:
+ *
+ *   node tools/validate-data.js                # every questions*.json, quadrants*.json, weights.json and access.json
+ *   node tools/validate-data.js questions_it.json
+ *
+ * Exits with status 1 when any error is found, so it can run as a
+ * pre-commit hook.  Warnings are reported but do not fail the run.
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { validateSchema } from './json-schema.js';
+import { AXES, createRegionModel, questionList } from '../lib/engine.js';
+import { readAccessConfig } from '../lib/access.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+const SCHEMAS = {
+  questions: readJson(join(ROOT, 'schemas', 'questions.schema.json')),
+  quadrants: readJson(join(ROOT, 'schemas', 'quadrants.schema.json')),
+  quadrantTexts: readJson(join(ROOT, 'schemas', 'quadrant-texts.schema.json')),
+  weights: readJson(join(ROOT, 'schemas', 'weights.schema.json')),
+  access: readJson(join(ROOT, 'schemas', 'access.schema.json'))
+};
+
+// Domain of each coordinate for the two region models
+const MODEL_DOMAINS = {
+  cartesian: { x: [-1, 1], y: [-1, 1], z: [-1, 1] },
+  spherical: { phi: [0, 360], theta: [0, 180] }
+};
+
+// Cap on the gap/overlap cells listed per file
+const MAX_TILING_REPORTS = 10;
+
+/** Picks the schema for a data file from its name */
+export function schemaKindFor(file) {
+  const name = basename(file);
+  if (name.startsWith('quadrants_')) return 'quadrantTexts';
+  if (name.startsWith('quadrants')) return 'quadrants';
+  if (name.startsWith('weights')) return 'weights';
+  if (name.startsWith('access')) return 'access';
+  return 'questions';
+}
+
+/** Checks on a question set (in either file format) that go beyond its schema */
+export function checkQuestions(data) {
+  const errors = [];
+  const warnings = [];
+  const questions = questionList(data);
+  const base = Array.isArray(data) ? '' : '/questions';
+  const titles = new Map();
+  const ids = new Map();
+  questions.forEach((question, idx) => {
+    if (!question || typeof question !== 'object') return;
+    if (typeof question.id === 'string') {
+      if (ids.has(question.id)) {
+        errors.push({ path: `${base}/${idx}/id`, message: `duplicate id "${question.id}" (also question ${ids.get(question.id)})` });
+      } else {
+        ids.set(question.id, idx);
+      }
+    }
+    if (question.weights && typeof question.weights === 'object') {
+      const total = AXES.reduce((acc, axis) => acc + Math.abs(Number(question.weights[axis]) || 0), 0);
+      if (!total) warnings.push({ path: `${base}/${idx}/weights`, message: 'question carries no weight on any axis' });
+    }
+    const title = typeof question.title === 'string' ? question.title.trim().toLowerCase() : '';
+    if (!title) return;
+    if (titles.has(title)) {
+      warnings.push({ path: `${base}/${idx}/title`, message: `duplicate of question ${titles.get(title)}` });
+    } else {
+      titles.set(title, idx);
+    }
+  });
+  return { errors, warnings };
+}
+
+function formatRange([min, max]) {
+  return `[${min}, ${max}]`;
+}
+
+/**
+ * Checks that the regions of a model tile its domain: no bounds outside
+ * the domain, no gaps and no overlaps.  The domain is cut along every
+ * bound into cells and each cell is checked to be covered exactly once.
+ */
+export function checkTiling(regionModel) {
+  const errors = [];
+  const warnings = [];
+  if (!regionModel) return { errors, warnings };
+  const { model, regions } = regionModel;
+  const domain = MODEL_DOMAINS[model];
+  const coords = Object.keys(domain);
+  const foreign = Object.keys(MODEL_DOMAINS).filter((other) => other !== model).flatMap((other) => Object.keys(MODEL_DOMAINS[other]));
+
+  const boxes = regions.map((region, idx) => {
+    const bounds = region.bounds || {};
+    const label = region.id !== undefined ? `"${region.id}"` : `#${idx + 1}`;
+    foreign.forEach((coord) => {
+      if (bounds[coord] !== undefined) {
+        errors.push({ path: `/regions/${idx}/bounds/${coord}`, message: `${label} uses "${coord}", which the ${model} model ignores` });
+      }
+    });
+    const ranges = {};
+    coords.forEach((coord) => {
+      const range = Array.isArray(bounds[coord]) && bounds[coord].length === 2 && bounds[coord].every(Number.isFinite)
+        ? [Math.min(...bounds[coord]), Math.max(...bounds[coord])]
+        : [...domain[coord]];
+      const [lower, upper] = domain[coord];
+      if (range[0] < lower || range[1] > upper) {
+        errors.push({ path: `/regions/${idx}/bounds/${coord}`, message: `${label} ${coord} ${formatRange(range)} exceeds the domain ${formatRange(domain[coord])}` });
+      }
+      if (range[0] === range[1]) {
+        warnings.push({ path: `/regions/${idx}/bounds/${coord}`, message: `${label} has an empty ${coord} range` });
+      }
+      ranges[coord] = range;
+    });
+    return { label, ranges };
+  });
+
+  const cuts = coords.map((coord) => {
+    const [lower, upper] = domain[coord];
+    const values = new Set([lower, upper]);
+    boxes.forEach(({ ranges }) => ranges[coord].forEach((value) => {
+      if (value > lower && value < upper) values.add(value);
+    }));
+    return [...values].sort((a, b) => a - b);
+  });
+
+  const gaps = [];
+  const overlaps = new Map();
+  const visit = (depth, cell) => {
+    if (depth === coords.length) {
+      const covering = boxes.filter(({ ranges }) => coords.every((coord, i) => {
+        const mid = (cell[i][0] + cell[i][1]) / 2;
+        return mid > ranges[coord][0] && mid < ranges[coord][1];
+      }));
+      if (!covering.length) {
+        gaps.push(coords.map((coord, i) => `${coord} ${formatRange(cell[i])}`).join(', '));
+      } else if (covering.length > 1) {
+        const key = covering.map(({ label }) => label).join(' and ');
+        if (!overlaps.has(key)) overlaps.set(key, coords.map((coord, i) => `${coord} ${formatRange(cell[i])}`).join(', '));
+      }
+      return;
+    }
+    const values = cuts[depth];
+    for (let i = 0; i < values.length - 1; i++) {
+      visit(depth + 1, [...cell, [values[i], values[i + 1]]]);
+    }
+  };
+  visit(0, []);
+
+  gaps.slice(0, MAX_TILING_REPORTS).forEach((where) => {
+    errors.push({ path: '/regions', message: `gap: no region covers ${where}` });
+  });
+  if (gaps.length > MAX_TILING_REPORTS) {
+    errors.push({ path: '/regions', message: `... and ${gaps.length - MAX_TILING_REPORTS} more uncovered cells` });
+  }
+  [...overlaps.entries()].slice(0, MAX_TILING_REPORTS).forEach(([labels, where]) => {
+    errors.push({ path: '/regions', message: `overlap: ${labels} both cover ${where}` });
+  });
+  if (overlaps.size > MAX_TILING_REPORTS) {
+    errors.push({ path: '/regions', message: `... and ${overlaps.size - MAX_TILING_REPORTS} more overlapping pairs` });
+  }
+  return { errors, warnings };
+}
+
+/** Checks on a region model that go beyond its schema */
+export function checkQuadrants(data) {
+  const regionModel = createRegionModel(data);
+  if (!regionModel) return { errors: [], warnings: [] };
+  const errors = [];
+  const seen = new Map();
+  regionModel.regions.forEach((region, idx) => {
+    if (region.id === undefined) return;
+    const id = String(region.id);
+    if (seen.has(id)) {
+      errors.push({ path: `/regions/${idx}/id`, message: `duplicate id "${id}" (also region #${seen.get(id) + 1})` });
+    } else {
+      seen.set(id, idx);
+    }
+  });
+  const tiling = checkTiling(regionModel);
+  return { errors: [...errors, ...tiling.errors], warnings: tiling.warnings };
+}
+
+/** Translated regions must exist in quadrants.json */
+export function checkQuadrantTexts(data, regionModel = createRegionModel(readJson(join(ROOT, 'quadrants.json')))) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !regionModel) return { errors, warnings: [] };
+  const ids = new Set(regionModel.regions.map((region, idx) => (region.id !== undefined ? String(region.id) : String(idx + 1))));
+  Object.keys(data).forEach((id) => {
+    if (!ids.has(id)) errors.push({ path: `/${id}`, message: `unknown region id "${id}" (not in quadrants.json)` });
+  });
+  return { errors, warnings: [] };
+}
+
+/** The access gate config must carry what its mode needs, as the app reads it */
+export function checkAccess(data) {
+  try {
+    readAccessConfig(data);
+    return { errors: [], warnings: [] };
+  } catch (err) {
+    return { errors: [{ path: '', message: err.message.replace(/^access\.json: /, '') }], warnings: [] };
+  }
+}
+
+const CHECKS = {
+  questions: checkQuestions,
+  quadrants: checkQuadrants,
+  quadrantTexts: (data) => checkQuadrantTexts(data),
+  weights: () => ({ errors: [], warnings: [] }),
+  access: checkAccess
+};
+
+/**
+ * Validates parsed data of the given kind ('questions', 'quadrants',
+ * 'quadrantTexts', 'weights' or 'access').
+ * Returns `{ errors, warnings }`, each an array of `{ path, message }`.
+ */
+export function validateData(kind, data) {
+  const schemaErrors = validateSchema(SCHEMAS[kind], data);
+  const checks = CHECKS[kind](data);
+  return {
+    errors: [...schemaErrors, ...checks.errors],
+    warnings: checks.warnings
+  };
+}
+
+/** Reads and validates a file; JSON syntax errors are reported as errors */
+export function validateFile(file) {
+  let data;
+  try {
+    data = readJson(file);
+  } catch (err) {
+    return { errors: [{ path: '', message: `cannot parse: ${err.message}` }], warnings: [] };
+  }
+  return validateData(schemaKindFor(file), data);
+}
+
+function defaultFiles() {
+  return readdirSync(ROOT)
+    .filter((name) => /^(questions|quadrants|weights|access)[\w-]*\.json$/.test(name))
+    .sort()
+    .map((name) => join(ROOT, name));
+}
+
+function main(args) {
+  const files = args.length ? args.map((file) => resolve(file)) : defaultFiles();
+  let errorCount = 0;
+  let warningCount = 0;
+  files.forEach((file) => {
+    const { errors, warnings } = validateFile(file);
+    errorCount += errors.length;
+    warningCount += warnings.length;
+    const name = relative(process.cwd(), file) || file;
+    console.log(`${errors.length ? '✖' : '✔'} ${name}`);
+    errors.forEach(({ path, message }) => console.log(`  error   ${path || '/'}: ${message}`));
+    warnings.forEach(({ path, message }) => console.log(`  warning ${path || '/'}: ${message}`));
+  });
+  console.log(`\n${files.length} file(s), ${errorCount} error(s), ${warningCount} warning(s)`);
+  return errorCount ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}